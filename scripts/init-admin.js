@@ -1,6 +1,7 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const Admin = require('../src/models/Admin');
+const PermissionService = require('../src/services/permissionService');
 const logger = require('../src/utils/logger');
 
 async function initAdmin() {
@@ -9,6 +10,8 @@ async function initAdmin() {
     await mongoose.connect(process.env.MONGODB_URI || process.env.MONGODB_URI_PROD);
     logger.info('Connected to MongoDB');
 
+    await PermissionService.ensureDefaultRoles();
+
     // Check if admin exists
     const existingAdmin = await Admin.findOne({ email: process.env.ADMIN_EMAIL || 'admin@redsee.com' });
 
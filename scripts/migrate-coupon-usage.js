@@ -0,0 +1,40 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Payment = require('../src/models/Payment');
+const CouponUsage = require('../src/models/CouponUsage');
+const logger = require('../src/utils/logger');
+
+/**
+ * One-off migration to per-user coupon counts:
+ * each user's completed payments with a coupon become their CouponUsage count
+ * Safe to run more than once.
+ */
+async function migrateCouponUsage() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGODB_URI_PROD);
+    logger.info('Connected to MongoDB');
+
+    await CouponUsage.syncIndexes();
+
+    const usages = await Payment.aggregate([
+      { $match: { status: 'completed', 'couponRedemption.coupon': { $ne: null } } },
+      { $group: { _id: { coupon: '$couponRedemption.coupon', user: '$user' }, count: { $sum: 1 } } }
+    ]);
+
+    for (const usage of usages) {
+      await CouponUsage.updateOne(
+        { coupon: usage._id.coupon, user: usage._id.user },
+        { $max: { count: usage.count } },
+        { upsert: true }
+      );
+    }
+
+    logger.info(`Counted ${usages.length} coupon usage(s)`);
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error migrating coupon usage:', error);
+    process.exit(1);
+  }
+}
+
+migrateCouponUsage();
@@ -0,0 +1,69 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const User = require('../src/models/User');
+const Movie = require('../src/models/Movie');
+const Series = require('../src/models/Series');
+const SearchIndex = require('../src/models/SearchIndex');
+const logger = require('../src/utils/logger');
+
+/**
+ * One-off migration for parental controls:
+ * - hash profile PINs stored in plain text (`pin`) into `pinHash`
+ * - copy each title's ageRating into the search index
+ * Safe to run more than once.
+ */
+async function migrateProfilePins() {
+  // Raw collection: `pin` is no longer part of the schema
+  const users = User.collection.find({ 'profiles.pin': { $exists: true } });
+  let migrated = 0;
+
+  for await (const user of users) {
+    const profiles = await Promise.all(user.profiles.map(async (profile) => {
+      const { pin, ...rest } = profile;
+      if (!pin) {
+        return rest;
+      }
+      return { ...rest, pinHash: await bcrypt.hash(String(pin), 10), pinFailedAttempts: 0 };
+    }));
+
+    await User.collection.updateOne({ _id: user._id }, { $set: { profiles } });
+    migrated++;
+  }
+
+  logger.info(`Hashed profile PINs of ${migrated} user(s)`);
+}
+
+async function backfillSearchIndexRatings() {
+  for (const [Model, contentType] of [[Movie, 'Movie'], [Series, 'Series']]) {
+    const titles = Model.find({}).select('ageRating').lean().cursor();
+    let updated = 0;
+
+    for await (const title of titles) {
+      const result = await SearchIndex.updateOne(
+        { contentId: title._id, contentType },
+        { $set: { ageRating: title.ageRating } }
+      );
+      updated += result.modifiedCount;
+    }
+
+    logger.info(`Copied ageRating of ${updated} ${contentType} search entries`);
+  }
+}
+
+async function migrateParentalControls() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGODB_URI_PROD);
+    logger.info('Connected to MongoDB');
+
+    await migrateProfilePins();
+    await backfillSearchIndexRatings();
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error migrating parental controls:', error);
+    process.exit(1);
+  }
+}
+
+migrateParentalControls();
@@ -0,0 +1,33 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Payment = require('../src/models/Payment');
+const logger = require('../src/utils/logger');
+
+/**
+ * One-off migration to the partially_refunded payment status:
+ * payments marked refunded whose refunds fall short of the amount paid
+ * become partially_refunded, so the rest can still be refunded.
+ * Safe to run more than once.
+ */
+async function migratePartialRefunds() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGODB_URI_PROD);
+    logger.info('Connected to MongoDB');
+
+    const result = await Payment.updateMany(
+      {
+        status: 'refunded',
+        $expr: { $lt: [{ $round: [{ $ifNull: ['$refundAmount', 0] }, 2] }, { $round: ['$amount', 2] }] }
+      },
+      { $set: { status: 'partially_refunded' } }
+    );
+
+    logger.info(`Marked ${result.modifiedCount} payment(s) as partially refunded`);
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error migrating partial refunds:', error);
+    process.exit(1);
+  }
+}
+
+migratePartialRefunds();
@@ -0,0 +1,58 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const WatchHistory = require('../src/models/WatchHistory');
+const Watchlist = require('../src/models/Watchlist');
+const logger = require('../src/utils/logger');
+
+/**
+ * One-off migration to profile-scoped watch history and watchlists:
+ * - records saved without a profile are given to the account's first
+ *   profile (the one created at signup)
+ * - the per-user unique indexes are replaced by the per-profile ones
+ * Safe to run more than once.
+ */
+async function assignToFirstProfile(Model, name) {
+  const userIds = await Model.distinct('user', { profile: null });
+  let assigned = 0;
+
+  for (const userId of userIds) {
+    const user = await User.findById(userId).select('profiles').lean();
+    const firstProfile = user?.profiles?.[0];
+
+    if (!firstProfile) {
+      logger.warn(`${name}: user ${userId} has no profile, records left unassigned`);
+      continue;
+    }
+
+    const result = await Model.updateMany(
+      { user: userId, profile: null },
+      { $set: { profile: firstProfile._id } }
+    );
+    assigned += result.modifiedCount;
+  }
+
+  logger.info(`${name}: assigned ${assigned} record(s) of ${userIds.length} user(s) to a profile`);
+}
+
+async function migrateProfileScope() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGODB_URI_PROD);
+    logger.info('Connected to MongoDB');
+
+    for (const [Model, name] of [[WatchHistory, 'Watch history'], [Watchlist, 'Watchlist']]) {
+      await assignToFirstProfile(Model, name);
+
+      // Drops the old { user, contentId, contentType } unique index and builds the per-profile ones
+      const dropped = await Model.syncIndexes();
+      logger.info(`${name}: indexes synced${dropped.length ? `, dropped ${dropped.join(', ')}` : ''}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error migrating to profile-scoped records:', error);
+    process.exit(1);
+  }
+}
+
+migrateProfileScope();
@@ -0,0 +1,39 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const logger = require('../src/utils/logger');
+
+/**
+ * One-off migration of the User indexes for phone OTP accounts:
+ * - the unique email index becomes sparse, so accounts without an email
+ *   (phone sign-ups) no longer collide on a missing email; MongoDB cannot
+ *   change an existing index's options, so the old one is dropped first
+ * - the plain phone index is replaced by the unique index on verified phones
+ * Safe to run more than once.
+ */
+async function migrateUserIndexes() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGODB_URI_PROD);
+    logger.info('Connected to MongoDB');
+
+    // A sparse index still holds explicit nulls: only a missing email is skipped
+    const cleared = await User.updateMany({ email: null }, { $unset: { email: 1 } });
+    logger.info(`Cleared an empty email on ${cleared.modifiedCount} user(s)`);
+
+    const emailIndex = (await User.collection.indexes()).find(index => index.name === 'email_1');
+    if (emailIndex && !emailIndex.sparse) {
+      await User.collection.dropIndex('email_1');
+      logger.info('Dropped the non-sparse email_1 index');
+    }
+
+    const dropped = await User.syncIndexes();
+    logger.info(`User indexes synced${dropped.length ? `, dropped ${dropped.join(', ')}` : ''}`);
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error migrating user indexes:', error);
+    process.exit(1);
+  }
+}
+
+migrateUserIndexes();
@@ -13,11 +13,23 @@ const logger = require('./src/utils/logger');
 const { errorHandler, notFound } = require('./src/middleware/errorHandler');
 const adminRoutes = require('./src/routes/admin');
 const userRoutes = require('./src/routes/user');
+const webhookRoutes = require('./src/routes/webhook');
+const { startJobs, stopJobs } = require('./src/jobs');
+const PermissionService = require('./src/services/permissionService');
 
 const app = express();
 // Render uses PORT environment variable (defaults to 10000)
 const PORT = process.env.PORT || 3000;
 
+// Render's load balancer sits in front of the app, so the client IP is the
+// last X-Forwarded-For entry. TRUST_PROXY: hop count, 'true'/'false', or proxy addresses
+const parseTrustProxy = (value = '1') => {
+  if (/^\d+$/.test(value)) return parseInt(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Swagger Configuration
 const swaggerOptions = {
   definition: {
@@ -59,10 +71,21 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN?.split(',') || '*',
   credentials: true
 }));
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+  limit: '50mb',
+  // Keep the raw body for webhook signature verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/v1/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(mongoSanitize());
 
+// Webhooks are mounted before the IP rate limiter so gateway retries are never throttled
+app.use('/api/v1/webhooks', webhookRoutes);
+
 // Rate Limiting
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
@@ -84,6 +107,7 @@ app.get('/', (req, res) => {
     endpoints: {
       admin: `${req.protocol}://${req.get('host')}/api/v1/admin`,
       user: `${req.protocol}://${req.get('host')}/api/v1/user`,
+      webhooks: `${req.protocol}://${req.get('host')}/api/v1/webhooks`,
       health: `${req.protocol}://${req.get('host')}/api/v1/health`
     },
     status: 'running'
@@ -120,8 +144,10 @@ if (!mongoUri) {
 }
 
 mongoose.connect(mongoUri)
-.then(() => {
+.then(async () => {
   logger.info('MongoDB connected successfully');
+  await PermissionService.ensureDefaultRoles();
+  startJobs();
   app.listen(PORT, '0.0.0.0', () => {
     logger.info(`Server running on port ${PORT}`);
     if (process.env.NODE_ENV === 'production') {
@@ -156,6 +182,7 @@ mongoose.connect(mongoUri)
 // Graceful Shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received: closing HTTP server');
+  stopJobs();
   mongoose.connection.close(() => {
     logger.info('MongoDB connection closed');
     process.exit(0);
@@ -0,0 +1,28 @@
+// Minimum viewer age of each content rating (MPA and CBFC scales share one ladder)
+const RATING_LEVELS = {
+  G: 0,
+  U: 0,
+  PG: 7,
+  UA: 12,
+  'PG-13': 13,
+  R: 17,
+  'NC-17': 18,
+  A: 18
+};
+
+// Highest level a kids profile may watch: G, U and PG
+const KIDS_MAX_LEVEL = 7;
+
+/**
+ * Ratings at or below a maturity level
+ * @param {number} level - Maximum level
+ * @returns {Array<string>} Rating codes
+ */
+const getRatingsUpTo = (level) =>
+  Object.keys(RATING_LEVELS).filter(rating => RATING_LEVELS[rating] <= level);
+
+module.exports = {
+  RATING_LEVELS,
+  KIDS_MAX_LEVEL,
+  getRatingsUpTo
+};
@@ -0,0 +1,58 @@
+// Named admin permissions checked by requirePermission, with what each grants
+const PERMISSIONS = {
+  'content:read': 'View movies, series, sections, categories, ads, languages and cast',
+  'content:write': 'Create, edit and delete content, and upload media',
+  'plans:read': 'View subscription plans',
+  'plans:write': 'Create, edit and delete subscription plans and prices',
+  'coupons:read': 'View coupons',
+  'coupons:write': 'Create, edit and delete coupons',
+  'users:read': 'View users, their devices and streams',
+  'users:ban': 'Ban and unban users',
+  'users:unlock': 'Release locked user accounts',
+  'users:streams': 'Terminate users\' active streams',
+  'payments:read': 'View orders and payments',
+  'payments:refund': 'Refund payments',
+  'invoices:export': 'Export invoices',
+  'analytics:read': 'View dashboard analytics',
+  'admins:manage': 'Invite, edit, delete and unlock admins',
+  'roles:manage': 'Create, edit and delete admin roles',
+  'errors:read': 'View error logs',
+  'errors:resolve': 'Mark error logs as resolved',
+  'audit:read': 'View the admin audit log'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Role that always holds every permission and cannot be edited
+const SUPER_ADMIN_ROLE = 'super_admin';
+
+// Built-in roles seeded on startup. Their permissions can be edited later
+// (except super_admin); seeding never overwrites edits.
+const DEFAULT_ROLES = {
+  super_admin: {
+    description: 'Full access to everything',
+    permissions: ALL_PERMISSIONS
+  },
+  content_manager: {
+    description: 'Manages the catalogue and media',
+    permissions: ['content:read', 'content:write', 'plans:read', 'users:read', 'payments:read', 'analytics:read']
+  },
+  finance: {
+    description: 'Manages plans, coupons, refunds and invoices',
+    permissions: [
+      'content:read', 'plans:read', 'plans:write', 'coupons:read', 'coupons:write',
+      'users:read', 'payments:read', 'payments:refund', 'invoices:export'
+    ]
+  },
+  support: {
+    description: 'Helps users with their accounts and streams',
+    permissions: ['content:read', 'plans:read', 'users:read', 'users:ban', 'users:unlock', 'users:streams', 'payments:read']
+  }
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  SUPER_ADMIN_ROLE,
+  DEFAULT_ROLES
+};
@@ -0,0 +1,44 @@
+// Currencies plans can be priced in (all with two minor-unit decimals)
+const CURRENCIES = ['INR', 'USD', 'EUR', 'GBP'];
+
+// Pricing regions: each has one billing currency and the ISO 3166-1 alpha-2
+// countries it covers. Which regions are sold in is set by PRICING_REGIONS.
+const REGIONS = {
+  IN: {
+    name: 'India',
+    currency: 'INR',
+    countries: ['IN']
+  },
+  US: {
+    name: 'United States',
+    currency: 'USD',
+    countries: ['US']
+  },
+  EU: {
+    name: 'European Union',
+    currency: 'EUR',
+    countries: [
+      'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE',
+      'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'
+    ]
+  },
+  GB: {
+    name: 'United Kingdom',
+    currency: 'GBP',
+    countries: ['GB']
+  }
+};
+
+/**
+ * Region codes enabled for regional pricing (comma-separated PRICING_REGIONS)
+ */
+const getEnabledRegions = () => (process.env.PRICING_REGIONS || '')
+  .split(',')
+  .map(code => code.trim().toUpperCase())
+  .filter(code => REGIONS[code]);
+
+module.exports = {
+  CURRENCIES,
+  REGIONS,
+  getEnabledRegions
+};
@@ -0,0 +1,396 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Admin = require('../../models/Admin');
+const Role = require('../../models/Role');
+const UserTokenService = require('../../services/userTokenService');
+const MailService = require('../../services/mailService');
+const TokenVersionService = require('../../services/tokenVersionService');
+const LoginGuardService = require('../../services/loginGuardService');
+const PermissionService = require('../../services/permissionService');
+const { SUPER_ADMIN_ROLE } = require('../../config/permissions');
+const logger = require('../../utils/logger');
+
+const INVITE_TTL_HOURS = parseInt(process.env.ADMIN_INVITE_TTL_HOURS) || 72;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.ADMIN_PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// Placeholder password for accounts that have not set their own yet
+const randomPassword = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Check whether an admin is the only super admin able to sign in
+ * Pending invitations do not count: they cannot sign in yet.
+ */
+const isLastSuperAdmin = async (admin) => {
+  if (admin.role !== SUPER_ADMIN_ROLE || !admin.isActive) {
+    return false;
+  }
+
+  const others = await Admin.countDocuments({
+    _id: { $ne: admin._id },
+    role: SUPER_ADMIN_ROLE,
+    isActive: true,
+    $or: [{ invitedAt: null }, { invitationAcceptedAt: { $ne: null } }]
+  });
+  return others === 0;
+};
+
+const findAdmin = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  return Admin.findById(id);
+};
+
+// Admins can only hand out roles within their own permissions
+const forbiddenRole = (res, role) => res.status(403).json({
+  success: false,
+  message: role === SUPER_ADMIN_ROLE
+    ? 'Only a super admin can assign the super_admin role'
+    : `Role '${role}' grants permissions you do not have`
+});
+
+// Acting on an admin (demoting, deactivating, deleting, resetting their
+// password) needs the same standing as assigning their role
+const forbiddenTarget = (res) => res.status(403).json({
+  success: false,
+  message: 'You cannot manage an admin whose role grants permissions you do not have'
+});
+
+const sendInvite = async (admin, inviter) => {
+  const token = await UserTokenService.issue(admin._id, 'admin_invite', INVITE_TTL_HOURS * 60);
+  await MailService.sendAdminInvite(admin, token, INVITE_TTL_HOURS, inviter?.name || 'An administrator');
+};
+
+const getAdmins = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, search, role, isActive } = req.query;
+    const query = {};
+
+    // Search by name or email
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    if (role) {
+      query.role = role;
+    }
+
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
+
+    const admins = await Admin.find(query)
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Admin.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: admins,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get admins error:', error);
+    next(error);
+  }
+};
+
+const getAdminById = async (req, res, next) => {
+  try {
+    const admin = await findAdmin(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    await admin.populate('invitedBy', 'name email');
+    const lockouts = await LoginGuardService.getLockouts('admin', admin._id, 10);
+
+    res.json({
+      success: true,
+      data: {
+        ...admin.toJSON(),
+        isLocked: LoginGuardService.getLockRemaining(admin) > 0,
+        lockouts
+      }
+    });
+  } catch (error) {
+    logger.error('Get admin by ID error:', error);
+    next(error);
+  }
+};
+
+const inviteAdmin = async (req, res, next) => {
+  try {
+    const { email, name, role } = req.body;
+
+    if (!email || !name || !role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email, name and role are required'
+      });
+    }
+
+    if (!await Role.exists({ name: role })) {
+      return res.status(400).json({
+        success: false,
+        message: `Role '${role}' does not exist`
+      });
+    }
+
+    if (!await PermissionService.canAssignRole(req.admin.role, role)) {
+      return forbiddenRole(res, role);
+    }
+
+    const admin = new Admin({
+      email,
+      name,
+      role,
+      password: randomPassword(),
+      invitedBy: req.admin.id,
+      invitedAt: new Date()
+    });
+    await admin.save();
+
+    const inviter = await Admin.findById(req.admin.id).select('name');
+    await sendInvite(admin, inviter);
+
+    logger.info(`Admin ${req.admin.id} invited ${admin.email} as ${role}`);
+
+    res.status(201).json({
+      success: true,
+      data: admin,
+      message: 'Invitation sent'
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'An admin with this email already exists'
+      });
+    }
+    logger.error('Invite admin error:', error);
+    next(error);
+  }
+};
+
+const resendInvite = async (req, res, next) => {
+  try {
+    const admin = await findAdmin(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (!admin.invitedAt || admin.invitationAcceptedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Admin has no pending invitation'
+      });
+    }
+
+    const inviter = await Admin.findById(req.admin.id).select('name');
+    await sendInvite(admin, inviter);
+
+    res.json({
+      success: true,
+      message: 'Invitation sent'
+    });
+  } catch (error) {
+    logger.error('Resend invite error:', error);
+    next(error);
+  }
+};
+
+const updateAdmin = async (req, res, next) => {
+  try {
+    const { name, role, isActive } = req.body;
+    const admin = await findAdmin(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (role !== undefined && !await Role.exists({ name: role })) {
+      return res.status(400).json({
+        success: false,
+        message: `Role '${role}' does not exist`
+      });
+    }
+
+    const roleChanged = role !== undefined && role !== admin.role;
+    const deactivated = isActive === false && admin.isActive;
+
+    if (roleChanged || deactivated) {
+      if (!await PermissionService.canAssignRole(req.admin.role, admin.role)) {
+        return forbiddenTarget(res);
+      }
+      if (roleChanged && !await PermissionService.canAssignRole(req.admin.role, role)) {
+        return forbiddenRole(res, role);
+      }
+    }
+
+    if ((roleChanged || deactivated) && await isLastSuperAdmin(admin)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot demote or deactivate the last super admin'
+      });
+    }
+
+    if (name !== undefined) {
+      admin.name = name;
+    }
+    if (role !== undefined) {
+      admin.role = role;
+    }
+    if (isActive !== undefined) {
+      admin.isActive = !!isActive;
+    }
+    await admin.save();
+
+    // The role is carried in access tokens: sign the admin out so it takes effect now
+    if (roleChanged || deactivated) {
+      await TokenVersionService.revokeAll('admin', admin._id);
+    }
+
+    res.json({
+      success: true,
+      data: admin
+    });
+  } catch (error) {
+    logger.error('Update admin error:', error);
+    next(error);
+  }
+};
+
+const deleteAdmin = async (req, res, next) => {
+  try {
+    const admin = await findAdmin(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (admin._id.toString() === req.admin.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    if (!await PermissionService.canAssignRole(req.admin.role, admin.role)) {
+      return forbiddenTarget(res);
+    }
+
+    if (await isLastSuperAdmin(admin)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot delete the last super admin'
+      });
+    }
+
+    await TokenVersionService.revokeAll('admin', admin._id);
+    await admin.deleteOne();
+
+    logger.info(`Admin ${req.admin.id} deleted admin ${admin.email}`);
+
+    res.json({
+      success: true,
+      message: 'Admin deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete admin error:', error);
+    next(error);
+  }
+};
+
+const resetAdminPassword = async (req, res, next) => {
+  try {
+    const admin = await findAdmin(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (!await PermissionService.canAssignRole(req.admin.role, admin.role)) {
+      return forbiddenTarget(res);
+    }
+
+    // The old password stops working and every session ends
+    admin.password = randomPassword();
+    await admin.save();
+    await TokenVersionService.revokeAll('admin', admin._id);
+
+    const token = await UserTokenService.issue(admin._id, 'admin_password_reset', PASSWORD_RESET_TTL_MINUTES);
+    await MailService.sendAdminPasswordReset(admin, token, PASSWORD_RESET_TTL_MINUTES);
+
+    logger.info(`Admin ${req.admin.id} reset the password of admin ${admin._id}`);
+
+    res.json({
+      success: true,
+      message: 'Password reset. A link to choose a new password has been emailed.'
+    });
+  } catch (error) {
+    logger.error('Reset admin password error:', error);
+    next(error);
+  }
+};
+
+const unlockAdmin = async (req, res, next) => {
+  try {
+    const admin = await LoginGuardService.unlock('admin', req.params.id, req.admin.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: admin,
+      message: 'Admin unlocked successfully'
+    });
+  } catch (error) {
+    logger.error('Unlock admin error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getAdmins,
+  getAdminById,
+  inviteAdmin,
+  resendInvite,
+  updateAdmin,
+  deleteAdmin,
+  resetAdminPassword,
+  unlockAdmin
+};
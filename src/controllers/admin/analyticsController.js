@@ -339,6 +339,39 @@ const getSubscriptions = async (req, res, next) => {
       }
     ]);
 
+    // Free trial conversions
+    const now = new Date();
+    const trialStats = await Subscription.aggregate([
+      { $match: { ...matchFilter, 'trial.startedAt': { $exists: true } } },
+      {
+        $group: {
+          _id: null,
+          started: { $sum: 1 },
+          converted: {
+            $sum: { $cond: [{ $ifNull: ['$trial.convertedAt', false] }, 1, 0] }
+          },
+          inTrial: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $eq: ['$status', 'active'] },
+                    { $gt: ['$trial.endsAt', now] },
+                    { $not: [{ $ifNull: ['$trial.convertedAt', false] }] }
+                  ]
+                },
+                1,
+                0
+              ]
+            }
+          }
+        }
+      }
+    ]);
+
+    const trials = trialStats[0] || { started: 0, converted: 0, inTrial: 0 };
+    const endedTrials = trials.started - trials.inTrial;
+
     res.json({
       success: true,
       data: {
@@ -347,7 +380,15 @@ const getSubscriptions = async (req, res, next) => {
           count: stat.count
         })),
         subscriptionsPerPlan,
-        newSubscriptionsTrend
+        newSubscriptionsTrend,
+        trials: {
+          started: trials.started,
+          inTrial: trials.inTrial,
+          converted: trials.converted,
+          conversionRate: endedTrials > 0
+            ? Math.round((trials.converted / endedTrials) * 10000) / 100
+            : 0
+        }
       }
     });
   } catch (error) {
@@ -0,0 +1,48 @@
+const AuditLogService = require('../../services/auditLogService');
+const { safeRoute } = require('../../middleware/routeWrapper');
+
+/**
+ * Audit Log Controller - Who changed what in the admin panel
+ */
+
+/**
+ * Get audit logs with filters
+ */
+const getAuditLogs = safeRoute(async (req, res) => {
+  const {
+    page = 1,
+    limit = 50,
+    adminId,
+    entityType,
+    entityId,
+    method,
+    startDate,
+    endDate
+  } = req.query;
+
+  const filters = {
+    adminId,
+    entityType,
+    entityId,
+    method: method ? method.toUpperCase() : undefined,
+    startDate,
+    endDate
+  };
+
+  const options = {
+    page: parseInt(page),
+    limit: Math.min(parseInt(limit), 100) // Max 100 per page
+  };
+
+  const result = await AuditLogService.getAuditLogs(filters, options);
+
+  res.json({
+    success: true,
+    data: result.data,
+    pagination: result.pagination
+  });
+}, { routeName: 'admin.auditLogs.get' });
+
+module.exports = {
+  getAuditLogs
+};
@@ -1,7 +1,105 @@
 const Admin = require('../../models/Admin');
-const { generateTokenPair, verifyRefreshToken } = require('../../utils/jwt');
+const {
+  generateTokenPair,
+  verifyRefreshToken,
+  generateChallengeToken,
+  verifyChallengeToken
+} = require('../../utils/jwt');
+const TokenVersionService = require('../../services/tokenVersionService');
+const LoginGuardService = require('../../services/loginGuardService');
+const TwoFactorService = require('../../services/twoFactorService');
+const UserTokenService = require('../../services/userTokenService');
+const PermissionService = require('../../services/permissionService');
 const logger = require('../../utils/logger');
 
+const REFRESH_TOKEN_LIFETIME_MS = 7 * 24 * 60 * 60 * 1000;
+const PASSWORD_MIN_LENGTH = 8;
+
+/**
+ * Issue tokens once every login step has passed
+ */
+const completeLogin = async (req, res, admin, extra = {}) => {
+  // Update last login
+  admin.lastLogin = new Date();
+  admin.lastLoginIP = req.ip || req.connection.remoteAddress;
+
+  // Generate tokens
+  const tokens = generateTokenPair({
+    id: admin._id,
+    email: admin.email,
+    role: admin.role,
+    tv: admin.tokenVersion || 0
+  });
+
+  // Store refresh token, dropping those past the refresh token lifetime
+  const cutoff = Date.now() - REFRESH_TOKEN_LIFETIME_MS;
+  admin.refreshTokens = admin.refreshTokens.filter(t => t.createdAt.getTime() > cutoff);
+  admin.refreshTokens.push({ token: tokens.refreshToken });
+  await admin.save();
+
+  res.json({
+    success: true,
+    data: {
+      admin: {
+        id: admin._id,
+        email: admin.email,
+        name: admin.name,
+        role: admin.role,
+        permissions: await PermissionService.getRolePermissions(admin.role)
+      },
+      ...extra,
+      ...tokens
+    }
+  });
+};
+
+/**
+ * Admin behind a login challenge token, if still valid
+ */
+const getChallengedAdmin = async (challengeToken) => {
+  let decoded;
+  try {
+    decoded = verifyChallengeToken(challengeToken);
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.purpose !== 'admin_2fa') {
+    return null;
+  }
+
+  const admin = await Admin.findById(decoded.id);
+  // A challenge dies with logout-all or a password change
+  if (!admin || !admin.isActive || (admin.tokenVersion || 0) !== (decoded.tv || 0)) {
+    return null;
+  }
+  return admin;
+};
+
+/**
+ * Respond to a wrong second factor, counting it toward the account lockout
+ */
+const rejectTwoFactor = async (req, res, admin) => {
+  const result = await LoginGuardService.recordFailure('admin', admin, {
+    identifier: admin.email,
+    ipAddress: req.ip || req.connection.remoteAddress
+  });
+
+  if (result.locked) {
+    const { status, body } = LoginGuardService.buildLoginError({
+      error: 'locked',
+      retryAfterSeconds: Math.ceil((result.lockedUntil.getTime() - Date.now()) / 1000)
+    });
+    res.set('Retry-After', String(body.retryAfterSeconds));
+    return res.status(status).json(body);
+  }
+
+  return res.status(401).json({
+    success: false,
+    message: 'Invalid two-factor code'
+  });
+};
+
 /**
  * @swagger
  * /admin/auth/login:
@@ -36,11 +134,17 @@ const login = async (req, res, next) => {
 
     const admin = await Admin.findOne({ email: email.toLowerCase() });
 
-    if (!admin || !await admin.comparePassword(password)) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
+    const result = await LoginGuardService.attemptLogin('admin', admin, password, {
+      identifier: email.toLowerCase(),
+      ipAddress: req.ip || req.connection.remoteAddress
+    });
+
+    if (!result.success) {
+      const { status, body } = LoginGuardService.buildLoginError(result);
+      if (body.retryAfterSeconds) {
+        res.set('Retry-After', String(body.retryAfterSeconds));
+      }
+      return res.status(status).json(body);
     }
 
     if (!admin.isActive) {
@@ -50,34 +154,23 @@ const login = async (req, res, next) => {
       });
     }
 
-    // Update last login
-    admin.lastLogin = new Date();
-    admin.lastLoginIP = req.ip || req.connection.remoteAddress;
-    await admin.save();
-
-    // Generate tokens
-    const tokens = generateTokenPair({
-      id: admin._id,
-      email: admin.email,
-      role: admin.role
-    });
-
-    // Store refresh token
-    admin.refreshTokens.push({ token: tokens.refreshToken });
-    await admin.save();
+    // Second step: a TOTP code, or enrolment when the role requires 2FA
+    if (admin.twoFactor?.enabled || TwoFactorService.isRequired(admin)) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          setupRequired: !admin.twoFactor?.enabled,
+          challengeToken: generateChallengeToken({
+            id: admin._id,
+            purpose: 'admin_2fa',
+            tv: admin.tokenVersion || 0
+          })
+        }
+      });
+    }
 
-    res.json({
-      success: true,
-      data: {
-        admin: {
-          id: admin._id,
-          email: admin.email,
-          name: admin.name,
-          role: admin.role
-        },
-        ...tokens
-      }
-    });
+    await completeLogin(req, res, admin);
   } catch (error) {
     logger.error('Admin login error:', error);
     next(error);
@@ -128,7 +221,8 @@ const refreshToken = async (req, res, next) => {
     const tokens = generateTokenPair({
       id: admin._id,
       email: admin.email,
-      role: admin.role
+      role: admin.role,
+      tv: admin.tokenVersion || 0
     });
 
     // Remove old refresh token and add new one
@@ -179,9 +273,405 @@ const logout = async (req, res, next) => {
   }
 };
 
+/**
+ * @swagger
+ * /admin/auth/logout-all:
+ *   post:
+ *     summary: Sign out the admin everywhere, revoking all issued tokens
+ *     tags: [Admin Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+const logoutAll = async (req, res, next) => {
+  try {
+    await TokenVersionService.revokeAll('admin', req.admin.id);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices'
+    });
+  } catch (error) {
+    logger.error('Admin logout all error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /admin/auth/2fa/verify:
+ *   post:
+ *     summary: Finish an admin login with a TOTP or recovery code
+ *     description: During forced enrolment, the code confirms the new authenticator and recovery codes are returned.
+ *     tags: [Admin Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ */
+const verifyTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and code are required'
+      });
+    }
+
+    const admin = await getChallengedAdmin(challengeToken);
+
+    if (!admin) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge'
+      });
+    }
+
+    const lockRemaining = LoginGuardService.getLockRemaining(admin);
+    if (lockRemaining > 0) {
+      const { status, body } = LoginGuardService.buildLoginError({ error: 'locked', retryAfterSeconds: lockRemaining });
+      res.set('Retry-After', String(body.retryAfterSeconds));
+      return res.status(status).json(body);
+    }
+
+    if (admin.twoFactor?.enabled) {
+      if (!await TwoFactorService.verify(admin, { code, recoveryCode })) {
+        return rejectTwoFactor(req, res, admin);
+      }
+      return completeLogin(req, res, admin);
+    }
+
+    // Forced enrolment: the first code confirms the authenticator
+    if (!admin.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const recoveryCodes = code && await TwoFactorService.confirmEnrollment(admin, code);
+    if (!recoveryCodes) {
+      return rejectTwoFactor(req, res, admin);
+    }
+
+    await completeLogin(req, res, admin, { recoveryCodes });
+  } catch (error) {
+    logger.error('Admin 2FA verify error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /admin/auth/2fa:
+ *   get:
+ *     summary: Two-factor status of the signed-in admin
+ *     tags: [Admin Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const admin = await Admin.findById(req.admin.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: TwoFactorService.getStatus(admin)
+    });
+  } catch (error) {
+    logger.error('Get 2FA status error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /admin/auth/2fa/setup:
+ *   post:
+ *     summary: Start TOTP enrolment and get the provisioning URI for a QR code
+ *     description: Signed-in admins use their access token; admins forced to enrol at login send the challengeToken instead.
+ *     tags: [Admin Auth]
+ */
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const admin = req.admin
+      ? await Admin.findById(req.admin.id)
+      : await getChallengedAdmin(req.body.challengeToken);
+
+    if (!admin) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge'
+      });
+    }
+
+    if (admin.twoFactor?.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const provisioning = await TwoFactorService.beginEnrollment(admin);
+
+    res.json({
+      success: true,
+      data: provisioning
+    });
+  } catch (error) {
+    logger.error('Admin 2FA setup error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /admin/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm TOTP enrolment with a code and receive recovery codes
+ *     tags: [Admin Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    const admin = await Admin.findById(req.admin.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (admin.twoFactor?.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!admin.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const recoveryCodes = code && await TwoFactorService.confirmEnrollment(admin, code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { recoveryCodes },
+      message: 'Two-factor authentication enabled. Store the recovery codes safely.'
+    });
+  } catch (error) {
+    logger.error('Admin 2FA enable error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /admin/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication (password and code required)
+ *     tags: [Admin Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const admin = await Admin.findById(req.admin.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (!admin.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (TwoFactorService.isRequired(admin)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role'
+      });
+    }
+
+    if (!password || !await admin.comparePassword(password) ||
+        !await TwoFactorService.verify(admin, { code, recoveryCode })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or two-factor code'
+      });
+    }
+
+    await TwoFactorService.disable(admin);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    logger.error('Admin 2FA disable error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /admin/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace recovery codes (current TOTP code required)
+ *     tags: [Admin Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    const admin = await Admin.findById(req.admin.id);
+
+    if (!admin || !admin.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!code || !await TwoFactorService.verifyCode(admin, code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(admin);
+
+    res.json({
+      success: true,
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    logger.error('Regenerate recovery codes error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Set an admin's password from an emailed invitation or reset token
+ */
+const setPasswordFromToken = (purpose) => async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and password are required'
+      });
+    }
+
+    if (password.length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters`
+      });
+    }
+
+    const record = await UserTokenService.consume(token, purpose);
+    const admin = record && await Admin.findById(record.user);
+
+    if (!admin) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
+
+    admin.password = password;
+    if (purpose === 'admin_invite') {
+      admin.invitationAcceptedAt = new Date();
+    }
+    await admin.save();
+
+    logger.info(`Admin ${admin._id} set a password via ${purpose}`);
+
+    res.json({
+      success: true,
+      message: 'Password set. You can now log in.'
+    });
+  } catch (error) {
+    logger.error(`Admin ${purpose} error:`, error);
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /admin/auth/accept-invite:
+ *   post:
+ *     summary: Accept an admin invitation by choosing a password
+ *     tags: [Admin Auth]
+ */
+const acceptInvite = setPasswordFromToken('admin_invite');
+
+/**
+ * @swagger
+ * /admin/auth/reset-password:
+ *   post:
+ *     summary: Choose a new password after a super admin reset it
+ *     tags: [Admin Auth]
+ */
+const resetPassword = setPasswordFromToken('admin_password_reset');
+
 module.exports = {
   login,
+  verifyTwoFactor,
   refreshToken,
-  logout
+  logout,
+  logoutAll,
+  acceptInvite,
+  resetPassword,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 };
 
@@ -0,0 +1,194 @@
+const Coupon = require('../../models/Coupon');
+const logger = require('../../utils/logger');
+
+const createCoupon = async (req, res, next) => {
+  try {
+    const coupon = new Coupon({
+      ...req.body,
+      redemptionCount: 0,
+      createdBy: req.admin.id
+    });
+    await coupon.save();
+
+    res.status(201).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Coupon code already exists'
+      });
+    }
+    logger.error('Create coupon error:', error);
+    next(error);
+  }
+};
+
+const getCoupons = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, search, isActive, planId } = req.query;
+    const query = {};
+
+    // Search by code
+    if (search) {
+      query.code = { $regex: search, $options: "i" };
+    }
+
+    // Active filter
+    if (isActive !== undefined) {
+      query.isActive = isActive === "true";
+    }
+
+    // Plan filter
+    if (planId) {
+      query.applicablePlans = planId;
+    }
+
+    // Fetch paginated coupons
+    const coupons = await Coupon.find(query)
+      .populate('applicablePlans', 'name price currency')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    // Total count
+    const total = await Coupon.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: coupons,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error("Get coupons error:", error);
+    next(error);
+  }
+};
+
+const getCouponById = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('applicablePlans', 'name price currency')
+      .populate('createdBy', 'name email');
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    logger.error('Get coupon by ID error:', error);
+    next(error);
+  }
+};
+
+const updateCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    // Redemption count is maintained by completed payments only
+    const { redemptionCount, createdBy, ...updates } = req.body;
+    Object.assign(coupon, updates);
+    await coupon.save();
+
+    res.json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Coupon code already exists'
+      });
+    }
+    logger.error('Update coupon error:', error);
+    next(error);
+  }
+};
+
+const deleteCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete coupon error:', error);
+    next(error);
+  }
+};
+
+const toggleActive = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isActive must be a boolean value (true or false)'
+      });
+    }
+
+    const coupon = await Coupon.findByIdAndUpdate(
+      id,
+      { isActive },
+      { new: true, runValidators: true }
+    );
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Coupon ${isActive ? 'activated' : 'deactivated'} successfully`,
+      data: coupon
+    });
+  } catch (error) {
+    logger.error('Toggle coupon active status error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  createCoupon,
+  getCoupons,
+  getCouponById,
+  updateCoupon,
+  deleteCoupon,
+  toggleActive
+};
@@ -41,6 +41,7 @@ const createMovie = async (req, res, next) => {
         languageCode: movie.languageId ? movie.languageId.toString() : null, // Store as string to avoid conflict
         releaseDate: movie.releaseDate,
         rating: movie.rating,
+        ageRating: movie.ageRating,
         isActive: movie.isActive
       },
       { upsert: true, new: true }
@@ -176,6 +177,7 @@ const updateMovie = async (req, res, next) => {
         languageCode: movie.languageId ? movie.languageId.toString() : null, // Store as string to avoid conflict
         releaseDate: movie.releaseDate,
         rating: movie.rating,
+        ageRating: movie.ageRating,
         isActive: movie.isActive
       },
       { upsert: true, new: true }
@@ -1,7 +1,15 @@
 const Payment = require('../../models/Payment');
 const Subscription = require('../../models/Subscription');
+const Invoice = require('../../models/Invoice');
+const paymentService = require('../../services/paymentService');
+const BillingService = require('../../services/billingService');
+const InvoiceService = require('../../services/invoiceService');
 const logger = require('../../utils/logger');
 
+const SUBSCRIPTION_REFUND_ACTIONS = ['none', 'cancel', 'shorten'];
+// A refund request left pending this long (gateway call never returned) no longer blocks new ones
+const PENDING_REFUND_TIMEOUT_MS = 10 * 60 * 1000;
+
 const getOrders = async (req, res, next) => {
   try {
     const { page = 1, limit = 20, search, status, paymentMethod, startDate, endDate } = req.query;
@@ -65,7 +73,8 @@ const getOrderById = async (req, res, next) => {
     const order = await Payment.findById(req.params.id)
       .populate('user', 'email phone')
       .populate('plan')
-      .populate('subscription');
+      .populate('subscription')
+      .populate('refunds.initiatedBy', 'name email role');
 
     if (!order) {
       return res.status(404).json({
@@ -154,9 +163,188 @@ const getPayments = async (req, res, next) => {
   }
 };
 
+const refundPayment = async (req, res, next) => {
+  try {
+    const { amount, reason, subscriptionAction = 'none', shortenByDays } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refund reason is required'
+      });
+    }
+
+    if (!SUBSCRIPTION_REFUND_ACTIONS.includes(subscriptionAction)) {
+      return res.status(400).json({
+        success: false,
+        message: `subscriptionAction must be one of: ${SUBSCRIPTION_REFUND_ACTIONS.join(', ')}`
+      });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const gateway = paymentService.getGateway(payment.paymentMethod);
+
+    if (!['completed', 'partially_refunded'].includes(payment.status) || !gateway ||
+        !payment.paymentGateway?.[gateway.fields.payment]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only captured gateway payments can be refunded'
+      });
+    }
+
+    const refundable = Math.round((payment.amount - (payment.refundAmount || 0)) * 100) / 100;
+    const refundAmount = amount !== undefined ? Number(amount) : refundable;
+
+    if (!(refundAmount > 0) || refundAmount > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund amount must be between 0 and ${refundable} ${payment.currency}`
+      });
+    }
+
+    // Saved before calling the gateway: its refund webhook can be recorded
+    // before this request is, and must apply the same subscription action
+    const requested = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        $or: [
+          { 'pendingRefund.requestedAt': null },
+          { 'pendingRefund.requestedAt': { $lt: new Date(Date.now() - PENDING_REFUND_TIMEOUT_MS) } }
+        ]
+      },
+      {
+        $set: {
+          pendingRefund: {
+            subscriptionAction,
+            shortenByDays: shortenByDays !== undefined ? parseInt(shortenByDays) : undefined,
+            reason,
+            initiatedBy: req.admin.id,
+            requestedAt: new Date()
+          }
+        }
+      }
+    );
+
+    if (!requested) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another refund of this payment is in progress'
+      });
+    }
+
+    let refund;
+    try {
+      refund = await gateway.refundPayment(
+        payment,
+        refundAmount,
+        { reason, adminId: String(req.admin.id) }
+      );
+    } catch (error) {
+      await Payment.updateOne({ _id: payment._id }, { $unset: { pendingRefund: 1 } });
+      throw error;
+    }
+
+    const recorded = await BillingService.recordRefund(payment._id, {
+      refundId: refund.id,
+      amount: refundAmount,
+      status: refund.status,
+      reason,
+      initiatedBy: req.admin.id
+    });
+
+    const refundedPayment = recorded.payment;
+
+    // The webhook got there first and already applied the action
+    const subscription = recorded.alreadyProcessed && subscriptionAction !== 'none' && refundedPayment.subscription
+      ? await Subscription.findById(refundedPayment.subscription)
+      : recorded.subscription;
+
+    logger.info(`Admin ${req.admin.id} refunded ${refundAmount} ${payment.currency} on payment ${payment._id}`);
+
+    res.json({
+      success: true,
+      data: {
+        payment: refundedPayment,
+        refund: {
+          refundId: refund.id,
+          amount: refundAmount,
+          status: refund.status
+        },
+        subscription
+      },
+      message: 'Refund processed successfully'
+    });
+  } catch (error) {
+    logger.error('Refund payment error:', error);
+    next(error);
+  }
+};
+
+const exportInvoices = async (req, res, next) => {
+  try {
+    const { from, to, format = 'csv', currency } = req.query;
+    const fromDate = new Date(from);
+    const toDate = new Date(to);
+
+    if (!from || !to || Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to dates are required'
+      });
+    }
+
+    if (fromDate > toDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be before to'
+      });
+    }
+
+    // A bare date for "to" covers that whole day
+    if (!/T/.test(to)) {
+      toDate.setUTCHours(23, 59, 59, 999);
+    }
+
+    const query = { issuedAt: { $gte: fromDate, $lte: toDate } };
+    if (currency) {
+      query.currency = currency;
+    }
+
+    const invoices = await Invoice.find(query).sort({ issuedAt: 1 }).lean();
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: invoices,
+        count: invoices.length
+      });
+    }
+
+    const filename = `invoices_${from}_${to}`.replace(/[^A-Za-z0-9_-]/g, '');
+    res.set({
+      'Content-Type': 'text/csv',
+      'Content-Disposition': `attachment; filename="${filename}.csv"`
+    });
+    res.send(InvoiceService.toCsv(invoices));
+  } catch (error) {
+    logger.error('Export invoices error:', error);
+    next(error);
+  }
+};
+
 module.exports = {
   getOrders,
   getOrderById,
-  getPayments
+  getPayments,
+  refundPayment,
+  exportInvoices
 };
 
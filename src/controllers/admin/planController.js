@@ -1,9 +1,20 @@
 const Plan = require('../../models/Plan');
+const PricingService = require('../../services/pricingService');
 const logger = require('../../utils/logger');
 
 const createPlan = async (req, res, next) => {
   try {
     const plan = new Plan(req.body);
+
+    // Only sellable plans need every enabled region priced
+    const pricingError = plan.isActive && PricingService.validatePlanPrices(plan);
+    if (pricingError) {
+      return res.status(400).json({
+        success: false,
+        message: pricingError
+      });
+    }
+
     await plan.save();
 
     res.status(201).json({
@@ -79,11 +90,7 @@ const getPlanById = async (req, res, next) => {
 
 const updatePlan = async (req, res, next) => {
   try {
-    const plan = await Plan.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const plan = await Plan.findById(req.params.id);
 
     if (!plan) {
       return res.status(404).json({
@@ -92,6 +99,18 @@ const updatePlan = async (req, res, next) => {
       });
     }
 
+    plan.set(req.body);
+
+    const pricingError = plan.isActive && PricingService.validatePlanPrices(plan);
+    if (pricingError) {
+      return res.status(400).json({
+        success: false,
+        message: pricingError
+      });
+    }
+
+    await plan.save();
+
     res.json({
       success: true,
       data: plan
@@ -135,11 +154,7 @@ const toggleActive = async (req, res, next) => {
       });
     }
 
-    const plan = await Plan.findByIdAndUpdate(
-      id,
-      { isActive },
-      { new: true, runValidators: true }
-    );
+    const plan = await Plan.findById(id);
 
     if (!plan) {
       return res.status(404).json({
@@ -148,6 +163,17 @@ const toggleActive = async (req, res, next) => {
       });
     }
 
+    const pricingError = isActive && PricingService.validatePlanPrices(plan);
+    if (pricingError) {
+      return res.status(400).json({
+        success: false,
+        message: pricingError
+      });
+    }
+
+    plan.isActive = isActive;
+    await plan.save();
+
     res.json({
       success: true,
       message: `Plan ${isActive ? 'activated' : 'deactivated'} successfully`,
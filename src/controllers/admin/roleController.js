@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const Role = require('../../models/Role');
+const Admin = require('../../models/Admin');
+const PermissionService = require('../../services/permissionService');
+const { PERMISSIONS, ALL_PERMISSIONS, SUPER_ADMIN_ROLE } = require('../../config/permissions');
+const logger = require('../../utils/logger');
+
+const findRole = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  return Role.findById(id);
+};
+
+// Permissions in the request that do not exist
+const unknownPermissions = (permissions) => permissions.filter(p => !ALL_PERMISSIONS.includes(p));
+
+// Admins can only grant permissions they hold themselves
+const ungrantablePermissions = (req, permissions) =>
+  PermissionService.missingPermissions(req.admin.role, permissions);
+
+const getPermissions = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+    });
+  } catch (error) {
+    logger.error('Get permissions error:', error);
+    next(error);
+  }
+};
+
+const getRoles = async (req, res, next) => {
+  try {
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 }).lean();
+
+    // Number of admins holding each role
+    const counts = await Admin.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const countByRole = Object.fromEntries(counts.map(c => [c._id, c.count]));
+
+    res.json({
+      success: true,
+      data: roles.map(role => ({
+        ...role,
+        permissions: role.name === SUPER_ADMIN_ROLE ? ALL_PERMISSIONS : role.permissions,
+        adminCount: countByRole[role.name] || 0
+      }))
+    });
+  } catch (error) {
+    logger.error('Get roles error:', error);
+    next(error);
+  }
+};
+
+const createRole = async (req, res, next) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    if (!name || !Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name and a permissions array are required'
+      });
+    }
+
+    const unknown = unknownPermissions(permissions);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permission(s): ${unknown.join(', ')}`
+      });
+    }
+
+    const ungrantable = await ungrantablePermissions(req, permissions);
+    if (ungrantable.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant permission(s) you do not have: ${ungrantable.join(', ')}`
+      });
+    }
+
+    const role = new Role({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: req.admin.id
+    });
+    await role.save();
+
+    res.status(201).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Role names use lowercase letters, digits and underscores, starting with a letter'
+      });
+    }
+    logger.error('Create role error:', error);
+    next(error);
+  }
+};
+
+const updateRole = async (req, res, next) => {
+  try {
+    const { description, permissions } = req.body;
+    const role = await findRole(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.name === SUPER_ADMIN_ROLE) {
+      return res.status(400).json({
+        success: false,
+        message: 'The super_admin role always has every permission and cannot be edited'
+      });
+    }
+
+    if (permissions !== undefined) {
+      if (!Array.isArray(permissions)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Permissions must be an array'
+        });
+      }
+
+      const unknown = unknownPermissions(permissions);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown permission(s): ${unknown.join(', ')}`
+        });
+      }
+
+      // Only the permissions being added: removing ones the caller lacks is allowed
+      const added = permissions.filter(p => !role.permissions.includes(p));
+      const ungrantable = await ungrantablePermissions(req, added);
+      if (ungrantable.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `You cannot grant permission(s) you do not have: ${ungrantable.join(', ')}`
+        });
+      }
+
+      role.permissions = [...new Set(permissions)];
+    }
+
+    if (description !== undefined) {
+      role.description = description;
+    }
+    await role.save();
+    PermissionService.invalidate(role.name);
+
+    res.json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    logger.error('Update role error:', error);
+    next(error);
+  }
+};
+
+const deleteRole = async (req, res, next) => {
+  try {
+    const role = await findRole(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const assigned = await Admin.countDocuments({ role: role.name });
+    if (assigned > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role is assigned to ${assigned} admin(s). Reassign them first.`
+      });
+    }
+
+    await role.deleteOne();
+    PermissionService.invalidate(role.name);
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete role error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
+};
@@ -25,6 +25,7 @@ const createSeries = async (req, res, next) => {
         languageCode: series.languageId ? series.languageId.toString() : null, // Store as string to avoid conflict
         releaseDate: series.releaseDate,
         rating: series.rating,
+        ageRating: series.ageRating,
         isActive: series.isActive
       },
       { upsert: true, new: true }
@@ -134,6 +135,7 @@ const updateSeries = async (req, res, next) => {
         languageCode: series.languageId ? series.languageId.toString() : null, // Store as string to avoid conflict
         releaseDate: series.releaseDate,
         rating: series.rating,
+        ageRating: series.ageRating,
         isActive: series.isActive
       },
       { upsert: true, new: true }
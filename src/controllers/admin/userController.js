@@ -1,4 +1,7 @@
 const User = require('../../models/User');
+const StreamSessionService = require('../../services/streamSessionService');
+const TokenVersionService = require('../../services/tokenVersionService');
+const LoginGuardService = require('../../services/loginGuardService');
 const logger = require('../../utils/logger');
 
 const getUsers = async (req, res, next) => {
@@ -65,9 +68,15 @@ const getUserById = async (req, res, next) => {
       });
     }
 
+    const lockouts = await LoginGuardService.getLockouts('user', user._id, 10);
+
     res.json({
       success: true,
-      data: user
+      data: {
+        ...user.toJSON(),
+        isLocked: LoginGuardService.getLockRemaining(user) > 0,
+        lockouts
+      }
     });
   } catch (error) {
     logger.error('Get user by ID error:', error);
@@ -94,6 +103,9 @@ const banUser = async (req, res, next) => {
       });
     }
 
+    // End access immediately rather than when the current token expires
+    await TokenVersionService.revokeAll('user', user._id);
+
     res.json({
       success: true,
       data: user,
@@ -134,10 +146,80 @@ const unbanUser = async (req, res, next) => {
   }
 };
 
+const unlockUser = async (req, res, next) => {
+  try {
+    const user = await LoginGuardService.unlock('user', req.params.id, req.admin.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user,
+      message: 'User unlocked successfully'
+    });
+  } catch (error) {
+    logger.error('Unlock user error:', error);
+    next(error);
+  }
+};
+
+const getUserStreams = async (req, res, next) => {
+  try {
+    const sessions = await StreamSessionService.listSessions(req.params.id);
+
+    if (!sessions) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    logger.error('Get user streams error:', error);
+    next(error);
+  }
+};
+
+const terminateUserStream = async (req, res, next) => {
+  try {
+    const { id, streamId } = req.params;
+    const removed = await StreamSessionService.stopSession(id, streamId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stream session not found'
+      });
+    }
+
+    logger.info(`Admin ${req.admin.id} terminated stream ${streamId} for user ${id}`);
+
+    res.json({
+      success: true,
+      message: 'Stream terminated successfully'
+    });
+  } catch (error) {
+    logger.error('Terminate user stream error:', error);
+    next(error);
+  }
+};
+
 module.exports = {
   getUsers,
   getUserById,
   banUser,
-  unbanUser
+  unbanUser,
+  unlockUser,
+  getUserStreams,
+  terminateUserStream
 };
 
@@ -1,8 +1,44 @@
+const mongoose = require('mongoose');
 const User = require('../../models/User');
-const { generateTokenPair, verifyRefreshToken } = require('../../utils/jwt');
+const WatchHistory = require('../../models/WatchHistory');
+const Watchlist = require('../../models/Watchlist');
+const Movie = require('../../models/Movie');
+const Series = require('../../models/Series');
+const PlanLimitService = require('../../services/planLimitService');
+const UserTokenService = require('../../services/userTokenService');
+const MailService = require('../../services/mailService');
+const OtpService = require('../../services/otpService');
+const SessionService = require('../../services/sessionService');
+const TokenVersionService = require('../../services/tokenVersionService');
+const LoginGuardService = require('../../services/loginGuardService');
+const ParentalControlService = require('../../services/parentalControlService');
+const { RATING_LEVELS } = require('../../config/maturity');
 const logger = require('../../utils/logger');
 const { v4: uuidv4 } = require('uuid');
 
+const PASSWORD_MIN_LENGTH = 8;
+const MAX_BLOCKED_TITLES = 200;
+
+const getPasswordResetTtlMinutes = () => parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+// One reset mail per account per window, however often it is asked for
+const getPasswordResetCooldownSeconds = () => parseInt(process.env.PASSWORD_RESET_COOLDOWN_SECONDS) || 60;
+const getEmailVerificationTtlMinutes = () => parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60;
+
+/**
+ * Issue a verification token and mail it; failures are logged, not thrown,
+ * so signup never fails because of the mail transport
+ */
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = await UserTokenService.issue(user._id, 'email_verification', getEmailVerificationTtlMinutes());
+    await MailService.sendEmailVerification(user, token);
+    return true;
+  } catch (error) {
+    logger.error(`Verification email for user ${user._id} failed:`, error);
+    return false;
+  }
+};
+
 const signup = async (req, res, next) => {
   try {
     const { email, password, phone, name } = req.body;
@@ -41,22 +77,22 @@ const signup = async (req, res, next) => {
     user.activeProfile = user.profiles[0]._id;
     await user.save();
 
-    // Generate tokens
-    const tokens = generateTokenPair({
-      id: user._id,
-      email: user.email
+    // Start a session and issue tokens
+    const tokens = SessionService.createSession(user, {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent']
     });
-
-    // Store refresh token
-    user.refreshTokens.push({ token: tokens.refreshToken });
     await user.save();
 
+    await sendVerificationEmail(user);
+
     res.status(201).json({
       success: true,
       data: {
         user: {
           id: user._id,
           email: user.email,
+          isEmailVerified: user.isEmailVerified,
           profiles: user.profiles
         },
         ...tokens
@@ -68,9 +104,78 @@ const signup = async (req, res, next) => {
   }
 };
 
+/**
+ * Shared tail of every login method (password, OTP): account checks, device
+ * registration against the plan's device limit, and token issuance
+ */
+const completeLogin = async (req, res, user, { isNewUser = false } = {}) => {
+  const { deviceId, deviceName, deviceType } = req.body;
+
+  if (!user.isActive || user.isBanned) {
+    return res.status(403).json({
+      success: false,
+      message: user.isBanned ? 'Account is banned' : 'Account is deactivated'
+    });
+  }
+
+  // Check device limit
+  if (deviceId && !user.devices.some(d => d.deviceId === deviceId)) {
+    const limits = await PlanLimitService.resolveForUser(user._id);
+    if (!user.checkDeviceLimit(limits.maxDevices)) {
+      return res.status(403).json(PlanLimitService.buildDeviceLimitError(user, limits));
+    }
+
+    // Register new device
+    user.devices.push({
+      deviceId: deviceId || uuidv4(),
+      deviceName: deviceName || 'Unknown Device',
+      deviceType: deviceType || 'web',
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent']
+    });
+  } else if (deviceId) {
+    // Update existing device
+    const device = user.devices.find(d => d.deviceId === deviceId);
+    if (device) {
+      device.lastActive = new Date();
+      device.ipAddress = req.ip || req.connection.remoteAddress;
+      device.userAgent = req.headers['user-agent'];
+    }
+  }
+
+  // Update last login
+  user.lastLogin = new Date();
+  user.lastLoginIP = req.ip || req.connection.remoteAddress;
+
+  // Start a session bound to the device and issue tokens
+  const tokens = SessionService.createSession(user, {
+    deviceId,
+    deviceName,
+    ipAddress: user.lastLoginIP,
+    userAgent: req.headers['user-agent']
+  });
+  await user.save();
+
+  res.status(isNewUser ? 201 : 200).json({
+    success: true,
+    data: {
+      user: {
+        id: user._id,
+        email: user.email,
+        phone: user.phone,
+        isEmailVerified: user.isEmailVerified,
+        profiles: user.profiles,
+        activeProfile: SessionService.getStartingProfileId(user)
+      },
+      isNewUser,
+      ...tokens
+    }
+  });
+};
+
 const login = async (req, res, next) => {
   try {
-    const { email, password, deviceId, deviceName, deviceType } = req.body;
+    const { email, password } = req.body;
 
     if (!email || !password) {
       return res.status(400).json({
@@ -81,83 +186,127 @@ const login = async (req, res, next) => {
 
     const user = await User.findOne({ email: email.toLowerCase() });
 
-    if (!user || !await user.comparePassword(password)) {
-      return res.status(401).json({
+    const result = await LoginGuardService.attemptLogin('user', user, password, {
+      identifier: email.toLowerCase(),
+      ipAddress: req.ip || req.connection.remoteAddress
+    });
+
+    if (!result.success) {
+      const { status, body } = LoginGuardService.buildLoginError(result);
+      if (body.retryAfterSeconds) {
+        res.set('Retry-After', String(body.retryAfterSeconds));
+      }
+      return res.status(status).json(body);
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    logger.error('User login error:', error);
+    next(error);
+  }
+};
+
+const requestOtp = async (req, res, next) => {
+  try {
+    const phone = OtpService.normalizePhone(req.body.phone);
+
+    if (!phone) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'A valid phone number is required'
       });
     }
 
-    if (!user.isActive || user.isBanned) {
-      return res.status(403).json({
+    const result = await OtpService.requestOtp(phone, req.ip || req.connection.remoteAddress);
+
+    if (!result.sent) {
+      res.set('Retry-After', String(result.retryAfterSeconds));
+      return res.status(429).json({
         success: false,
-        message: user.isBanned ? 'Account is banned' : 'Account is deactivated'
+        message: result.reason === 'cooldown'
+          ? 'Please wait before requesting another code'
+          : 'Too many codes requested. Please try again later.',
+        retryAfterSeconds: result.retryAfterSeconds
       });
     }
 
-    // Check device limit
-    if (deviceId && !user.devices.some(d => d.deviceId === deviceId)) {
-      if (!user.checkDeviceLimit()) {
-        return res.status(403).json({
-          success: false,
-          message: 'Device limit exceeded. Please remove a device first.'
-        });
-      }
+    res.json({
+      success: true,
+      data: {
+        phone,
+        expiresInSeconds: result.expiresInSeconds
+      },
+      message: 'Login code sent'
+    });
+  } catch (error) {
+    logger.error('Request OTP error:', error);
+    next(error);
+  }
+};
 
-      // Register new device
-      user.devices.push({
-        deviceId: deviceId || uuidv4(),
-        deviceName: deviceName || 'Unknown Device',
-        deviceType: deviceType || 'web',
-        ipAddress: req.ip || req.connection.remoteAddress,
-        userAgent: req.headers['user-agent']
-      });
-    } else if (deviceId) {
-      // Update existing device
-      const device = user.devices.find(d => d.deviceId === deviceId);
-      if (device) {
-        device.lastActive = new Date();
-        device.ipAddress = req.ip || req.connection.remoteAddress;
-        device.userAgent = req.headers['user-agent'];
-      }
+const verifyOtp = async (req, res, next) => {
+  try {
+    const { code, name } = req.body;
+    const phone = OtpService.normalizePhone(req.body.phone);
+
+    if (!phone || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number and code are required'
+      });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    user.lastLoginIP = req.ip || req.connection.remoteAddress;
-    await user.save();
+    const result = await OtpService.verifyOtp(phone, code);
 
-    // Generate tokens
-    const tokens = generateTokenPair({
-      id: user._id,
-      email: user.email
-    });
+    if (!result.valid) {
+      return res.status(401).json({
+        success: false,
+        message: result.reason === 'invalid' ? 'Incorrect code' : 'Code expired. Please request a new one.',
+        attemptsLeft: result.attemptsLeft
+      });
+    }
 
-    // Store refresh token
-    user.refreshTokens.push({ token: tokens.refreshToken, deviceId });
-    await user.save();
+    // Older accounts may hold the number without a country code
+    const defaultCountryCode = process.env.OTP_DEFAULT_COUNTRY_CODE || '+91';
+    const phoneVariants = [phone, phone.slice(1)];
+    if (phone.startsWith(defaultCountryCode)) {
+      phoneVariants.push(phone.slice(defaultCountryCode.length));
+    }
 
-    res.json({
-      success: true,
-      data: {
-        user: {
-          id: user._id,
-          email: user.email,
-          profiles: user.profiles,
-          activeProfile: user.activeProfile
-        },
-        ...tokens
-      }
+    // Only a number someone has already proven they own may log into an account
+    let user = await User.findOne({
+      phone: { $in: phoneVariants },
+      phoneVerifiedAt: { $type: 'date' }
     });
+    let isNewUser = false;
+
+    if (!user) {
+      user = new User({
+        phone,
+        phoneVerifiedAt: new Date(),
+        profiles: [{ name: name || 'Profile 1', isKids: false }]
+      });
+      user.activeProfile = user.profiles[0]._id;
+      await user.save();
+      isNewUser = true;
+    }
+
+    await completeLogin(req, res, user, { isNewUser });
   } catch (error) {
-    logger.error('User login error:', error);
+    logger.error('Verify OTP error:', error);
     next(error);
   }
 };
 
+const REFRESH_ERROR_MESSAGES = {
+  invalid: 'Invalid refresh token',
+  device_mismatch: 'Refresh token was issued to another device',
+  reused: 'Refresh token reuse detected. Please log in again.'
+};
+
 const refreshToken = async (req, res, next) => {
   try {
-    const { refreshToken } = req.body;
+    const { refreshToken, deviceId } = req.body;
 
     if (!refreshToken) {
       return res.status(400).json({
@@ -166,76 +315,326 @@ const refreshToken = async (req, res, next) => {
       });
     }
 
-    const decoded = verifyRefreshToken(refreshToken);
-    const user = await User.findById(decoded.id);
+    const result = await SessionService.rotate(refreshToken, {
+      deviceId,
+      ipAddress: req.ip || req.connection.remoteAddress
+    });
 
-    if (!user || !user.isActive || user.isBanned) {
+    if (result.error) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid refresh token'
+        message: REFRESH_ERROR_MESSAGES[result.error]
       });
     }
 
-    // Check if refresh token exists
-    const tokenExists = user.refreshTokens.some(
-      t => t.token === refreshToken
-    );
+    res.json({
+      success: true,
+      data: result.tokens
+    });
+  } catch (error) {
+    logger.error('User refresh token error:', error);
+    next(error);
+  }
+};
 
-    if (!tokenExists) {
-      return res.status(401).json({
+const logout = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      await SessionService.revokeByToken(req.user.id, refreshToken);
+    } else if (req.user.sid) {
+      await SessionService.revokeSession(req.user.id, req.user.sid);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    logger.error('User logout error:', error);
+    next(error);
+  }
+};
+
+const logoutAll = async (req, res, next) => {
+  try {
+    await TokenVersionService.revokeAll('user', req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices'
+    });
+  } catch (error) {
+    logger.error('User logout all error:', error);
+    next(error);
+  }
+};
+
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await SessionService.listSessions(req.user.id, req.user.sid);
+
+    if (!sessions) {
+      return res.status(404).json({
         success: false,
-        message: 'Refresh token not found'
+        message: 'User not found'
       });
     }
 
-    // Generate new token pair
-    const tokens = generateTokenPair({
-      id: user._id,
-      email: user.email
+    res.json({
+      success: true,
+      data: sessions
     });
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    next(error);
+  }
+};
+
+const revokeSession = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
 
-    // Remove old refresh token and add new one
-    user.refreshTokens = user.refreshTokens.filter(
-      t => t.token !== refreshToken
-    );
-    user.refreshTokens.push({ token: tokens.refreshToken });
+    const revoked = await SessionService.revokeSession(req.user.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    next(error);
+  }
+};
+
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+
+    const throttled = user &&
+      await UserTokenService.issuedWithin(user._id, 'password_reset', getPasswordResetCooldownSeconds());
+
+    if (user && user.isActive && !user.isBanned && !throttled) {
+      const ttlMinutes = getPasswordResetTtlMinutes();
+      const token = await UserTokenService.issue(user._id, 'password_reset', ttlMinutes);
+      await MailService.sendPasswordReset(user, token, ttlMinutes);
+    }
+
+    // Same response whether or not the account exists or was throttled
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    next(error);
+  }
+};
+
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and password are required'
+      });
+    }
+
+    if (password.length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters`
+      });
+    }
+
+    const resetToken = await UserTokenService.consume(token, 'password_reset');
+    const user = resetToken && await User.findById(resetToken.user);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    user.password = password;
+    // The reset link proves control of the mailbox
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
     await user.save();
 
+    // Sign out every session and token, including any an attacker may hold
+    await TokenVersionService.revokeAll('user', user._id);
+
+    logger.info(`Password reset for user ${user._id}`);
+
     res.json({
       success: true,
-      data: tokens
+      message: 'Password has been reset. Please log in again.'
     });
   } catch (error) {
-    logger.error('User refresh token error:', error);
+    logger.error('Reset password error:', error);
     next(error);
   }
 };
 
-const logout = async (req, res, next) => {
+const verifyEmail = async (req, res, next) => {
   try {
-    const { refreshToken } = req.body;
-    const user = await User.findById(req.user.id);
+    const token = req.body.token || req.query.token;
 
-    if (user && refreshToken) {
-      user.refreshTokens = user.refreshTokens.filter(
-        t => t.token !== refreshToken
-      );
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is required'
+      });
+    }
+
+    const verificationToken = await UserTokenService.consume(token, 'email_verification');
+    const user = verificationToken && await User.findById(verificationToken.user);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
       await user.save();
     }
 
     res.json({
       success: true,
-      message: 'Logged out successfully'
+      message: 'Email verified successfully'
     });
   } catch (error) {
-    logger.error('User logout error:', error);
+    logger.error('Verify email error:', error);
     next(error);
   }
 };
 
+const resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'No email address on this account'
+      });
+    }
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const sent = await sendVerificationEmail(user);
+    if (!sent) {
+      return res.status(503).json({
+        success: false,
+        message: 'Could not send verification email. Please try again later.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Profiles are managed from an unrestricted profile: from a kids profile, or
+ * one with a rating ceiling or blocked titles, they could be used to lift
+ * its own restrictions. A profile that no longer exists counts as restricted,
+ * as in ParentalControlService.forRequest.
+ */
+const isRestrictedSession = (req, user) => {
+  if (!req.user.pid) {
+    return false;
+  }
+  const profile = user.profiles.id(req.user.pid);
+  return !profile ||
+    ParentalControlService.isRestricted(ParentalControlService.getRestrictions(profile));
+};
+
+const rejectRestrictedSession = (res) => res.status(403).json({
+  success: false,
+  message: 'Profiles cannot be managed from a restricted profile'
+});
+
+/**
+ * Once a parental PIN exists it also guards adding and removing profiles and
+ * kids mode: otherwise a new unrestricted profile sidesteps every other control
+ * @returns {Promise<Object>} { success } or a checkParentalPin error
+ */
+const checkParentalPinIfSet = async (user, pin) => {
+  if (!user.parentalControls?.pinHash) {
+    return { success: true };
+  }
+  return ParentalControlService.checkParentalPin(user, pin);
+};
+
+const sendPinError = (res, result) => {
+  const { status, body } = ParentalControlService.buildPinError(result);
+  if (body.retryAfterSeconds) {
+    res.set('Retry-After', String(body.retryAfterSeconds));
+  }
+  return res.status(status).json(body);
+};
+
+const sendParentalPinError = (res, result) => {
+  const { status, body } = ParentalControlService.buildParentalPinError(result);
+  if (body.retryAfterSeconds) {
+    res.set('Retry-After', String(body.retryAfterSeconds));
+  }
+  return res.status(status).json(body);
+};
+
 const createProfile = async (req, res, next) => {
   try {
-    const { name, isKids, pin } = req.body;
+    const { name, avatar, isKids, pin, parentalPin } = req.body;
     const user = await User.findById(req.user.id);
 
     if (!user) {
@@ -245,12 +644,32 @@ const createProfile = async (req, res, next) => {
       });
     }
 
-    user.profiles.push({ name, isKids: isKids || false, pin });
+    if (isRestrictedSession(req, user)) {
+      return rejectRestrictedSession(res);
+    }
+
+    if (pin && !ParentalControlService.isValidPin(pin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'PIN must be exactly 4 digits'
+      });
+    }
+
+    const parentalCheck = await checkParentalPinIfSet(user, parentalPin);
+    if (!parentalCheck.success) {
+      return sendParentalPinError(res, parentalCheck);
+    }
+
+    user.profiles.push({ name, avatar, isKids: isKids || false });
+    const profile = user.profiles[user.profiles.length - 1];
+    if (pin) {
+      await ParentalControlService.setPin(profile, pin);
+    }
     await user.save();
 
     res.status(201).json({
       success: true,
-      data: user.profiles[user.profiles.length - 1]
+      data: profile
     });
   } catch (error) {
     logger.error('Create profile error:', error);
@@ -273,7 +692,7 @@ const getProfiles = async (req, res, next) => {
       success: true,
       data: {
         profiles: user.profiles,
-        activeProfile: user.activeProfile
+        activeProfile: req.user.pid || user.activeProfile
       }
     });
   } catch (error) {
@@ -285,6 +704,7 @@ const getProfiles = async (req, res, next) => {
 const updateProfile = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const { name, avatar, isKids, pin, currentPin, parentalPin } = req.body;
     const user = await User.findById(req.user.id);
 
     if (!user) {
@@ -294,6 +714,10 @@ const updateProfile = async (req, res, next) => {
       });
     }
 
+    if (isRestrictedSession(req, user)) {
+      return rejectRestrictedSession(res);
+    }
+
     const profile = user.profiles.id(id);
     if (!profile) {
       return res.status(404).json({
@@ -302,9 +726,44 @@ const updateProfile = async (req, res, next) => {
       });
     }
 
-    Object.assign(profile, req.body);
+    // A locked profile is only changed by someone who knows its PIN
+    const pinCheck = await ParentalControlService.checkPin(user, profile, currentPin);
+    if (!pinCheck.success) {
+      return sendPinError(res, pinCheck);
+    }
+
+    if (pin && !ParentalControlService.isValidPin(pin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'PIN must be exactly 4 digits'
+      });
+    }
+
+    // Turning kids mode on or off is a parental control once a parental PIN exists
+    if (isKids !== undefined && !!isKids !== profile.isKids) {
+      const parentalCheck = await checkParentalPinIfSet(user, parentalPin);
+      if (!parentalCheck.success) {
+        return sendParentalPinError(res, parentalCheck);
+      }
+    }
+
+    if (name !== undefined) {
+      profile.name = name;
+    }
+    if (avatar !== undefined) {
+      profile.avatar = avatar;
+    }
+    if (isKids !== undefined) {
+      profile.isKids = !!isKids;
+    }
+    // An empty or null PIN removes the lock
+    if (pin !== undefined) {
+      await ParentalControlService.setPin(profile, pin || null);
+    }
     await user.save();
 
+    ParentalControlService.invalidate(user._id);
+
     res.json({
       success: true,
       data: profile
@@ -327,6 +786,18 @@ const deleteProfile = async (req, res, next) => {
       });
     }
 
+    if (isRestrictedSession(req, user)) {
+      return rejectRestrictedSession(res);
+    }
+
+    const profile = user.profiles.id(id);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found'
+      });
+    }
+
     if (user.profiles.length <= 1) {
       return res.status(400).json({
         success: false,
@@ -334,12 +805,36 @@ const deleteProfile = async (req, res, next) => {
       });
     }
 
+    const pinCheck = await ParentalControlService.checkPin(user, profile, req.body.pin);
+    if (!pinCheck.success) {
+      return sendPinError(res, pinCheck);
+    }
+
+    const parentalCheck = await checkParentalPinIfSet(user, req.body.parentalPin);
+    if (!parentalCheck.success) {
+      return sendParentalPinError(res, parentalCheck);
+    }
+
     user.profiles = user.profiles.filter(p => p._id.toString() !== id);
     if (user.activeProfile?.toString() === id) {
       user.activeProfile = user.profiles[0]._id;
     }
+    // Sessions on the deleted profile continue in the account's active one from their next refresh
+    user.refreshTokens.forEach(session => {
+      if (session.profileId?.toString() === id) {
+        session.profileId = user.activeProfile;
+      }
+    });
     await user.save();
 
+    // History and watchlist are kept per profile and go with it
+    await Promise.all([
+      WatchHistory.deleteMany({ user: user._id, profile: profile._id }),
+      Watchlist.deleteMany({ user: user._id, profile: profile._id })
+    ]);
+
+    ParentalControlService.invalidate(user._id);
+
     res.json({
       success: true,
       message: 'Profile deleted successfully'
@@ -370,12 +865,21 @@ const switchProfile = async (req, res, next) => {
       });
     }
 
-    user.activeProfile = profile._id;
+    const pinCheck = await ParentalControlService.checkPin(user, profile, req.body.pin);
+    if (!pinCheck.success) {
+      return sendPinError(res, pinCheck);
+    }
+
+    // The profile travels in the access token, so the caller gets a new one
+    const accessToken = SessionService.selectProfile(user, req.user.sid, profile);
     await user.save();
 
     res.json({
       success: true,
-      data: profile
+      data: {
+        profile,
+        accessToken
+      }
     });
   } catch (error) {
     logger.error('Switch profile error:', error);
@@ -383,15 +887,270 @@ const switchProfile = async (req, res, next) => {
   }
 };
 
+/**
+ * Load the profile whose parental controls are being changed, once the
+ * account owner's parental PIN checks out. Sends the error response and
+ * returns null otherwise.
+ */
+const authorizeParentalChange = async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (isRestrictedSession(req, user)) {
+    rejectRestrictedSession(res);
+    return null;
+  }
+
+  const profile = user.profiles.id(req.params.id);
+  if (!profile) {
+    res.status(404).json({
+      success: false,
+      message: 'Profile not found'
+    });
+    return null;
+  }
+
+  const pinCheck = await ParentalControlService.checkParentalPin(user, req.body.parentalPin);
+  if (!pinCheck.success) {
+    sendParentalPinError(res, pinCheck);
+    return null;
+  }
+
+  return { user, profile };
+};
+
+const setParentalPin = async (req, res, next) => {
+  try {
+    const { pin, currentPin, password } = req.body;
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (isRestrictedSession(req, user)) {
+      return rejectRestrictedSession(res);
+    }
+
+    if (pin && !ParentalControlService.isValidPin(pin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'PIN must be exactly 4 digits'
+      });
+    }
+
+    // The account owner proves themselves with the password; accounts
+    // created by phone OTP have none and use the current PIN instead
+    if (user.password) {
+      if (!password || !await user.comparePassword(password)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Incorrect password'
+        });
+      }
+    } else {
+      const pinCheck = await ParentalControlService.checkPin(user, user.parentalControls, currentPin);
+      if (!pinCheck.success) {
+        return sendParentalPinError(res, pinCheck);
+      }
+    }
+
+    // An empty or null PIN removes it
+    await ParentalControlService.setPin(user.parentalControls, pin || null);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: pin ? 'Parental PIN set' : 'Parental PIN removed'
+    });
+  } catch (error) {
+    logger.error('Set parental PIN error:', error);
+    next(error);
+  }
+};
+
+const getParentalControls = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (isRestrictedSession(req, user)) {
+      return rejectRestrictedSession(res);
+    }
+
+    const profile = user.profiles.id(req.params.id);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await ParentalControlService.describe(profile)
+    });
+  } catch (error) {
+    logger.error('Get parental controls error:', error);
+    next(error);
+  }
+};
+
+const updateParentalControls = async (req, res, next) => {
+  try {
+    const { maxAgeRating } = req.body;
+
+    if (maxAgeRating && !Object.keys(RATING_LEVELS).includes(maxAgeRating)) {
+      return res.status(400).json({
+        success: false,
+        message: `maxAgeRating must be one of: ${Object.keys(RATING_LEVELS).join(', ')}`
+      });
+    }
+
+    const authorized = await authorizeParentalChange(req, res);
+    if (!authorized) {
+      return;
+    }
+    const { user, profile } = authorized;
+
+    // An empty or null rating removes the ceiling
+    if (maxAgeRating !== undefined) {
+      profile.maxAgeRating = maxAgeRating || undefined;
+    }
+    await user.save();
+
+    ParentalControlService.invalidate(user._id);
+
+    res.json({
+      success: true,
+      data: await ParentalControlService.describe(profile)
+    });
+  } catch (error) {
+    logger.error('Update parental controls error:', error);
+    next(error);
+  }
+};
+
+const blockTitle = async (req, res, next) => {
+  try {
+    const { contentId, contentType } = req.body;
+    const models = { Movie, Series };
+
+    if (!models[contentType] || !mongoose.Types.ObjectId.isValid(contentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid contentId and a contentType of Movie or Series are required'
+      });
+    }
+
+    const authorized = await authorizeParentalChange(req, res);
+    if (!authorized) {
+      return;
+    }
+    const { user, profile } = authorized;
+
+    if (!await models[contentType].exists({ _id: contentId })) {
+      return res.status(404).json({
+        success: false,
+        message: `${contentType} not found`
+      });
+    }
+
+    const alreadyBlocked = profile.blockedTitles.some(t => t.contentId.toString() === contentId);
+    if (!alreadyBlocked) {
+      if (profile.blockedTitles.length >= MAX_BLOCKED_TITLES) {
+        return res.status(400).json({
+          success: false,
+          message: `A profile can block at most ${MAX_BLOCKED_TITLES} titles`
+        });
+      }
+
+      profile.blockedTitles.push({ contentId, contentType });
+      await user.save();
+
+      ParentalControlService.invalidate(user._id);
+    }
+
+    res.status(alreadyBlocked ? 200 : 201).json({
+      success: true,
+      data: await ParentalControlService.describe(profile)
+    });
+  } catch (error) {
+    logger.error('Block title error:', error);
+    next(error);
+  }
+};
+
+const unblockTitle = async (req, res, next) => {
+  try {
+    const authorized = await authorizeParentalChange(req, res);
+    if (!authorized) {
+      return;
+    }
+    const { user, profile } = authorized;
+
+    const blocked = profile.blockedTitles.find(t => t.contentId.toString() === req.params.contentId);
+    if (!blocked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Title is not blocked on this profile'
+      });
+    }
+
+    blocked.deleteOne();
+    await user.save();
+
+    ParentalControlService.invalidate(user._id);
+
+    res.json({
+      success: true,
+      data: await ParentalControlService.describe(profile)
+    });
+  } catch (error) {
+    logger.error('Unblock title error:', error);
+    next(error);
+  }
+};
+
 module.exports = {
   signup,
   login,
+  requestOtp,
+  verifyOtp,
   refreshToken,
   logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
   createProfile,
   getProfiles,
   updateProfile,
   deleteProfile,
-  switchProfile
+  switchProfile,
+  setParentalPin,
+  getParentalControls,
+  updateParentalControls,
+  blockTitle,
+  unblockTitle
 };
 
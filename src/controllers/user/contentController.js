@@ -8,6 +8,8 @@ const Language = require('../../models/Language');
 const WatchHistory = require('../../models/WatchHistory');
 const Watchlist = require('../../models/Watchlist');
 const Cast = require('../../models/Cast');
+const ParentalControlService = require('../../services/parentalControlService');
+const { profileScope } = require('../../utils/profileScope');
 const logger = require('../../utils/logger');
 const MovieResponseTransformer = require('../../utils/movieResponseTransformer');
 
@@ -60,6 +62,8 @@ const getMovies = async (req, res, next) => {
       ];
     }
 
+    ParentalControlService.restrictQuery(query, await ParentalControlService.forRequest(req));
+
     let sort = {};
     if (sortBy === 'rating') sort = { rating: -1 };
     else if (sortBy === 'releaseDate') sort = { releaseDate: -1 };
@@ -109,6 +113,11 @@ const getMovieById = async (req, res, next) => {
       });
     }
 
+    const restrictions = await ParentalControlService.forRequest(req);
+    if (!ParentalControlService.isAllowed(restrictions, movie)) {
+      return res.status(403).json(ParentalControlService.buildBlockedError());
+    }
+
     res.json({
       success: true,
       data: MovieResponseTransformer.transformSingle(movie)
@@ -135,6 +144,8 @@ const getSeries = async (req, res, next) => {
       ];
     }
 
+    ParentalControlService.restrictQuery(query, await ParentalControlService.forRequest(req));
+
     let sort = {};
     if (sortBy === 'rating') sort = { rating: -1 };
     else if (sortBy === 'releaseDate') sort = { releaseDate: -1 };
@@ -183,6 +194,11 @@ const getSeriesById = async (req, res, next) => {
       });
     }
 
+    const restrictions = await ParentalControlService.forRequest(req);
+    if (!ParentalControlService.isAllowed(restrictions, series)) {
+      return res.status(403).json(ParentalControlService.buildBlockedError());
+    }
+
     res.json({
       success: true,
       data: series
@@ -195,6 +211,14 @@ const getSeriesById = async (req, res, next) => {
 
 const getSeasons = async (req, res, next) => {
   try {
+    const restrictions = await ParentalControlService.forRequest(req);
+    if (ParentalControlService.isRestricted(restrictions)) {
+      const series = await Series.findById(req.params.id).select('ageRating');
+      if (series && !ParentalControlService.isAllowed(restrictions, series)) {
+        return res.status(403).json(ParentalControlService.buildBlockedError());
+      }
+    }
+
     const seasons = await Season.find({ series: req.params.id, isActive: true })
       .populate({
         path: 'episodes',
@@ -226,6 +250,12 @@ const getEpisodeById = async (req, res, next) => {
       });
     }
 
+    // Episodes are rated through their series
+    const restrictions = await ParentalControlService.forRequest(req);
+    if (!ParentalControlService.isAllowed(restrictions, episode.series)) {
+      return res.status(403).json(ParentalControlService.buildBlockedError());
+    }
+
     res.json({
       success: true,
       data: episode
@@ -238,6 +268,8 @@ const getEpisodeById = async (req, res, next) => {
 
 const getHomepage = async (req, res, next) => {
   try {
+    const restrictions = await ParentalControlService.forRequest(req);
+
     const sections = await Section.find({ isActive: true })
       .populate({
         path: 'items.contentId',
@@ -245,13 +277,26 @@ const getHomepage = async (req, res, next) => {
       })
       .sort({ sortOrder: 1 });
 
+    // Drop section items the profile may not watch
+    if (ParentalControlService.isRestricted(restrictions)) {
+      sections.forEach(section => {
+        section.items = section.items.filter(item =>
+          item.contentId && ParentalControlService.isAllowed(restrictions, item.contentId)
+        );
+      });
+    }
+
     // Get featured movies and series
-    const featuredMovies = await Movie.find({ isActive: true, isFeatured: true })
+    const featuredMovies = await Movie.find(
+      ParentalControlService.restrictQuery({ isActive: true, isFeatured: true }, restrictions)
+    )
       .populate('genres')
       .limit(10)
       .select('-video');
 
-    const featuredSeries = await Series.find({ isActive: true, isFeatured: true })
+    const featuredSeries = await Series.find(
+      ParentalControlService.restrictQuery({ isActive: true, isFeatured: true }, restrictions)
+    )
       .populate('genres')
       .limit(10);
 
@@ -303,6 +348,7 @@ const getLanguages = async (req, res, next) => {
 
 const getTrending = async (req, res, next) => {
   try {
+    const restrictions = await ParentalControlService.forRequest(req);
     const { type = 'both', limit = 20 } = req.query;
     const daysAgo = 7;
     const dateThreshold = new Date();
@@ -330,10 +376,10 @@ const getTrending = async (req, res, next) => {
       ]);
 
       const movieIds = movieWatchCounts.map(m => m._id);
-      const movies = await Movie.find({
+      const movies = await Movie.find(ParentalControlService.restrictQuery({
         _id: { $in: movieIds },
         isActive: true
-      })
+      }, restrictions))
         .populate('genres')
         .populate('languageId')
         .select('-video');
@@ -360,10 +406,10 @@ const getTrending = async (req, res, next) => {
       ]);
 
       const seriesIds = seriesWatchCounts.map(s => s._id).filter(Boolean);
-      const series = await Series.find({
+      const series = await Series.find(ParentalControlService.restrictQuery({
         _id: { $in: seriesIds },
         isActive: true
-      })
+      }, restrictions))
         .populate('genres')
         .populate('languageId');
 
@@ -385,13 +431,14 @@ const getTrending = async (req, res, next) => {
 
 const getPopular = async (req, res, next) => {
   try {
+    const restrictions = await ParentalControlService.forRequest(req);
     const { type = 'both', limit = 20 } = req.query;
 
     const popularMovies = [];
     const popularSeries = [];
 
     if (type === 'both' || type === 'movie') {
-      const movies = await Movie.find({ isActive: true })
+      const movies = await Movie.find(ParentalControlService.restrictQuery({ isActive: true }, restrictions))
         .populate('genres')
         .populate('languageId')
         .sort({ watchCount: -1, views: -1 })
@@ -402,7 +449,7 @@ const getPopular = async (req, res, next) => {
     }
 
     if (type === 'both' || type === 'series') {
-      const series = await Series.find({ isActive: true })
+      const series = await Series.find(ParentalControlService.restrictQuery({ isActive: true }, restrictions))
         .populate('genres')
         .populate('languageId')
         .sort({ watchCount: -1, views: -1 })
@@ -426,6 +473,7 @@ const getPopular = async (req, res, next) => {
 
 const getRecentlyAdded = async (req, res, next) => {
   try {
+    const restrictions = await ParentalControlService.forRequest(req);
     const { type = 'both', limit = 20 } = req.query;
     const daysAgo = 30;
     const dateThreshold = new Date();
@@ -435,10 +483,10 @@ const getRecentlyAdded = async (req, res, next) => {
     const recentSeries = [];
 
     if (type === 'both' || type === 'movie') {
-      const movies = await Movie.find({
+      const movies = await Movie.find(ParentalControlService.restrictQuery({
         isActive: true,
         createdAt: { $gte: dateThreshold }
-      })
+      }, restrictions))
         .populate('genres')
         .populate('languageId')
         .sort({ createdAt: -1 })
@@ -449,10 +497,10 @@ const getRecentlyAdded = async (req, res, next) => {
     }
 
     if (type === 'both' || type === 'series') {
-      const series = await Series.find({
+      const series = await Series.find(ParentalControlService.restrictQuery({
         isActive: true,
         createdAt: { $gte: dateThreshold }
-      })
+      }, restrictions))
         .populate('genres')
         .populate('languageId')
         .sort({ createdAt: -1 })
@@ -476,6 +524,7 @@ const getRecentlyAdded = async (req, res, next) => {
 
 const getRecommendations = async (req, res, next) => {
   try {
+    const restrictions = await ParentalControlService.forRequest(req);
     const userId = req.user?.id;
     const { limit = 20 } = req.query;
 
@@ -489,7 +538,8 @@ const getRecommendations = async (req, res, next) => {
       });
     }
 
-    const userWatchHistory = await WatchHistory.find({ user: userId })
+    // Recommendations follow what this profile watched
+    const userWatchHistory = await WatchHistory.find(profileScope(req))
       .populate('contentId')
       .limit(50);
 
@@ -520,11 +570,11 @@ const getRecommendations = async (req, res, next) => {
     const recommendations = [];
 
     if (genreArray.length > 0) {
-      const recommendedMovies = await Movie.find({
+      const recommendedMovies = await Movie.find(ParentalControlService.restrictQuery({
         isActive: true,
         genres: { $in: genreArray },
         _id: { $nin: watchedContentIds }
-      })
+      }, restrictions))
         .populate('genres')
         .populate('languageId')
         .sort({ rating: -1, watchCount: -1 })
@@ -535,11 +585,11 @@ const getRecommendations = async (req, res, next) => {
     }
 
     if (castArray.length > 0) {
-      const castMovies = await Movie.find({
+      const castMovies = await Movie.find(ParentalControlService.restrictQuery({
         isActive: true,
         'cast.castId': { $in: castArray },
         _id: { $nin: watchedContentIds }
-      })
+      }, restrictions))
         .populate('genres')
         .populate('languageId')
         .sort({ rating: -1 })
@@ -568,6 +618,7 @@ const getRecommendations = async (req, res, next) => {
 
 const getRelatedContent = async (req, res, next) => {
   try {
+    const restrictions = await ParentalControlService.forRequest(req);
     const { id, type = 'movie', limit = 10 } = req.query;
 
     if (type === 'movie') {
@@ -580,11 +631,11 @@ const getRelatedContent = async (req, res, next) => {
       }
 
       const genreIds = movie.genres.map(g => g._id);
-      const related = await Movie.find({
+      const related = await Movie.find(ParentalControlService.restrictQuery({
         _id: { $ne: id },
         isActive: true,
         genres: { $in: genreIds }
-      })
+      }, restrictions))
         .populate('genres')
         .populate('languageId')
         .limit(parseInt(limit))
@@ -604,11 +655,11 @@ const getRelatedContent = async (req, res, next) => {
       }
 
       const genreIds = series.genres.map(g => g._id);
-      const related = await Series.find({
+      const related = await Series.find(ParentalControlService.restrictQuery({
         _id: { $ne: id },
         isActive: true,
         genres: { $in: genreIds }
-      })
+      }, restrictions))
         .populate('genres')
         .populate('languageId')
         .limit(parseInt(limit));
@@ -626,16 +677,17 @@ const getRelatedContent = async (req, res, next) => {
 
 const getContentByCast = async (req, res, next) => {
   try {
+    const restrictions = await ParentalControlService.forRequest(req);
     const { castId, type = 'both', limit = 20 } = req.query;
 
     const movies = [];
     const series = [];
 
     if (type === 'both' || type === 'movie') {
-      const movieList = await Movie.find({
+      const movieList = await Movie.find(ParentalControlService.restrictQuery({
         isActive: true,
         'cast.castId': castId
-      })
+      }, restrictions))
         .populate('genres')
         .populate('languageId')
         .populate('cast.castId')
@@ -646,10 +698,10 @@ const getContentByCast = async (req, res, next) => {
     }
 
     if (type === 'both' || type === 'series') {
-      const seriesList = await Series.find({
+      const seriesList = await Series.find(ParentalControlService.restrictQuery({
         isActive: true,
         'cast.castId': castId
-      })
+      }, restrictions))
         .populate('genres')
         .populate('languageId')
         .populate('cast.castId')
@@ -673,16 +725,17 @@ const getContentByCast = async (req, res, next) => {
 
 const getContentByLanguage = async (req, res, next) => {
   try {
+    const restrictions = await ParentalControlService.forRequest(req);
     const { languageId, type = 'both', limit = 20 } = req.query;
 
     const movies = [];
     const series = [];
 
     if (type === 'both' || type === 'movie') {
-      const movieList = await Movie.find({
+      const movieList = await Movie.find(ParentalControlService.restrictQuery({
         isActive: true,
         languageId: languageId
-      })
+      }, restrictions))
         .populate('genres')
         .populate('languageId')
         .limit(parseInt(limit))
@@ -692,10 +745,10 @@ const getContentByLanguage = async (req, res, next) => {
     }
 
     if (type === 'both' || type === 'series') {
-      const seriesList = await Series.find({
+      const seriesList = await Series.find(ParentalControlService.restrictQuery({
         isActive: true,
         languageId: languageId
-      })
+      }, restrictions))
         .populate('genres')
         .populate('languageId')
         .limit(parseInt(limit));
@@ -718,16 +771,17 @@ const getContentByLanguage = async (req, res, next) => {
 
 const getKidsContent = async (req, res, next) => {
   try {
+    const restrictions = await ParentalControlService.forRequest(req);
     const { type = 'both', limit = 20 } = req.query;
 
     const kidsMovies = [];
     const kidsSeries = [];
 
     if (type === 'both' || type === 'movie') {
-      const movies = await Movie.find({
+      const movies = await Movie.find(ParentalControlService.restrictQuery({
         isActive: true,
         ageRating: { $in: ['G', 'PG', 'U'] }
-      })
+      }, restrictions))
         .populate('genres')
         .populate('languageId')
         .sort({ rating: -1 })
@@ -738,10 +792,10 @@ const getKidsContent = async (req, res, next) => {
     }
 
     if (type === 'both' || type === 'series') {
-      const series = await Series.find({
+      const series = await Series.find(ParentalControlService.restrictQuery({
         isActive: true,
         ageRating: { $in: ['G', 'PG', 'U'] }
-      })
+      }, restrictions))
         .populate('genres')
         .populate('languageId')
         .sort({ rating: -1 })
@@ -765,6 +819,7 @@ const getKidsContent = async (req, res, next) => {
 
 const getUpcoming = async (req, res, next) => {
   try {
+    const restrictions = await ParentalControlService.forRequest(req);
     const { type = 'both', limit = 20 } = req.query;
     const today = new Date();
 
@@ -772,10 +827,10 @@ const getUpcoming = async (req, res, next) => {
     const upcomingSeries = [];
 
     if (type === 'both' || type === 'movie') {
-      const movies = await Movie.find({
+      const movies = await Movie.find(ParentalControlService.restrictQuery({
         isActive: true,
         releaseDate: { $gt: today }
-      })
+      }, restrictions))
         .populate('genres')
         .populate('languageId')
         .sort({ releaseDate: 1 })
@@ -786,10 +841,10 @@ const getUpcoming = async (req, res, next) => {
     }
 
     if (type === 'both' || type === 'series') {
-      const series = await Series.find({
+      const series = await Series.find(ParentalControlService.restrictQuery({
         isActive: true,
         releaseDate: { $gt: today }
-      })
+      }, restrictions))
         .populate('genres')
         .populate('languageId')
         .sort({ releaseDate: 1 })
@@ -813,6 +868,7 @@ const getUpcoming = async (req, res, next) => {
 
 const getCastDetails = async (req, res, next) => {
   try {
+    const restrictions = await ParentalControlService.forRequest(req);
     const cast = await Cast.findById(req.params.id);
     if (!cast || !cast.isActive) {
       return res.status(404).json({
@@ -821,18 +877,18 @@ const getCastDetails = async (req, res, next) => {
       });
     }
 
-    const movies = await Movie.find({
+    const movies = await Movie.find(ParentalControlService.restrictQuery({
       isActive: true,
       'cast.castId': cast._id
-    })
+    }, restrictions))
       .populate('genres')
       .select('-video')
       .limit(20);
 
-    const series = await Series.find({
+    const series = await Series.find(ParentalControlService.restrictQuery({
       isActive: true,
       'cast.castId': cast._id
-    })
+    }, restrictions))
       .populate('genres')
       .limit(20);
 
@@ -1,4 +1,5 @@
 const User = require('../../models/User');
+const PlanLimitService = require('../../services/planLimitService');
 const logger = require('../../utils/logger');
 
 const getDevices = async (req, res, next) => {
@@ -50,11 +51,9 @@ const registerDevice = async (req, res, next) => {
     }
 
     // Check device limit
-    if (!user.checkDeviceLimit()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Device limit exceeded. Please remove a device first.'
-      });
+    const limits = await PlanLimitService.resolveForUser(user._id);
+    if (!user.checkDeviceLimit(limits.maxDevices)) {
+      return res.status(403).json(PlanLimitService.buildDeviceLimitError(user, limits));
     }
 
     // Add new device
@@ -91,6 +90,8 @@ const removeDevice = async (req, res, next) => {
     }
 
     user.devices = user.devices.filter(d => d.deviceId !== deviceId);
+    // A removed device is signed out as well
+    user.refreshTokens = user.refreshTokens.filter(t => t.deviceId !== deviceId);
     await user.save();
 
     res.json({
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Payment = require('../../models/Payment');
+const Invoice = require('../../models/Invoice');
+const InvoiceService = require('../../services/invoiceService');
+const logger = require('../../utils/logger');
+
+const getPayments = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const query = { user: req.user.id };
+
+    if (status) {
+      query.status = status;
+    }
+
+    const payments = await Payment.find(query)
+      .select('-paymentGateway.razorpaySignature -refunds.initiatedBy -pendingRefund -metadata')
+      .populate('plan', 'name duration')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Payment.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: payments,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get payments error:', error);
+    next(error);
+  }
+};
+
+const getInvoice = async (req, res, next) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const payment = await Payment.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (!['completed', 'partially_refunded', 'refunded'].includes(payment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoices are only available for completed payments'
+      });
+    }
+
+    // Issued at completion; generated here if that attempt failed
+    const invoice = await Invoice.findOne({ payment: payment._id }) ||
+      await InvoiceService.generateForPayment(payment._id);
+
+    if (format === 'pdf') {
+      const pdf = await InvoiceService.renderPdf(invoice);
+      const filename = `${invoice.invoiceNumber.replace(/[^A-Za-z0-9-]/g, '_')}.pdf`;
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Content-Length': pdf.length
+      });
+      return res.send(pdf);
+    }
+
+    res.json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    logger.error('Get invoice error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getPayments,
+  getInvoice
+};
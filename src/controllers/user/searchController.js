@@ -1,4 +1,5 @@
 const SearchIndex = require('../../models/SearchIndex');
+const ParentalControlService = require('../../services/parentalControlService');
 const logger = require('../../utils/logger');
 
 const search = async (req, res, next) => {
@@ -25,6 +26,10 @@ const search = async (req, res, next) => {
       query.genres = genre;
     }
 
+    ParentalControlService.restrictQuery(query, await ParentalControlService.forRequest(req), {
+      idField: 'contentId'
+    });
+
     const results = await SearchIndex.find(query)
       .sort({ score: { $meta: 'textScore' }, popularity: -1 })
       .limit(limit * 1)
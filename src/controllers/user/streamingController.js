@@ -1,10 +1,15 @@
 const Movie = require('../../models/Movie');
 const Episode = require('../../models/Episode');
+const Series = require('../../models/Series');
 const User = require('../../models/User');
 const Subscription = require('../../models/Subscription');
 const WatchHistory = require('../../models/WatchHistory');
 const { generateStreamingToken, verifyStreamingToken } = require('../../utils/jwt');
 const { getSignedDownloadUrl, getVideoPath, getSubtitlePath } = require('../../config/r2');
+const StreamSessionService = require('../../services/streamSessionService');
+const PlanLimitService = require('../../services/planLimitService');
+const ParentalControlService = require('../../services/parentalControlService');
+const { profileScope } = require('../../utils/profileScope');
 const logger = require('../../utils/logger');
 const { v4: uuidv4 } = require('uuid');
 
@@ -100,11 +105,10 @@ const getMovieStream = async (req, res, next) => {
     const availableQualities = getAvailableQualitiesList(maxQuality);
 
     // Check concurrent stream limit
-    if (!user.checkStreamLimit()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Maximum concurrent streams reached'
-      });
+    const limits = PlanLimitService.fromPlan(plan);
+    user.pruneStaleStreams();
+    if (!user.checkStreamLimit(limits.maxStreams)) {
+      return res.status(403).json(PlanLimitService.buildStreamLimitError(user, limits));
     }
 
     const movie = await Movie.findById(id);
@@ -115,6 +119,11 @@ const getMovieStream = async (req, res, next) => {
       });
     }
 
+    const restrictions = await ParentalControlService.forRequest(req);
+    if (!ParentalControlService.isAllowed(restrictions, movie)) {
+      return res.status(403).json(ParentalControlService.buildBlockedError());
+    }
+
     // Determine video path based on quality
     // If movie.video contains a path, use it; otherwise construct from quality
     let videoPath = movie.video;
@@ -127,27 +136,31 @@ const getMovieStream = async (req, res, next) => {
 
     // Generate streaming token
     const streamId = uuidv4();
+    const streamDeviceId = deviceId || uuidv4();
     const streamingToken = generateStreamingToken({
       userId,
       contentId: id,
       contentType: 'Movie',
       streamId,
-      deviceId: deviceId || uuidv4(),
+      deviceId: streamDeviceId,
       quality: validQuality
     }, '2h');
 
     // Track current stream
+    const now = new Date();
     user.currentStreams.push({
       contentId: id,
       contentType: 'Movie',
-      deviceId: deviceId || uuidv4(),
-      startedAt: new Date()
+      deviceId: streamDeviceId,
+      streamId,
+      startedAt: now,
+      lastHeartbeat: now
     });
     await user.save();
 
     // Get playback position from watch history
     const watchHistory = await WatchHistory.findOne({
-      user: userId,
+      ...profileScope(req),
       contentId: id,
       contentType: 'Movie'
     });
@@ -160,6 +173,7 @@ const getMovieStream = async (req, res, next) => {
       data: {
         streamUrl: signedUrl,
         token: streamingToken,
+        streamId,
         quality: validQuality,
         maxQuality: maxQuality,
         availableQualities: availableQualities,
@@ -171,8 +185,8 @@ const getMovieStream = async (req, res, next) => {
           resumeAt: watchHistory.watchedDuration
         } : null,
         planFeatures: {
-          maxDevices: plan.features?.maxDevices || 5,
-          maxStreams: plan.features?.maxStreams || 3,
+          maxDevices: limits.maxDevices,
+          maxStreams: limits.maxStreams,
           adFree: plan.features?.adFree || false,
           download: plan.features?.download || false
         }
@@ -221,11 +235,10 @@ const getEpisodeStream = async (req, res, next) => {
     const availableQualities = getAvailableQualitiesList(maxQuality);
 
     // Check concurrent stream limit
-    if (!user.checkStreamLimit()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Maximum concurrent streams reached'
-      });
+    const limits = PlanLimitService.fromPlan(plan);
+    user.pruneStaleStreams();
+    if (!user.checkStreamLimit(limits.maxStreams)) {
+      return res.status(403).json(PlanLimitService.buildStreamLimitError(user, limits));
     }
 
     const episode = await Episode.findById(id).populate('series season');
@@ -236,6 +249,12 @@ const getEpisodeStream = async (req, res, next) => {
       });
     }
 
+    // Episodes are rated through their series
+    const restrictions = await ParentalControlService.forRequest(req);
+    if (!ParentalControlService.isAllowed(restrictions, episode.series)) {
+      return res.status(403).json(ParentalControlService.buildBlockedError());
+    }
+
     // Determine video path based on quality
     let videoPath = episode.video;
     
@@ -248,6 +267,7 @@ const getEpisodeStream = async (req, res, next) => {
 
     // Generate streaming token
     const streamId = uuidv4();
+    const streamDeviceId = deviceId || uuidv4();
     const streamingToken = generateStreamingToken({
       userId,
       contentId: id,
@@ -255,22 +275,25 @@ const getEpisodeStream = async (req, res, next) => {
       seriesId: episode.series._id,
       seasonId: episode.season._id,
       streamId,
-      deviceId: deviceId || uuidv4(),
+      deviceId: streamDeviceId,
       quality: validQuality
     }, '2h');
 
     // Track current stream
+    const now = new Date();
     user.currentStreams.push({
       contentId: id,
       contentType: 'Episode',
-      deviceId: deviceId || uuidv4(),
-      startedAt: new Date()
+      deviceId: streamDeviceId,
+      streamId,
+      startedAt: now,
+      lastHeartbeat: now
     });
     await user.save();
 
     // Get playback position from watch history
     const watchHistory = await WatchHistory.findOne({
-      user: userId,
+      ...profileScope(req),
       contentId: id,
       contentType: 'Episode'
     });
@@ -283,6 +306,7 @@ const getEpisodeStream = async (req, res, next) => {
       data: {
         streamUrl: signedUrl,
         token: streamingToken,
+        streamId,
         quality: validQuality,
         maxQuality: maxQuality,
         availableQualities: availableQualities,
@@ -294,8 +318,8 @@ const getEpisodeStream = async (req, res, next) => {
           resumeAt: watchHistory.watchedDuration
         } : null,
         planFeatures: {
-          maxDevices: plan.features?.maxDevices || 5,
-          maxStreams: plan.features?.maxStreams || 3,
+          maxDevices: limits.maxDevices,
+          maxStreams: limits.maxStreams,
           adFree: plan.features?.adFree || false,
           download: plan.features?.download || false
         }
@@ -307,6 +331,139 @@ const getEpisodeStream = async (req, res, next) => {
   }
 };
 
+/**
+ * Decode the streaming token from the request body and check it belongs to the caller
+ * Expiry is not enforced: playback can outlast the token, and the caller
+ * still has to own a live stream session with that streamId.
+ * @param {Object} req - Express request
+ * @returns {Object|null} Decoded token, or null if missing, invalid or not owned
+ */
+const decodeOwnStreamingToken = (req) => {
+  const { token } = req.body;
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const decoded = verifyStreamingToken(token, { ignoreExpiration: true });
+    if (!decoded.streamId || decoded.userId?.toString() !== req.user.id?.toString()) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Re-check that a running stream is still allowed
+ * The subscription may have lapsed, or the profile's maturity rules changed,
+ * since playback started.
+ * @param {Object} req - Express request
+ * @param {Object} decoded - Decoded streaming token
+ * @returns {Promise<Object|null>} Error body, or null if playback may continue
+ */
+const checkStreamAccess = async (req, decoded) => {
+  const subscription = await Subscription.findOne({
+    user: req.user.id,
+    status: 'active'
+  });
+
+  if (!subscription || !subscription.isActive()) {
+    return {
+      success: false,
+      message: 'Active subscription required'
+    };
+  }
+
+  const restrictions = await ParentalControlService.forRequest(req);
+  if (!ParentalControlService.isRestricted(restrictions)) {
+    return null;
+  }
+
+  // Episodes are rated through their series
+  const title = decoded.contentType === 'Episode'
+    ? await Series.findById(decoded.seriesId).select('ageRating').lean()
+    : await Movie.findById(decoded.contentId).select('ageRating').lean();
+
+  if (!ParentalControlService.isAllowed(restrictions, title)) {
+    return ParentalControlService.buildBlockedError();
+  }
+
+  return null;
+};
+
+/**
+ * Keep a stream session alive
+ * Ends the session instead when the stream is no longer allowed.
+ */
+const heartbeatStream = async (req, res, next) => {
+  try {
+    const decoded = decodeOwnStreamingToken(req);
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired streaming token'
+      });
+    }
+
+    const accessError = await checkStreamAccess(req, decoded);
+    if (accessError) {
+      await StreamSessionService.stopSession(req.user.id, decoded.streamId);
+      return res.status(403).json(accessError);
+    }
+
+    const session = await StreamSessionService.heartbeat(req.user.id, decoded.streamId);
+    if (!session) {
+      // Session was reaped or terminated; the player should stop
+      return res.status(404).json({
+        success: false,
+        message: 'Stream session not found or expired'
+      });
+    }
+
+    // Hand back a fresh token so the player never holds an expired one
+    const { iat, exp, ...claims } = decoded;
+
+    res.json({
+      success: true,
+      data: {
+        streamId: session.streamId,
+        lastHeartbeat: session.lastHeartbeat,
+        streamingToken: generateStreamingToken(claims, '2h')
+      }
+    });
+  } catch (error) {
+    logger.error('Stream heartbeat error:', error);
+    next(error);
+  }
+};
+
+/**
+ * End a stream session
+ */
+const stopStream = async (req, res, next) => {
+  try {
+    const decoded = decodeOwnStreamingToken(req);
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired streaming token'
+      });
+    }
+
+    await StreamSessionService.stopSession(req.user.id, decoded.streamId);
+
+    res.json({
+      success: true,
+      message: 'Stream stopped'
+    });
+  } catch (error) {
+    logger.error('Stop stream error:', error);
+    next(error);
+  }
+};
+
 /**
  * Get subtitle URL
  */
@@ -335,7 +492,6 @@ const getSubtitle = async (req, res, next) => {
 const getPlaybackPosition = async (req, res, next) => {
   try {
     const { contentId, contentType } = req.query;
-    const userId = req.user.id;
 
     if (!contentId || !contentType) {
       return res.status(400).json({
@@ -345,7 +501,7 @@ const getPlaybackPosition = async (req, res, next) => {
     }
 
     const watchHistory = await WatchHistory.findOne({
-      user: userId,
+      ...profileScope(req),
       contentId,
       contentType
     });
@@ -382,7 +538,6 @@ const getPlaybackPosition = async (req, res, next) => {
 const updatePlaybackPosition = async (req, res, next) => {
   try {
     const { contentId, contentType, watchedDuration, totalDuration, series, season } = req.body;
-    const userId = req.user.id;
 
     if (!contentId || !contentType || watchedDuration === undefined) {
       return res.status(400).json({
@@ -392,7 +547,7 @@ const updatePlaybackPosition = async (req, res, next) => {
     }
 
     let watchHistory = await WatchHistory.findOne({
-      user: userId,
+      ...profileScope(req),
       contentId,
       contentType
     });
@@ -406,8 +561,7 @@ const updatePlaybackPosition = async (req, res, next) => {
       watchHistory.updateProgress();
     } else {
       watchHistory = new WatchHistory({
-        user: userId,
-        profile: req.user.activeProfile,
+        ...profileScope(req),
         contentId,
         contentType,
         watchedDuration: watchedDuration || 0,
@@ -457,6 +611,7 @@ const getAvailableQualities = async (req, res, next) => {
     const plan = subscription.plan;
     const maxQuality = getMaxQuality(plan);
     const availableQualities = getAvailableQualitiesList(maxQuality);
+    const limits = PlanLimitService.fromPlan(plan);
 
     res.json({
       success: true,
@@ -465,8 +620,8 @@ const getAvailableQualities = async (req, res, next) => {
         availableQualities: availableQualities,
         planName: plan.name,
         planFeatures: {
-          maxDevices: plan.features?.maxDevices || 5,
-          maxStreams: plan.features?.maxStreams || 3,
+          maxDevices: limits.maxDevices,
+          maxStreams: limits.maxStreams,
           adFree: plan.features?.adFree || false,
           download: plan.features?.download || false
         }
@@ -481,6 +636,8 @@ const getAvailableQualities = async (req, res, next) => {
 module.exports = {
   getMovieStream,
   getEpisodeStream,
+  heartbeatStream,
+  stopStream,
   getSubtitle,
   getPlaybackPosition,
   updatePlaybackPosition,
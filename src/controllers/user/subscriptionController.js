@@ -2,15 +2,39 @@ const Subscription = require('../../models/Subscription');
 const Plan = require('../../models/Plan');
 const Payment = require('../../models/Payment');
 const User = require('../../models/User');
-const razorpayService = require('../../services/paymentService');
+const paymentService = require('../../services/paymentService');
+const BillingService = require('../../services/billingService');
+const PlanChangeService = require('../../services/planChangeService');
+const CouponService = require('../../services/couponService');
+const TrialService = require('../../services/trialService');
+const PricingService = require('../../services/pricingService');
+const PlanCatalogService = require('../../services/planCatalogService');
 const logger = require('../../utils/logger');
 
+const getPlans = async (req, res, next) => {
+  try {
+    const user = req.user ? await User.findById(req.user.id).select('billingCountry') : null;
+    const catalog = await PlanCatalogService.getCatalog({ user, req });
+
+    res.json({
+      success: true,
+      data: catalog
+    });
+  } catch (error) {
+    logger.error('Get plans error:', error);
+    next(error);
+  }
+};
+
 const getSubscription = async (req, res, next) => {
   try {
     const subscription = await Subscription.findOne({
       user: req.user.id,
       status: { $in: ['active', 'pending'] }
-    }).populate('plan');
+    })
+      .populate('plan')
+      .populate('scheduledPlan')
+      .populate('renewalPayment', 'amount currency status paymentMethod paymentGateway');
 
 
     res.json({
@@ -23,11 +47,56 @@ const getSubscription = async (req, res, next) => {
   }
 };
 
+const getSubscriptionHistory = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = { user: req.user.id };
+
+    const subscriptions = await Subscription.find(query)
+      .populate('plan', 'name duration')
+      .populate('planHistory.fromPlan', 'name')
+      .populate('planHistory.toPlan', 'name')
+      .sort({ startDate: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await Subscription.countDocuments(query);
+
+    // Payments made for each period (initial, renewals and upgrades)
+    const payments = await Payment.find({
+      subscription: { $in: subscriptions.map(s => s._id) },
+      status: { $in: ['completed', 'partially_refunded', 'refunded'] }
+    })
+      .select('subscription purpose amount currency status refundAmount receipt createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const data = subscriptions.map(subscription => ({
+      ...subscription,
+      payments: payments.filter(p => p.subscription.toString() === subscription._id.toString())
+    }));
+
+    res.json({
+      success: true,
+      data,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get subscription history error:', error);
+    next(error);
+  }
+};
+
 const subscribe = async (req, res, next) => {
   try {
-    const { planId } = req.body;
+    const { planId, skipTrial = false } = req.body;
     const plan = await Plan.findById(planId);
-    console.log("plan,", plan);
     if (!plan || !plan.isActive) {
       return res.status(404).json({
         success: false,
@@ -43,7 +112,41 @@ const subscribe = async (req, res, next) => {
     if (existingSubscription && existingSubscription.isActive()) {
       return res.status(400).json({
         success: false,
-        message: 'You already have an active subscription'
+        message: 'You already have an active subscription. Use change-plan to switch plans.'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const priceRegion = PricingService.resolveRegion({ user, req });
+
+    // Offer a free trial instead of a paid subscription when the plan has one.
+    // It starts once the user authorizes the payment method charged at its end.
+    if (plan.trialDays > 0 && !skipTrial && await TrialService.isEligible(user)) {
+      const paymentMethod = req.body.paymentMethod || paymentService.getDefaultGateway()?.name;
+
+      if (!paymentService.isEnabled(paymentMethod)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment method not supported',
+          supportedMethods: paymentService.getEnabledGateways()
+        });
+      }
+
+      const { subscription, mandate } = await TrialService.requestTrial(
+        user,
+        plan,
+        priceRegion,
+        paymentService.getGateway(paymentMethod)
+      );
+
+      return res.status(201).json({
+        success: true,
+        data: {
+          subscription,
+          mandate
+        },
+        message: `Authorize a payment method to start your ${plan.trialDays}-day free trial. ` +
+          'It is charged automatically when the trial ends unless you cancel.'
       });
     }
 
@@ -58,6 +161,7 @@ const subscribe = async (req, res, next) => {
       plan: planId,
       startDate,
       endDate,
+      priceRegion,
       status: 'pending'
     });
     await subscription.save();
@@ -73,13 +177,72 @@ const subscribe = async (req, res, next) => {
   }
 };
 
+const TRIAL_ERROR_MESSAGES = {
+  pending: 'Payment method authorization is still processing',
+  failed: 'Payment method authorization failed',
+  not_eligible: 'You have already used your free trial'
+};
+
+const startTrial = async (req, res, next) => {
+  try {
+    const { subscriptionId, gatewayPaymentId, signature } = req.body;
+
+    const subscription = await Subscription.findById(subscriptionId).populate('plan');
+
+    if (!subscription || subscription.user.toString() !== req.user.id ||
+        subscription.status !== 'pending' || subscription.mandate?.status !== 'pending') {
+      return res.status(404).json({
+        success: false,
+        message: 'Trial request not found'
+      });
+    }
+
+    if (!subscription.plan?.isActive || !(subscription.plan.trialDays > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This plan no longer offers a free trial'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const result = await TrialService.startTrial(user, subscription, {
+      paymentId: gatewayPaymentId,
+      signature
+    });
+
+    if (result.error) {
+      return res.status(result.error === 'pending' ? 202 : 400).json({
+        success: result.error === 'pending',
+        message: TRIAL_ERROR_MESSAGES[result.error]
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.subscription,
+      message: `Free trial started. Your first charge is on ${result.subscription.endDate.toDateString()}.`
+    });
+  } catch (error) {
+    logger.error('Start trial error:', error);
+    next(error);
+  }
+};
+
 const createPaymentOrder = async (req, res, next) => {
   try {
-    const { subscriptionId, paymentMethod = 'razorpay' } = req.body;
+    const { subscriptionId, couponCode, billingCountry } = req.body;
+    const paymentMethod = req.body.paymentMethod || paymentService.getDefaultGateway()?.name;
+
+    if (!paymentService.isEnabled(paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment method not supported',
+        supportedMethods: paymentService.getEnabledGateways()
+      });
+    }
 
     const subscription = await Subscription.findById(subscriptionId)
       .populate('plan');
-    console.log("subscription,", subscription);
 
     if (!subscription || subscription.user.toString() !== req.user.id) {
       return res.status(404).json({
@@ -88,58 +251,180 @@ const createPaymentOrder = async (req, res, next) => {
       });
     }
 
+    const user = await User.findById(req.user.id);
+
+    // A declared country is only taken when the CDN locates the request there;
+    // otherwise the billing country comes from the payment method, see BillingService
+    if (billingCountry) {
+      const country = PricingService.normalizeCountry(billingCountry);
+      if (!country || country !== PricingService.getRequestCountry(req)) {
+        return res.status(400).json({
+          success: false,
+          message: 'billingCountry does not match your location'
+        });
+      }
+      user.billingCountry = country;
+      await user.save();
+    }
+
+    // Unpaid subscriptions are re-priced for the customer's current region
+    if (subscription.status === 'pending') {
+      subscription.priceRegion = PricingService.resolveRegion({ user, req });
+      await subscription.save();
+    }
+
     const plan = subscription.plan;
-    console.log("plan,", plan);
-    if (paymentMethod === 'razorpay') {
-      const order = await razorpayService.createOrder({
-        amount: plan.price * 100, // Convert to paise
-        currency: plan.currency,
-        receipt: `sub_${subscription._id}_${Date.now()}`
-      });
-
-      // Create payment record
-      const payment = new Payment({
-        user: req.user.id,
-        subscription: subscriptionId,
-        plan: plan._id,
-        amount: plan.price,
-        currency: plan.currency,
-        paymentMethod: 'razorpay',
-        paymentGateway: {
-          razorpayOrderId: order.id
-        },
-        status: 'pending'
-      });
-      await payment.save();
+    const price = PricingService.getPrice(plan, subscription.priceRegion);
+    let amount = price.amount;
+    let couponRedemption;
+
+    if (couponCode) {
+      const evaluation = await CouponService.evaluate(couponCode, req.user.id, plan, price);
+      if (!evaluation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: evaluation.message
+        });
+      }
+
+      // An earlier unpaid order for this subscription gives its coupon back first
+      const previousOrders = await Payment.find({
+        subscription: subscription._id,
+        status: 'pending',
+        'couponRedemption.reserved': true
+      }).select('_id');
+      for (const previous of previousOrders) {
+        await BillingService.failPayment(previous._id, 'Superseded by a new order');
+      }
 
-      res.json({
+      const reservation = await CouponService.reserve(evaluation.coupon, req.user.id);
+      if (!reservation.reserved) {
+        return res.status(400).json({
+          success: false,
+          message: reservation.message
+        });
+      }
+
+      amount = evaluation.finalAmount;
+      couponRedemption = {
+        coupon: evaluation.coupon._id,
+        code: evaluation.coupon.code,
+        originalAmount: evaluation.originalAmount,
+        discountAmount: evaluation.discountAmount,
+        reserved: true
+      };
+    }
+
+    let order;
+    let payment;
+    try {
+      ({ order, payment } = await BillingService.createPaymentOrder({
+        userId: req.user.id,
+        subscription,
+        plan,
+        amount,
+        couponRedemption,
+        gateway: paymentMethod
+      }));
+    } catch (error) {
+      if (couponRedemption) {
+        await CouponService.release(couponRedemption.coupon, req.user.id);
+      }
+      throw error;
+    }
+
+    // Fully discounted: nothing to charge, activate straight away
+    if (!order) {
+      const completed = await BillingService.completePayment(payment._id);
+
+      return res.json({
         success: true,
         data: {
-          orderId: order.id,
-          amount: order.amount,
-          currency: order.currency,
-          paymentId: payment._id
-        }
+          orderId: null,
+          amount: 0,
+          currency: price.currency,
+          paymentId: payment._id,
+          coupon: couponRedemption,
+          subscription: completed.subscription
+        },
+        message: 'Coupon applied and subscription activated'
       });
-    } else {
+    }
+
+    res.json({
+      success: true,
+      data: {
+        gateway: paymentMethod,
+        orderId: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        paymentId: payment._id,
+        coupon: couponRedemption,
+        clientData: order.clientData
+      }
+    });
+  } catch (error) {
+    logger.error('Create payment order error:', error);
+    next(error);
+  }
+};
+
+const validateCoupon = async (req, res, next) => {
+  try {
+    const { code, planId } = req.body;
+
+    if (!code || !planId) {
       return res.status(400).json({
         success: false,
-        message: 'Payment method not supported'
+        message: 'Coupon code and plan ID are required'
       });
     }
+
+    const plan = await Plan.findById(planId);
+    if (!plan || !plan.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('billingCountry');
+    const price = PricingService.getPrice(plan, PricingService.resolveRegion({ user, req }));
+
+    const evaluation = await CouponService.evaluate(code, req.user.id, plan, price);
+    if (!evaluation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: evaluation.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        code: evaluation.coupon.code,
+        description: evaluation.coupon.description,
+        originalAmount: evaluation.originalAmount,
+        discountAmount: evaluation.discountAmount,
+        finalAmount: evaluation.finalAmount,
+        currency: price.currency
+      }
+    });
   } catch (error) {
-    logger.error('Create payment order error:', error);
+    logger.error('Validate coupon error:', error);
     next(error);
   }
 };
 
 const verifyPayment = async (req, res, next) => {
   try {
-    const { paymentId, razorpayOrderId, razorpayPaymentId, razorpaySignature } = req.body;
+    const { paymentId } = req.body;
+    // Razorpay-specific names are still accepted from older clients
+    const orderId = req.body.orderId || req.body.razorpayOrderId;
+    const gatewayPaymentId = req.body.gatewayPaymentId || req.body.razorpayPaymentId;
+    const signature = req.body.signature || req.body.razorpaySignature;
 
-    const payment = await Payment.findById(paymentId)
-      .populate('subscription')
-      .populate('plan');
+    const payment = await Payment.findById(paymentId);
 
     if (!payment || payment.user.toString() !== req.user.id) {
       return res.status(404).json({
@@ -148,49 +433,50 @@ const verifyPayment = async (req, res, next) => {
       });
     }
 
-    // Verify Razorpay signature
-    const isValid = razorpayService.verifySignature(
-      razorpayOrderId,
-      razorpayPaymentId,
-      razorpaySignature
-    );
-
-    if (!isValid) {
-      payment.status = 'failed';
-      payment.failureReason = 'Invalid signature';
-      await payment.save();
+    const gateway = paymentService.getGateway(payment.paymentMethod);
 
+    if (!gateway || payment.paymentGateway?.[gateway.fields.order] !== orderId) {
       return res.status(400).json({
         success: false,
-        message: 'Payment verification failed'
+        message: 'Order does not match payment'
       });
     }
 
-    // Update payment
-    payment.status = 'completed';
-    payment.paymentGateway.razorpayPaymentId = razorpayPaymentId;
-    payment.paymentGateway.razorpaySignature = razorpaySignature;
-    payment.transactionId = razorpayPaymentId;
-    await payment.save();
+    const verification = await gateway.verifyPayment({
+      orderId,
+      paymentId: gatewayPaymentId,
+      signature
+    });
+
+    if (verification.status === 'pending') {
+      return res.status(202).json({
+        success: true,
+        data: {
+          payment
+        },
+        message: 'Payment is still processing'
+      });
+    }
 
-    // Activate subscription
-    const subscription = payment.subscription;
-    subscription.status = 'active';
-    subscription.startDate = new Date();
-    const endDate = new Date();
-    endDate.setDate(endDate.getDate() + payment.plan.duration);
-    subscription.endDate = endDate;
-    await subscription.save();
+    if (verification.status !== 'succeeded') {
+      await BillingService.failPayment(payment._id, verification.reason);
 
-    // Update user subscription
-    const user = await User.findById(req.user.id);
-    user.subscription = subscription._id;
-    await user.save();
+      return res.status(400).json({
+        success: false,
+        message: 'Payment verification failed'
+      });
+    }
+
+    // Complete payment and activate subscription (no-op if the webhook already did)
+    const { payment: completedPayment, subscription } = await BillingService.completePayment(payment._id, {
+      paymentId: verification.paymentId,
+      signature
+    });
 
     res.json({
       success: true,
       data: {
-        payment,
+        payment: completedPayment,
         subscription
       },
       message: 'Payment verified and subscription activated'
@@ -201,6 +487,81 @@ const verifyPayment = async (req, res, next) => {
   }
 };
 
+const changePlan = async (req, res, next) => {
+  try {
+    const { planId, paymentMethod } = req.body;
+
+    // Only a prorated upgrade is charged; without a choice it uses the default gateway
+    if (paymentMethod !== undefined && !paymentService.isEnabled(paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment method not supported',
+        supportedMethods: paymentService.getEnabledGateways()
+      });
+    }
+
+    const newPlan = await Plan.findById(planId);
+    if (!newPlan || !newPlan.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    const subscription = await Subscription.findOne({
+      user: req.user.id,
+      status: 'active'
+    }).populate('plan');
+
+    if (!subscription || !subscription.isActive()) {
+      return res.status(400).json({
+        success: false,
+        message: 'No active subscription to change. Please subscribe instead.'
+      });
+    }
+
+    const currentCurrency = PricingService.getPrice(subscription.plan, subscription.priceRegion).currency;
+    if (currentCurrency !== PricingService.getPrice(newPlan, subscription.priceRegion).currency) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change to a plan billed in a different currency'
+      });
+    }
+
+    const result = await PlanChangeService.changePlan(subscription, newPlan, { gateway: paymentMethod });
+
+    const messages = {
+      cancelled: 'Scheduled plan change cancelled',
+      scheduled: 'Downgrade scheduled for the end of the current period',
+      applied: 'Plan upgraded',
+      pending_payment: 'Upgrade created. Please complete payment.'
+    };
+
+    res.json({
+      success: true,
+      data: {
+        type: result.type,
+        status: result.status,
+        subscription,
+        effectiveAt: result.effectiveAt,
+        proration: result.proration,
+        ...(result.order && {
+          gateway: result.payment.paymentMethod,
+          orderId: result.order.id,
+          amount: result.order.amount,
+          currency: result.order.currency,
+          paymentId: result.payment._id,
+          clientData: result.order.clientData
+        })
+      },
+      message: messages[result.status]
+    });
+  } catch (error) {
+    logger.error('Change plan error:', error);
+    next(error);
+  }
+};
+
 const cancelSubscription = async (req, res, next) => {
   try {
     const subscription = await Subscription.findOne({
@@ -231,10 +592,15 @@ const cancelSubscription = async (req, res, next) => {
 };
 
 module.exports = {
+  getPlans,
   getSubscription,
+  getSubscriptionHistory,
   subscribe,
+  startTrial,
   createPaymentOrder,
+  validateCoupon,
   verifyPayment,
+  changePlan,
   cancelSubscription
 };
 
@@ -1,16 +1,12 @@
 const WatchHistory = require('../../models/WatchHistory');
+const { profileScope } = require('../../utils/profileScope');
 const logger = require('../../utils/logger');
 
 const getWatchHistory = async (req, res, next) => {
   try {
-    const { profile, limit = 50 } = req.query;
-    const query = { user: req.user.id };
+    const { limit = 50 } = req.query;
 
-    if (profile) {
-      query.profile = profile;
-    }
-
-    const history = await WatchHistory.find(query)
+    const history = await WatchHistory.find(profileScope(req))
       .populate('contentId')
       .populate('series')
       .populate('season')
@@ -39,7 +35,7 @@ const updateWatchHistory = async (req, res, next) => {
     }
 
     let history = await WatchHistory.findOne({
-      user: req.user.id,
+      ...profileScope(req),
       contentId,
       contentType
     });
@@ -54,8 +50,7 @@ const updateWatchHistory = async (req, res, next) => {
       history.updateProgress();
     } else {
       history = new WatchHistory({
-        user: req.user.id,
-        profile: req.user.activeProfile,
+        ...profileScope(req),
         contentId,
         contentType,
         watchedDuration: watchedDuration || 0,
@@ -84,7 +79,7 @@ const deleteWatchHistory = async (req, res, next) => {
   try {
     const history = await WatchHistory.findOneAndDelete({
       _id: req.params.id,
-      user: req.user.id
+      ...profileScope(req)
     });
 
     if (!history) {
@@ -106,17 +101,13 @@ const deleteWatchHistory = async (req, res, next) => {
 
 const getContinueWatching = async (req, res, next) => {
   try {
-    const { profile, limit = 20 } = req.query;
+    const { limit = 20 } = req.query;
     const query = {
-      user: req.user.id,
+      ...profileScope(req),
       completed: false,
       progress: { $gt: 5 } // At least 5% watched
     };
 
-    if (profile) {
-      query.profile = profile;
-    }
-
     const history = await WatchHistory.find(query)
       .populate('contentId')
       .populate('series')
@@ -1,16 +1,10 @@
 const Watchlist = require('../../models/Watchlist');
+const { profileScope } = require('../../utils/profileScope');
 const logger = require('../../utils/logger');
 
 const getWatchlist = async (req, res, next) => {
   try {
-    const { profile } = req.query;
-    const query = { user: req.user.id };
-
-    if (profile) {
-      query.profile = profile;
-    }
-
-    const watchlist = await Watchlist.find(query)
+    const watchlist = await Watchlist.find(profileScope(req))
       .populate('contentId')
       .sort({ createdAt: -1 });
 
@@ -26,7 +20,7 @@ const getWatchlist = async (req, res, next) => {
 
 const addToWatchlist = async (req, res, next) => {
   try {
-    const { contentId, contentType, profile } = req.body;
+    const { contentId, contentType } = req.body;
 
     if (!contentId || !contentType) {
       return res.status(400).json({
@@ -36,8 +30,7 @@ const addToWatchlist = async (req, res, next) => {
     }
 
     const watchlistItem = new Watchlist({
-      user: req.user.id,
-      profile: profile || req.user.activeProfile,
+      ...profileScope(req),
       contentId,
       contentType
     });
@@ -65,7 +58,7 @@ const removeFromWatchlist = async (req, res, next) => {
   try {
     const watchlistItem = await Watchlist.findOneAndDelete({
       _id: req.params.id,
-      user: req.user.id
+      ...profileScope(req)
     });
 
     if (!watchlistItem) {
@@ -0,0 +1,65 @@
+const paymentService = require('../../services/paymentService');
+const WebhookService = require('../../services/webhookService');
+const logger = require('../../utils/logger');
+
+/**
+ * @swagger
+ * /webhooks/{gateway}:
+ *   post:
+ *     summary: Payment gateway webhook receiver
+ *     tags: [Webhooks]
+ *     description: |
+ *       gateway is razorpay, stripe or mock (non-production only). Each is signed
+ *       with its own header (X-Razorpay-Signature, Stripe-Signature, X-Mock-Signature).
+ *       Handles payment success, payment failure and refund events.
+ */
+const handleWebhook = async (req, res, next) => {
+  try {
+    const gateway = paymentService.getGateway(req.params.gateway);
+
+    if (!gateway || !gateway.isConfigured()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown payment gateway'
+      });
+    }
+
+    if (!req.rawBody || !gateway.verifyWebhookSignature(req.rawBody, req.headers)) {
+      logger.warn(`Rejected ${gateway.name} webhook with invalid signature`);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const eventId = gateway.getWebhookEventId(req.body, req.headers, req.rawBody);
+    const event = req.body.event || req.body.type || 'unknown';
+
+    const record = await WebhookService.recordEvent(gateway.name, eventId, event, req.body);
+
+    if (!record) {
+      return res.json({
+        success: true,
+        message: 'Event already processed'
+      });
+    }
+
+    const processed = await WebhookService.processEvent(record);
+
+    res.json({
+      success: true,
+      data: {
+        eventId,
+        status: processed.status
+      }
+    });
+  } catch (error) {
+    // A non-2xx response makes the gateway retry the delivery
+    logger.error('Payment webhook error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  handleWebhook
+};
@@ -0,0 +1,41 @@
+const JobScheduler = require('./scheduler');
+const StreamSessionService = require('../services/streamSessionService');
+const SubscriptionLifecycleService = require('../services/subscriptionLifecycleService');
+
+/**
+ * Register and start background jobs
+ * Set JOBS_ENABLED=false to run an instance without any scheduled work.
+ */
+const startJobs = () => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    return;
+  }
+
+  JobScheduler.register('stream-session-reaper', async () => ({
+    usersUpdated: await StreamSessionService.reapStaleSessions()
+  }), {
+    intervalMs: parseInt(process.env.STREAM_REAPER_INTERVAL_MS) || 60 * 1000
+  });
+
+  // Renewals run first so lapsing auto-renew subscriptions get their grace period before expiry
+  JobScheduler.register('subscription-lifecycle', async () => ({
+    renewals: await SubscriptionLifecycleService.createRenewalOrders(),
+    planChanges: await SubscriptionLifecycleService.applyScheduledPlanChanges(),
+    coupons: await SubscriptionLifecycleService.releaseAbandonedCoupons(),
+    expiry: await SubscriptionLifecycleService.expireLapsedSubscriptions()
+  }), {
+    intervalMs: parseInt(process.env.SUBSCRIPTION_JOB_INTERVAL_MS) || 15 * 60 * 1000,
+    lockTtlMs: 10 * 60 * 1000
+  });
+
+  JobScheduler.start();
+};
+
+const stopJobs = () => {
+  JobScheduler.stop();
+};
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
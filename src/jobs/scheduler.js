@@ -0,0 +1,156 @@
+const os = require('os');
+const JobLock = require('../models/JobLock');
+const logger = require('../utils/logger');
+
+// The lease ends this much before the next run is due, so the next tick
+// is not refused by a lease taken a few milliseconds after the last one
+const LEASE_SLACK_MS = 1000;
+
+/**
+ * Job Scheduler - Runs registered jobs on an interval
+ * Every instance schedules every job, but a run only proceeds after taking
+ * the job's lease in MongoDB, so cluster instances never overlap. The lease
+ * is kept until the next run is due, so each interval runs the job once
+ * across the cluster rather than once per instance.
+ */
+class JobScheduler {
+  static jobs = new Map();
+  static timers = [];
+  static instanceId = `${os.hostname()}:${process.env.INSTANCE_ID || 0}:${process.pid}`;
+
+  /**
+   * Register a job
+   * @param {string} name - Unique job name (also the lock name)
+   * @param {Function} handler - Async function returning a result summary
+   * @param {Object} options - { intervalMs, lockTtlMs }
+   */
+  static register(name, handler, options = {}) {
+    const { intervalMs = 60 * 1000, lockTtlMs = intervalMs } = options;
+    this.jobs.set(name, { name, handler, intervalMs, lockTtlMs });
+  }
+
+  /**
+   * Try to take the lease for a job
+   * @param {Object} job - Registered job
+   * @returns {Promise<boolean>} True if this instance holds the lease
+   */
+  static async acquireLock(job) {
+    const now = new Date();
+
+    try {
+      await JobLock.findOneAndUpdate(
+        {
+          name: job.name,
+          $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+        },
+        {
+          $set: {
+            lockedBy: this.instanceId,
+            lockedUntil: new Date(now.getTime() + job.lockTtlMs)
+          }
+        },
+        { upsert: true, new: true }
+      );
+      return true;
+    } catch (error) {
+      // Duplicate key: the lock exists and is held by another instance
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record the run outcome and hold the lease until the next run is due
+   * A run that overran its interval frees the lease straight away.
+   * @param {Object} job - Registered job
+   * @param {Object} outcome - { startedAt, result, error }
+   */
+  static async releaseLock(job, outcome) {
+    const nextRunAt = outcome.startedAt.getTime() + job.intervalMs
+      - Math.min(LEASE_SLACK_MS, job.intervalMs / 2);
+
+    await JobLock.updateOne(
+      { name: job.name, lockedBy: this.instanceId },
+      {
+        $set: {
+          lockedUntil: new Date(Math.max(nextRunAt, Date.now())),
+          lastRunAt: outcome.startedAt,
+          lastDurationMs: Date.now() - outcome.startedAt.getTime(),
+          lastResult: outcome.result ?? null,
+          lastError: outcome.error ? outcome.error.message : null
+        }
+      }
+    );
+  }
+
+  /**
+   * Run a job once if its lease can be taken
+   * @param {string} name - Job name
+   * @returns {Promise<Object|null>} Job result, or null if another instance ran it
+   */
+  static async runJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    try {
+      if (!await this.acquireLock(job)) {
+        return null;
+      }
+    } catch (error) {
+      logger.error(`Job ${name} lock error:`, error);
+      return null;
+    }
+
+    const startedAt = new Date();
+    let result;
+    let jobError;
+
+    try {
+      result = await job.handler();
+      return result;
+    } catch (error) {
+      jobError = error;
+      logger.error(`Job ${name} failed:`, error);
+      return null;
+    } finally {
+      try {
+        await this.releaseLock(job, { startedAt, result, error: jobError });
+      } catch (error) {
+        logger.error(`Job ${name} unlock error:`, error);
+      }
+    }
+  }
+
+  /**
+   * Start interval timers for every registered job
+   */
+  static start() {
+    if (this.timers.length > 0) {
+      return;
+    }
+
+    for (const job of this.jobs.values()) {
+      const timer = setInterval(() => {
+        this.runJob(job.name);
+      }, job.intervalMs);
+      timer.unref();
+      this.timers.push(timer);
+    }
+
+    logger.info(`Job scheduler started with ${this.jobs.size} job(s) on ${this.instanceId}`);
+  }
+
+  /**
+   * Stop all timers
+   */
+  static stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+}
+
+module.exports = JobScheduler;
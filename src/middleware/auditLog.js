@@ -0,0 +1,46 @@
+const AuditLogService = require('../services/auditLogService');
+const logger = require('../utils/logger');
+
+const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Middleware to audit mutating admin requests
+ * Mounted right after authenticateAdmin on each route: it snapshots the
+ * target entity before the handler runs and writes the audit record once
+ * the response is sent. Requests that never authenticate (login, failed
+ * auth) never reach it, so nothing is read on their behalf.
+ */
+const auditAdminActions = async (req, res, next) => {
+  if (!req.admin || !AUDITED_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const target = AuditLogService.resolveTarget(req.path);
+
+  let before = null;
+  if (target.entityId) {
+    try {
+      before = await AuditLogService.snapshot(target.entityType, target.entityId);
+    } catch (error) {
+      logger.error('Audit snapshot error:', error);
+    }
+  }
+
+  // Keep the response body to learn the ID of created entities
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    AuditLogService.record({ req, res, target, before, responseBody });
+  });
+
+  next();
+};
+
+module.exports = {
+  auditAdminActions
+};
@@ -1,4 +1,6 @@
 const { verifyAccessToken } = require('../utils/jwt');
+const TokenVersionService = require('../services/tokenVersionService');
+const PermissionService = require('../services/permissionService');
 const logger = require('../utils/logger');
 
 /**
@@ -16,17 +18,30 @@ const authenticateAdmin = async (req, res, next) => {
     }
 
     const token = authHeader.substring(7);
-    const decoded = verifyAccessToken(token);
+    let decoded;
+    try {
+      decoded = verifyAccessToken(token);
+    } catch (error) {
+      logger.error('Admin authentication error:', error);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
+
+    // Reject tokens revoked by logout-all, password change or ban
+    if (!await TokenVersionService.isCurrent('admin', decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked'
+      });
+    }
 
     // Attach user info to request
     req.admin = decoded;
     next();
   } catch (error) {
-    logger.error('Admin authentication error:', error);
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid or expired token'
-    });
+    next(error);
   }
 };
 
@@ -45,47 +60,86 @@ const authenticateUser = async (req, res, next) => {
     }
 
     const token = authHeader.substring(7);
-    const decoded = verifyAccessToken(token);
+    let decoded;
+    try {
+      decoded = verifyAccessToken(token);
+    } catch (error) {
+      logger.error('User authentication error:', error);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
+
+    // Reject tokens revoked by logout-all, password change or ban
+    if (!await TokenVersionService.isCurrent('user', decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked'
+      });
+    }
 
     // Attach user info to request
     req.user = decoded;
     next();
   } catch (error) {
-    logger.error('User authentication error:', error);
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid or expired token'
-    });
+    next(error);
   }
 };
 
 /**
- * Middleware to check admin roles
- * @param {Array} allowedRoles - Array of allowed roles
+ * Middleware to attach the user when a valid token is sent, for public
+ * routes that personalize their response
  */
-const authorizeAdmin = (...allowedRoles) => {
-  return (req, res, next) => {
-    if (!req.admin) {
-      return res.status(401).json({
-        success: false,
-        message: 'Unauthorized'
-      });
-    }
+const optionalAuthenticateUser = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
 
-    if (!allowedRoles.includes(req.admin.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Insufficient permissions'
-      });
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    try {
+      const decoded = verifyAccessToken(authHeader.substring(7));
+      if (await TokenVersionService.isCurrent('user', decoded)) {
+        req.user = decoded;
+      }
+    } catch (error) {
+      // Treat an invalid or revoked token as anonymous
     }
+  }
 
-    next();
+  next();
+};
+
+/**
+ * Middleware to check admin permissions
+ * @param {...string} permissions - Permissions the admin's role must all grant
+ */
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.admin) {
+        return res.status(401).json({
+          success: false,
+          message: 'Unauthorized'
+        });
+      }
+
+      if (!await PermissionService.hasPermissions(req.admin.role, permissions)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions'
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
   };
 };
 
 module.exports = {
   authenticateAdmin,
   authenticateUser,
-  authorizeAdmin
+  optionalAuthenticateUser,
+  requirePermission
 };
 
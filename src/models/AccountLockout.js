@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * Account Lockout Model - Audit record of every login lockout and its release
+ */
+const accountLockoutSchema = new mongoose.Schema({
+  accountType: {
+    type: String,
+    enum: ['user', 'admin'],
+    required: true
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  identifier: {
+    type: String
+  },
+  ipAddress: {
+    type: String
+  },
+  failedAttempts: {
+    type: Number
+  },
+  // Nth consecutive lockout since the last successful login
+  level: {
+    type: Number
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  },
+  unlockedAt: {
+    type: Date
+  },
+  unlockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+accountLockoutSchema.index({ accountType: 1, account: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AccountLockout', accountLockoutSchema);
@@ -19,27 +19,73 @@ const adminSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Name of a Role; its permissions decide what the admin can do
   role: {
     type: String,
-    enum: ['super_admin', 'content_manager', 'finance', 'support'],
+    required: true,
     default: 'content_manager'
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Invited admins set their own password through an emailed link
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  invitedAt: {
+    type: Date
+  },
+  invitationAcceptedAt: {
+    type: Date
+  },
   lastLogin: {
     type: Date
   },
   lastLoginIP: {
     type: String
   },
+  // TOTP second factor, see TwoFactorService. Secrets are stored encrypted.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    // Secret awaiting its first code during enrolment
+    pendingSecret: String,
+    enabledAt: Date,
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: Number,
+    recoveryCodes: [{
+      codeHash: String,
+      usedAt: Date
+    }]
+  },
+  // Login lockout state, see LoginGuardService
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date
+  },
+  // Bumped to revoke every issued access token, see TokenVersionService
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Pruned at login; no TTL here, as a TTL index on an array field expires the whole admin
   refreshTokens: [{
     token: String,
     createdAt: {
       type: Date,
-      default: Date.now,
-      expires: 604800 // 7 days
+      default: Date.now
     }
   }]
 }, {
@@ -65,6 +111,10 @@ adminSchema.methods.toJSON = function() {
   const obj = this.toObject();
   delete obj.password;
   delete obj.refreshTokens;
+  obj.twoFactor = {
+    enabled: !!this.twoFactor?.enabled,
+    enabledAt: this.twoFactor?.enabledAt
+  };
   return obj;
 };
 
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * Audit Log Model - One record per mutating admin API request
+ * Records who did what to which entity, with a field-level before/after
+ * diff. Secrets are redacted before storage.
+ */
+const auditLogSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  adminRole: {
+    type: String
+  },
+  method: {
+    type: String,
+    enum: ['POST', 'PUT', 'PATCH', 'DELETE'],
+    required: true
+  },
+  // Matched route pattern, e.g. /api/v1/admin/movies/:id
+  route: {
+    type: String
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  statusCode: {
+    type: Number
+  },
+  entityType: {
+    type: String
+  },
+  entityId: {
+    type: String
+  },
+  // { field: { from, to } } for every changed top-level field
+  changes: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  requestBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ admin: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
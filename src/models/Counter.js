@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+/**
+ * Counter Model - Atomic named sequences (e.g. invoice numbers per financial year)
+ */
+const counterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Increment and return the next value of a sequence
+ * @param {string} name - Sequence name
+ * @param {Object} session - MongoDB session (optional): an aborted transaction gives the value back
+ * @returns {Promise<number>} Next value (starting at 1)
+ */
+counterSchema.statics.next = async function(name, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { CURRENCIES } = require('../config/regions');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  discountType: {
+    type: String,
+    enum: ['percent', 'flat'],
+    required: true
+  },
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Upper bound for percent discounts
+  maxDiscountAmount: {
+    type: Number,
+    min: 0
+  },
+  // Flat discounts only apply to plans billed in this currency
+  currency: {
+    type: String,
+    enum: CURRENCIES
+  },
+  // Empty means every plan
+  applicablePlans: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan'
+  }],
+  validFrom: {
+    type: Date
+  },
+  validUntil: {
+    type: Date
+  },
+  maxRedemptions: {
+    type: Number,
+    min: 1
+  },
+  maxRedemptionsPerUser: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  firstTimeOnly: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ isActive: 1, validUntil: 1 });
+
+couponSchema.pre('validate', function(next) {
+  if (this.discountType === 'percent' && this.discountValue > 100) {
+    return next(new Error('Percent discount cannot exceed 100'));
+  }
+  if (this.validFrom && this.validUntil && this.validFrom > this.validUntil) {
+    return next(new Error('validFrom must be before validUntil'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * Coupon Usage Model - Redemptions of a coupon by one user
+ * Counts reserved and completed checkouts; the unique index lets
+ * CouponService.reserve enforce maxRedemptionsPerUser atomically.
+ */
+const couponUsageSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+couponUsageSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponUsage', couponUsageSchema);
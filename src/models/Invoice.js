@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const { CURRENCIES } = require('../config/regions');
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan'
+  },
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  currency: {
+    type: String,
+    enum: CURRENCIES,
+    required: true
+  },
+  seller: {
+    name: String,
+    address: String,
+    gstin: String,
+    vatNumber: String,
+    state: String
+  },
+  customer: {
+    name: String,
+    email: String,
+    phone: String
+  },
+  placeOfSupply: {
+    type: String
+  },
+  lineItems: [{
+    description: String,
+    sacCode: String,
+    quantity: {
+      type: Number,
+      default: 1
+    },
+    unitPrice: Number,
+    amount: Number
+  }],
+  discount: {
+    code: String,
+    amount: {
+      type: Number,
+      default: 0
+    }
+  },
+  taxes: [{
+    name: String, // CGST, SGST, IGST, VAT
+    rate: Number, // Percent
+    amount: Number
+  }],
+  subtotal: {
+    type: Number, // Taxable value
+    required: true
+  },
+  taxTotal: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  paymentReference: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+invoiceSchema.index({ issuedAt: -1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * Job Lock Model - Distributed lease so a scheduled job runs on one
+ * PM2 cluster instance at a time
+ */
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lockedBy: {
+    type: String
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: {
+    type: Date
+  },
+  lastDurationMs: {
+    type: Number
+  },
+  lastResult: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  lastError: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * Login Failure Model - Failed password attempts, counted per IP
+ * Kept for a day so recent failures can be counted for rate limiting.
+ */
+const loginFailureSchema = new mongoose.Schema({
+  accountType: {
+    type: String,
+    enum: ['user', 'admin'],
+    required: true
+  },
+  // Unset when the identifier matched no account
+  account: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  identifier: {
+    type: String
+  },
+  ipAddress: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+loginFailureSchema.index({ ipAddress: 1, createdAt: -1 });
+loginFailureSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginFailure', loginFailureSchema);
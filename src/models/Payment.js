@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { CURRENCIES } = require('../config/regions');
 
 const paymentSchema = new mongoose.Schema({
   user: {
@@ -15,6 +16,11 @@ const paymentSchema = new mongoose.Schema({
     ref: 'Plan',
     required: true
   },
+  purpose: {
+    type: String,
+    enum: ['subscription', 'renewal', 'upgrade'],
+    default: 'subscription'
+  },
   amount: {
     type: Number,
     required: true,
@@ -23,11 +29,11 @@ const paymentSchema = new mongoose.Schema({
   currency: {
     type: String,
     default: 'INR',
-    enum: ['INR', 'USD', 'EUR']
+    enum: CURRENCIES
   },
   paymentMethod: {
     type: String,
-    enum: ['razorpay', 'stripe', 'cash', 'other'],
+    enum: ['razorpay', 'stripe', 'mock', 'cash', 'other'],
     required: true
   },
   paymentGateway: {
@@ -35,18 +41,34 @@ const paymentSchema = new mongoose.Schema({
     razorpayPaymentId: String,
     razorpaySignature: String,
     stripePaymentIntentId: String,
-    stripeChargeId: String
+    stripeChargeId: String,
+    mockOrderId: String,
+    mockPaymentId: String
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
+  couponRedemption: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    originalAmount: Number,
+    discountAmount: Number,
+    reserved: Boolean // Counted against the coupon's caps, see CouponService.reserve
+  },
   transactionId: {
     type: String
   },
   receipt: {
-    type: String
+    type: String // Invoice number once issued
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
   },
   failureReason: {
     type: String
@@ -57,6 +79,50 @@ const paymentSchema = new mongoose.Schema({
   refundAmount: {
     type: Number
   },
+  refunds: [{
+    refundId: {
+      type: String,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    status: {
+      type: String
+    },
+    reason: {
+      type: String
+    },
+    // Set for refunds issued from the admin panel
+    initiatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    subscriptionAction: {
+      type: String,
+      enum: ['none', 'cancel', 'shorten']
+    },
+    processedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Admin refund sent to the gateway but not recorded yet: its webhook may
+  // arrive first and must apply the admin's subscription action
+  pendingRefund: {
+    subscriptionAction: {
+      type: String,
+      enum: ['none', 'cancel', 'shorten']
+    },
+    shortenByDays: Number,
+    reason: String,
+    initiatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    requestedAt: Date
+  },
   metadata: {
     type: Map,
     of: String
@@ -69,6 +135,11 @@ const paymentSchema = new mongoose.Schema({
 paymentSchema.index({ user: 1, status: 1 });
 paymentSchema.index({ transactionId: 1 }, { unique: true, sparse: true });
 paymentSchema.index({ createdAt: -1 });
+paymentSchema.index({ 'paymentGateway.razorpayOrderId': 1 });
+paymentSchema.index({ 'paymentGateway.razorpayPaymentId': 1 });
+paymentSchema.index({ 'paymentGateway.stripePaymentIntentId': 1 }, { sparse: true });
+paymentSchema.index({ 'paymentGateway.mockOrderId': 1 }, { sparse: true });
+paymentSchema.index({ 'couponRedemption.coupon': 1, user: 1, status: 1 });
 
 module.exports = mongoose.model('Payment', paymentSchema);
 
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+/**
+ * Phone OTP Model - One-time login codes sent by SMS
+ * Only an HMAC of the code is stored. Records outlive their expiry by an
+ * hour so recent requests can be counted for rate limiting.
+ */
+const phoneOtpSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  consumedAt: {
+    type: Date
+  },
+  requestIp: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+phoneOtpSchema.index({ phone: 1, createdAt: -1 });
+phoneOtpSchema.index({ requestIp: 1, createdAt: -1 });
+phoneOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+module.exports = mongoose.model('PhoneOtp', phoneOtpSchema);
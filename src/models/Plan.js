@@ -1,4 +1,23 @@
 const mongoose = require('mongoose');
+const { CURRENCIES, REGIONS } = require('../config/regions');
+
+const regionalPriceSchema = new mongoose.Schema({
+  region: {
+    type: String,
+    required: true,
+    enum: Object.keys(REGIONS)
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: CURRENCIES
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
 
 const planSchema = new mongoose.Schema({
   name: {
@@ -18,13 +37,20 @@ const planSchema = new mongoose.Schema({
   currency: {
     type: String,
     default: 'INR',
-    enum: ['INR', 'USD', 'EUR']
+    enum: CURRENCIES
   },
+  // Regional prices; price/currency above apply where no region matches
+  prices: [regionalPriceSchema],
   duration: {
     type: Number,
     required: true, // Duration in days
     min: 1
   },
+  trialDays: {
+    type: Number, // Free trial length in days (0 = no trial)
+    default: 0,
+    min: 0
+  },
   features: {
     maxDevices: {
       type: Number,
@@ -64,5 +90,25 @@ const planSchema = new mongoose.Schema({
   timestamps: true
 });
 
+planSchema.pre('validate', function(next) {
+  const seen = new Set();
+
+  for (const price of this.prices) {
+    if (seen.has(price.region)) {
+      return next(new Error(`Duplicate price for region ${price.region}`));
+    }
+    seen.add(price.region);
+
+    if (!price.currency && REGIONS[price.region]) {
+      price.currency = REGIONS[price.region].currency;
+    }
+    if (REGIONS[price.region] && price.currency !== REGIONS[price.region].currency) {
+      return next(new Error(`Region ${price.region} must be priced in ${REGIONS[price.region].currency}`));
+    }
+  }
+
+  next();
+});
+
 module.exports = mongoose.model('Plan', planSchema);
 
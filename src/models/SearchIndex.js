@@ -30,6 +30,7 @@ const searchIndexSchema = new mongoose.Schema({
   languageCode: String, // Renamed from 'language' to avoid MongoDB text index conflict
   releaseDate: Date,
   rating: Number,
+  ageRating: String, // Copied from the title so search can apply the profile's maturity ceiling
   popularity: {
     type: Number,
     default: 0,
@@ -1,5 +1,46 @@
 const mongoose = require('mongoose');
 
+const planChangeSchema = new mongoose.Schema({
+  fromPlan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan',
+    required: true
+  },
+  toPlan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['upgrade', 'downgrade'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending_payment', 'scheduled', 'applied', 'cancelled'],
+    required: true
+  },
+  proratedAmount: {
+    type: Number,
+    default: 0
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  effectiveAt: {
+    type: Date
+  },
+  appliedAt: {
+    type: Date
+  }
+});
+
 const subscriptionSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -29,12 +70,54 @@ const subscriptionSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Pricing region the subscription is billed in (null = plan base price)
+  priceRegion: {
+    type: String
+  },
   cancelledAt: {
     type: Date
   },
   cancellationReason: {
     type: String
-  }
+  },
+  // Access continues until graceUntil while a renewal payment is outstanding
+  graceUntil: {
+    type: Date
+  },
+  renewalRequestedAt: {
+    type: Date
+  },
+  renewalPayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  expiredAt: {
+    type: Date
+  },
+  // Set when the subscription started as a free trial
+  trial: {
+    startedAt: Date,
+    endsAt: Date,
+    convertedAt: Date
+  },
+  // Saved payment method renewals are charged to without the user, see TrialService
+  mandate: {
+    gateway: String,
+    setupId: String, // Razorpay authorization order or Stripe SetupIntent
+    customerId: String,
+    token: String, // Razorpay token or Stripe PaymentMethod
+    status: {
+      type: String,
+      enum: ['pending', 'active']
+    },
+    authorizedAt: Date
+  },
+  // Downgrade waiting for the end of the current period
+  scheduledPlan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan'
+  },
+  planHistory: [planChangeSchema]
 }, {
   timestamps: true
 });
@@ -42,11 +125,19 @@ const subscriptionSchema = new mongoose.Schema({
 // Index for efficient queries
 subscriptionSchema.index({ user: 1, status: 1 });
 subscriptionSchema.index({ endDate: 1, status: 1 });
+subscriptionSchema.index({ 'trial.startedAt': 1 }, { sparse: true });
 
-// Check if subscription is active
+// Check if subscription is active (including any renewal grace period)
 subscriptionSchema.methods.isActive = function() {
-  return this.status === 'active' && 
-         this.endDate > new Date();
+  const now = new Date();
+  return this.status === 'active' &&
+         (this.endDate > now || (this.graceUntil && this.graceUntil > now));
+};
+
+// Check if subscription is in an unconverted free trial
+subscriptionSchema.methods.isInTrial = function() {
+  return Boolean(this.trial?.startedAt && !this.trial.convertedAt &&
+         this.trial.endsAt > new Date());
 };
 
 module.exports = mongoose.model('Subscription', subscriptionSchema);
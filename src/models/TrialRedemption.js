@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * Trial Redemption Model - One free trial per user and per phone number
+ * The unique indexes make concurrent trial starts safe.
+ */
+const trialRedemptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  phone: {
+    type: String // Normalized digits
+  },
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan',
+    required: true
+  },
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  convertedAt: {
+    type: Date
+  },
+  convertedPayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }
+}, {
+  timestamps: true
+});
+
+trialRedemptionSchema.index(
+  { phone: 1 },
+  { unique: true, partialFilterExpression: { phone: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('TrialRedemption', trialRedemptionSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { RATING_LEVELS } = require('../config/maturity');
 
 const deviceSchema = new mongoose.Schema({
   deviceId: {
@@ -40,31 +41,96 @@ const profileSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  pin: {
+  // bcrypt hash of the 4-digit PIN locking the profile, see ParentalControlService
+  pinHash: {
+    type: String
+  },
+  pinFailedAttempts: {
+    type: Number,
+    default: 0
+  },
+  pinLockedUntil: {
+    type: Date
+  },
+  // Parental controls, changed behind the account's parental PIN
+  maxAgeRating: {
     type: String,
-    minlength: 4,
-    maxlength: 4
-  }
+    enum: Object.keys(RATING_LEVELS)
+  },
+  blockedTitles: [{
+    contentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    contentType: {
+      type: String,
+      enum: ['Movie', 'Series'],
+      required: true
+    },
+    blockedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, { timestamps: true });
 
+// PIN hashes, legacy plain-text PINs and lockout counters never leave the server
+const toPublicProfile = (profile) => {
+  const { pin, pinHash, pinFailedAttempts, pinLockedUntil, ...rest } = profile;
+  return { ...rest, hasPin: !!(pinHash || pin) };
+};
+
+profileSchema.methods.toJSON = function() {
+  return toPublicProfile(this.toObject());
+};
+
 const userSchema = new mongoose.Schema({
+  // Optional for accounts created by phone OTP login
   email: {
     type: String,
-    required: true,
+    required: function() { return !this.phone; },
     unique: true,
+    sparse: true,
     lowercase: true,
     trim: true
   },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
   password: {
     type: String,
-    required: true,
+    required: function() { return !this.phone; },
     minlength: 8
   },
+  // Unique once verified, see the index below
   phone: {
     type: String,
     trim: true
   },
+  phoneVerifiedAt: {
+    type: Date
+  },
+  // ISO 3166-1 alpha-2; selects regional plan prices
+  billingCountry: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{2}$/
+  },
   profiles: [profileSchema],
+  // Account owner's PIN guarding each profile's parental controls, see ParentalControlService
+  parentalControls: {
+    pinHash: String,
+    pinFailedAttempts: {
+      type: Number,
+      default: 0
+    },
+    pinLockedUntil: Date
+  },
   activeProfile: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Profile'
@@ -91,14 +157,37 @@ const userSchema = new mongoose.Schema({
   lastLoginIP: {
     type: String
   },
+  // Login lockout state, see LoginGuardService
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date
+  },
+  // Bumped to revoke every issued access token, see TokenVersionService
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Login sessions: one refresh token family per device, see SessionService
   refreshTokens: [{
-    token: String,
+    tokenHash: String, // SHA-256 of the current refresh token
     deviceId: String,
+    deviceName: String,
+    ipAddress: String,
+    userAgent: String,
     createdAt: {
       type: Date,
-      default: Date.now,
-      expires: 604800 // 7 days
-    }
+      default: Date.now
+    },
+    lastUsedAt: Date,
+    expiresAt: Date,
+    profileId: mongoose.Schema.Types.ObjectId // Profile selected on this device
   }],
   currentStreams: [{
     contentId: {
@@ -110,15 +199,30 @@ const userSchema = new mongoose.Schema({
       enum: ['Movie', 'Episode']
     },
     deviceId: String,
+    streamId: String,
     startedAt: {
       type: Date,
       default: Date.now
+    },
+    lastHeartbeat: {
+      type: Date,
+      default: Date.now
     }
   }]
 }, {
   timestamps: true
 });
 
+// A verified number identifies one account for OTP login
+userSchema.index(
+  { phone: 1 },
+  {
+    name: 'verified_phone_unique',
+    unique: true,
+    partialFilterExpression: { phoneVerifiedAt: { $type: 'date' } }
+  }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -130,18 +234,32 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  // OTP-only accounts have no password
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Check device limit
-userSchema.methods.checkDeviceLimit = function() {
-  const maxDevices = parseInt(process.env.MAX_DEVICES_PER_USER) || 5;
+// Check device limit (maxDevices resolved from the user's plan, see PlanLimitService)
+userSchema.methods.checkDeviceLimit = function(maxDevices) {
   return this.devices.length < maxDevices;
 };
 
-// Check concurrent stream limit
-userSchema.methods.checkStreamLimit = function() {
-  const maxStreams = parseInt(process.env.MAX_CONCURRENT_STREAMS) || 3;
+// Streams without a heartbeat since this date are considered dead
+userSchema.statics.getStaleStreamCutoff = function() {
+  const timeoutSeconds = parseInt(process.env.STREAM_SESSION_TIMEOUT_SECONDS) || 120;
+  return new Date(Date.now() - timeoutSeconds * 1000);
+};
+
+// Drop streams that stopped sending heartbeats (the reaper may not have run yet)
+userSchema.methods.pruneStaleStreams = function() {
+  const cutoff = this.constructor.getStaleStreamCutoff();
+  this.currentStreams = this.currentStreams.filter(
+    s => (s.lastHeartbeat || s.startedAt) > cutoff
+  );
+};
+
+// Check concurrent stream limit (maxStreams resolved from the user's plan, see PlanLimitService)
+userSchema.methods.checkStreamLimit = function(maxStreams) {
   return this.currentStreams.length < maxStreams;
 };
 
@@ -150,6 +268,8 @@ userSchema.methods.toJSON = function() {
   const obj = this.toObject();
   delete obj.password;
   delete obj.refreshTokens;
+  obj.profiles = (obj.profiles || []).map(toPublicProfile);
+  obj.parentalControls = { hasPin: !!obj.parentalControls?.pinHash };
   return obj;
 };
 
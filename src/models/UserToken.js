@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Purposes whose tokens belong to an Admin rather than a User
+const ADMIN_PURPOSES = ['admin_invite', 'admin_password_reset'];
+
+/**
+ * User Token Model - Single-use tokens mailed to users (password reset,
+ * email verification) and admins (invitation, password reset). Only a
+ * SHA-256 hash of the token is stored.
+ */
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'accountModel',
+    required: true
+  },
+  accountModel: {
+    type: String,
+    enum: ['User', 'Admin'],
+    default: 'User'
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification', ...ADMIN_PURPOSES],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+userTokenSchema.pre('validate', function(next) {
+  this.accountModel = ADMIN_PURPOSES.includes(this.purpose) ? 'Admin' : 'User';
+  next();
+});
+
+userTokenSchema.index({ user: 1, purpose: 1 });
+// MongoDB removes tokens a day after they expire
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
@@ -59,10 +59,10 @@ const watchHistorySchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Compound index for efficient queries
-watchHistorySchema.index({ user: 1, lastWatchedAt: -1 });
-watchHistorySchema.index({ user: 1, contentId: 1, contentType: 1 }, { unique: true });
-watchHistorySchema.index({ user: 1, completed: 1 });
+// Compound index for efficient queries; history is kept per profile
+watchHistorySchema.index({ user: 1, profile: 1, lastWatchedAt: -1 });
+watchHistorySchema.index({ user: 1, profile: 1, contentId: 1, contentType: 1 }, { unique: true });
+watchHistorySchema.index({ user: 1, profile: 1, completed: 1 });
 
 // Update progress percentage
 watchHistorySchema.methods.updateProgress = function() {
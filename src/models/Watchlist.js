@@ -25,9 +25,9 @@ const watchlistSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Compound index to ensure unique content per user
-watchlistSchema.index({ user: 1, contentId: 1, contentType: 1 }, { unique: true });
-watchlistSchema.index({ user: 1, createdAt: -1 });
+// Compound index to ensure unique content per profile
+watchlistSchema.index({ user: 1, profile: 1, contentId: 1, contentType: 1 }, { unique: true });
+watchlistSchema.index({ user: 1, profile: 1, createdAt: -1 });
 
 module.exports = mongoose.model('Watchlist', watchlistSchema);
 
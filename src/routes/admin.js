@@ -1,12 +1,16 @@
 const express = require('express');
 const router = express.Router();
 
-const { authenticateAdmin, authorizeAdmin } = require('../middleware/auth');
+const { authenticateAdmin: authenticate, requirePermission } = require('../middleware/auth');
+const { auditAdminActions } = require('../middleware/auditLog');
 const adminAuthController = require('../controllers/admin/authController');
 const movieController = require('../controllers/admin/movieController');
 const seriesController = require('../controllers/admin/seriesController');
 const planController = require('../controllers/admin/planController');
+const couponController = require('../controllers/admin/couponController');
 const userController = require('../controllers/admin/userController');
+const adminController = require('../controllers/admin/adminController');
+const roleController = require('../controllers/admin/roleController');
 const paymentController = require('../controllers/admin/paymentController');
 const sectionController = require('../controllers/admin/sectionController');
 const categoryController = require('../controllers/admin/categoryController');
@@ -16,127 +20,175 @@ const castController = require('../controllers/admin/castController');
 const uploadController = require('../controllers/admin/uploadController');
 const analyticsController = require('../controllers/admin/analyticsController');
 const errorLogController = require('../controllers/admin/errorLogController');
+const auditLogController = require('../controllers/admin/auditLogController');
+
+// Every authenticated route records its mutating requests; the audit
+// middleware runs only once the caller is known
+const authenticateAdmin = [authenticate, auditAdminActions];
 
 // Admin Auth Routes
 router.post('/auth/login', adminAuthController.login);
+router.post('/auth/2fa/verify', adminAuthController.verifyTwoFactor);
+router.post('/auth/2fa/challenge/setup', adminAuthController.setupTwoFactor);
+router.post('/auth/accept-invite', adminAuthController.acceptInvite);
+router.post('/auth/reset-password', adminAuthController.resetPassword);
 router.post('/auth/refresh', adminAuthController.refreshToken);
 router.post('/auth/logout', authenticateAdmin, adminAuthController.logout);
+router.post('/auth/logout-all', authenticateAdmin, adminAuthController.logoutAll);
+router.get('/auth/2fa', authenticateAdmin, adminAuthController.getTwoFactorStatus);
+router.post('/auth/2fa/setup', authenticateAdmin, adminAuthController.setupTwoFactor);
+router.post('/auth/2fa/enable', authenticateAdmin, adminAuthController.enableTwoFactor);
+router.post('/auth/2fa/disable', authenticateAdmin, adminAuthController.disableTwoFactor);
+router.post('/auth/2fa/recovery-codes', authenticateAdmin, adminAuthController.regenerateRecoveryCodes);
+
+// Admin Accounts Routes
+router.get('/admins', authenticateAdmin, requirePermission('admins:manage'), adminController.getAdmins);
+router.post('/admins', authenticateAdmin, requirePermission('admins:manage'), adminController.inviteAdmin);
+router.put('/admins/unlock/:id', authenticateAdmin, requirePermission('admins:manage'), adminController.unlockAdmin);
+router.get('/admins/:id', authenticateAdmin, requirePermission('admins:manage'), adminController.getAdminById);
+router.put('/admins/:id', authenticateAdmin, requirePermission('admins:manage'), adminController.updateAdmin);
+router.delete('/admins/:id', authenticateAdmin, requirePermission('admins:manage'), adminController.deleteAdmin);
+router.post('/admins/:id/resend-invite', authenticateAdmin, requirePermission('admins:manage'), adminController.resendInvite);
+router.post('/admins/:id/reset-password', authenticateAdmin, requirePermission('admins:manage'), adminController.resetAdminPassword);
+
+// Roles & Permissions Routes
+router.get('/permissions', authenticateAdmin, requirePermission('roles:manage'), roleController.getPermissions);
+router.get('/roles', authenticateAdmin, requirePermission('roles:manage'), roleController.getRoles);
+router.post('/roles', authenticateAdmin, requirePermission('roles:manage'), roleController.createRole);
+router.put('/roles/:id', authenticateAdmin, requirePermission('roles:manage'), roleController.updateRole);
+router.delete('/roles/:id', authenticateAdmin, requirePermission('roles:manage'), roleController.deleteRole);
 
 // Movies Routes
-router.post('/movies', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), movieController.createMovie);
-router.get('/movies', authenticateAdmin, movieController.getMovies);
-router.get('/movies/:id', authenticateAdmin, movieController.getMovieById);
-router.put('/movies/:id', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), movieController.updateMovie);
-router.patch('/movies/:id/status', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), movieController.toggleActive);
-router.delete('/movies/:id', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), movieController.deleteMovie);
+router.post('/movies', authenticateAdmin, requirePermission('content:write'), movieController.createMovie);
+router.get('/movies', authenticateAdmin, requirePermission('content:read'), movieController.getMovies);
+router.get('/movies/:id', authenticateAdmin, requirePermission('content:read'), movieController.getMovieById);
+router.put('/movies/:id', authenticateAdmin, requirePermission('content:write'), movieController.updateMovie);
+router.patch('/movies/:id/status', authenticateAdmin, requirePermission('content:write'), movieController.toggleActive);
+router.delete('/movies/:id', authenticateAdmin, requirePermission('content:write'), movieController.deleteMovie);
 
 // Series Routes
-router.post('/series', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), seriesController.createSeries);
-router.get('/series', authenticateAdmin, seriesController.getSeries);
-router.get('/series/:id', authenticateAdmin, seriesController.getSeriesById);
-router.put('/series/:id', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), seriesController.updateSeries);
-router.patch('/series/:id/status', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), seriesController.toggleActive);
-router.delete('/series/:id', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), seriesController.deleteSeries);
+router.post('/series', authenticateAdmin, requirePermission('content:write'), seriesController.createSeries);
+router.get('/series', authenticateAdmin, requirePermission('content:read'), seriesController.getSeries);
+router.get('/series/:id', authenticateAdmin, requirePermission('content:read'), seriesController.getSeriesById);
+router.put('/series/:id', authenticateAdmin, requirePermission('content:write'), seriesController.updateSeries);
+router.patch('/series/:id/status', authenticateAdmin, requirePermission('content:write'), seriesController.toggleActive);
+router.delete('/series/:id', authenticateAdmin, requirePermission('content:write'), seriesController.deleteSeries);
 
 // Seasons Routes
-router.post('/series/:seriesId/seasons', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), seriesController.createSeason);
-router.get('/series/:seriesId/seasons', authenticateAdmin, seriesController.getSeasons);
-router.put('/seasons/:id', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), seriesController.updateSeason);
-router.delete('/seasons/:id', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), seriesController.deleteSeason);
+router.post('/series/:seriesId/seasons', authenticateAdmin, requirePermission('content:write'), seriesController.createSeason);
+router.get('/series/:seriesId/seasons', authenticateAdmin, requirePermission('content:read'), seriesController.getSeasons);
+router.put('/seasons/:id', authenticateAdmin, requirePermission('content:write'), seriesController.updateSeason);
+router.delete('/seasons/:id', authenticateAdmin, requirePermission('content:write'), seriesController.deleteSeason);
 
 // Episodes Routes
-router.post('/seasons/:seasonId/episodes', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), seriesController.createEpisode);
-router.get('/seasons/:seasonId/episodes', authenticateAdmin, seriesController.getEpisodes);
-router.put('/episodes/:id', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), seriesController.updateEpisode);
-router.delete('/episodes/:id', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), seriesController.deleteEpisode);
+router.post('/seasons/:seasonId/episodes', authenticateAdmin, requirePermission('content:write'), seriesController.createEpisode);
+router.get('/seasons/:seasonId/episodes', authenticateAdmin, requirePermission('content:read'), seriesController.getEpisodes);
+router.put('/episodes/:id', authenticateAdmin, requirePermission('content:write'), seriesController.updateEpisode);
+router.delete('/episodes/:id', authenticateAdmin, requirePermission('content:write'), seriesController.deleteEpisode);
 
 // Plans Routes
-router.post('/plans', authenticateAdmin, authorizeAdmin('super_admin', 'finance'), planController.createPlan);
-router.get('/plans', authenticateAdmin, planController.getPlans);
-router.get('/plans/:id', authenticateAdmin, planController.getPlanById);
-router.put('/plans/:id', authenticateAdmin, authorizeAdmin('super_admin', 'finance'), planController.updatePlan);
-router.patch('/plans/:id/status', authenticateAdmin, authorizeAdmin('super_admin', 'finance'), planController.toggleActive);
-router.delete('/plans/:id', authenticateAdmin, authorizeAdmin('super_admin', 'finance'), planController.deletePlan);
+router.post('/plans', authenticateAdmin, requirePermission('plans:write'), planController.createPlan);
+router.get('/plans', authenticateAdmin, requirePermission('plans:read'), planController.getPlans);
+router.get('/plans/:id', authenticateAdmin, requirePermission('plans:read'), planController.getPlanById);
+router.put('/plans/:id', authenticateAdmin, requirePermission('plans:write'), planController.updatePlan);
+router.patch('/plans/:id/status', authenticateAdmin, requirePermission('plans:write'), planController.toggleActive);
+router.delete('/plans/:id', authenticateAdmin, requirePermission('plans:write'), planController.deletePlan);
+
+// Coupons Routes
+router.post('/coupons', authenticateAdmin, requirePermission('coupons:write'), couponController.createCoupon);
+router.get('/coupons', authenticateAdmin, requirePermission('coupons:read'), couponController.getCoupons);
+router.get('/coupons/:id', authenticateAdmin, requirePermission('coupons:read'), couponController.getCouponById);
+router.put('/coupons/:id', authenticateAdmin, requirePermission('coupons:write'), couponController.updateCoupon);
+router.patch('/coupons/:id/status', authenticateAdmin, requirePermission('coupons:write'), couponController.toggleActive);
+router.delete('/coupons/:id', authenticateAdmin, requirePermission('coupons:write'), couponController.deleteCoupon);
 
 // Users Routes
-router.get('/users', authenticateAdmin, userController.getUsers);
-router.get('/users/:id', authenticateAdmin, userController.getUserById);
-router.put('/users/ban/:id', authenticateAdmin, authorizeAdmin('super_admin', 'support'), userController.banUser);
-router.put('/users/unban/:id', authenticateAdmin, authorizeAdmin('super_admin', 'support'), userController.unbanUser);
+router.get('/users', authenticateAdmin, requirePermission('users:read'), userController.getUsers);
+router.get('/users/:id', authenticateAdmin, requirePermission('users:read'), userController.getUserById);
+router.put('/users/ban/:id', authenticateAdmin, requirePermission('users:ban'), userController.banUser);
+router.put('/users/unban/:id', authenticateAdmin, requirePermission('users:ban'), userController.unbanUser);
+router.put('/users/unlock/:id', authenticateAdmin, requirePermission('users:unlock'), userController.unlockUser);
+router.get('/users/:id/streams', authenticateAdmin, requirePermission('users:read'), userController.getUserStreams);
+router.delete('/users/:id/streams/:streamId', authenticateAdmin, requirePermission('users:streams'), userController.terminateUserStream);
 
 // Orders/Payments Routes
-router.get('/orders', authenticateAdmin, paymentController.getOrders);
-router.get('/orders/:id', authenticateAdmin, paymentController.getOrderById);
-router.get('/payments', authenticateAdmin, paymentController.getPayments);
+router.get('/orders', authenticateAdmin, requirePermission('payments:read'), paymentController.getOrders);
+router.get('/orders/:id', authenticateAdmin, requirePermission('payments:read'), paymentController.getOrderById);
+router.get('/payments', authenticateAdmin, requirePermission('payments:read'), paymentController.getPayments);
+router.post('/payments/:id/refund', authenticateAdmin, requirePermission('payments:refund'), paymentController.refundPayment);
+router.get('/invoices/export', authenticateAdmin, requirePermission('invoices:export'), paymentController.exportInvoices);
 
 // Sections Routes
-router.post('/sections', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), sectionController.createSection);
-router.get('/sections', authenticateAdmin, sectionController.getSections);
-router.get('/sections/:id', authenticateAdmin, sectionController.getSectionById);
-router.put('/sections/:id', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), sectionController.updateSection);
-router.patch('/sections/:id/status', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), sectionController.toggleActive);
-router.delete('/sections/:id', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), sectionController.deleteSection);
+router.post('/sections', authenticateAdmin, requirePermission('content:write'), sectionController.createSection);
+router.get('/sections', authenticateAdmin, requirePermission('content:read'), sectionController.getSections);
+router.get('/sections/:id', authenticateAdmin, requirePermission('content:read'), sectionController.getSectionById);
+router.put('/sections/:id', authenticateAdmin, requirePermission('content:write'), sectionController.updateSection);
+router.patch('/sections/:id/status', authenticateAdmin, requirePermission('content:write'), sectionController.toggleActive);
+router.delete('/sections/:id', authenticateAdmin, requirePermission('content:write'), sectionController.deleteSection);
 
 // Categories Routes
-router.post('/categories', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), categoryController.createCategory);
-router.get('/categories', authenticateAdmin, categoryController.getAllCategories);
-router.get('/categories/:id', authenticateAdmin, categoryController.getCategoryById);
-router.put('/categories/:id', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), categoryController.updateCategory);
-router.patch('/categories/:id/status', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), categoryController.toggleActive);
-router.delete('/categories/:id', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), categoryController.deleteCategory);
+router.post('/categories', authenticateAdmin, requirePermission('content:write'), categoryController.createCategory);
+router.get('/categories', authenticateAdmin, requirePermission('content:read'), categoryController.getAllCategories);
+router.get('/categories/:id', authenticateAdmin, requirePermission('content:read'), categoryController.getCategoryById);
+router.put('/categories/:id', authenticateAdmin, requirePermission('content:write'), categoryController.updateCategory);
+router.patch('/categories/:id/status', authenticateAdmin, requirePermission('content:write'), categoryController.toggleActive);
+router.delete('/categories/:id', authenticateAdmin, requirePermission('content:write'), categoryController.deleteCategory);
 
 // Ads Routes
-router.post('/ads', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), adController.createAd);
-router.get('/ads', authenticateAdmin, adController.getAds);
-router.get('/ads/:id', authenticateAdmin, adController.getAdById);
-router.put('/ads/:id', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), adController.updateAd);
-router.patch('/ads/:id/status', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), adController.toggleActive);
-router.delete('/ads/:id', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), adController.deleteAd);
+router.post('/ads', authenticateAdmin, requirePermission('content:write'), adController.createAd);
+router.get('/ads', authenticateAdmin, requirePermission('content:read'), adController.getAds);
+router.get('/ads/:id', authenticateAdmin, requirePermission('content:read'), adController.getAdById);
+router.put('/ads/:id', authenticateAdmin, requirePermission('content:write'), adController.updateAd);
+router.patch('/ads/:id/status', authenticateAdmin, requirePermission('content:write'), adController.toggleActive);
+router.delete('/ads/:id', authenticateAdmin, requirePermission('content:write'), adController.deleteAd);
 
 // Languages Routes
-router.post('/languages', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), languageController.createLanguage);
-router.get('/languages', authenticateAdmin, languageController.getLanguages);
-router.get('/languages/:id', authenticateAdmin, languageController.getLanguageById);
-router.put('/languages/:id', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), languageController.updateLanguage);
-router.patch('/languages/:id/status', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), languageController.toggleActive);
-router.delete('/languages/:id', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), languageController.deleteLanguage);
+router.post('/languages', authenticateAdmin, requirePermission('content:write'), languageController.createLanguage);
+router.get('/languages', authenticateAdmin, requirePermission('content:read'), languageController.getLanguages);
+router.get('/languages/:id', authenticateAdmin, requirePermission('content:read'), languageController.getLanguageById);
+router.put('/languages/:id', authenticateAdmin, requirePermission('content:write'), languageController.updateLanguage);
+router.patch('/languages/:id/status', authenticateAdmin, requirePermission('content:write'), languageController.toggleActive);
+router.delete('/languages/:id', authenticateAdmin, requirePermission('content:write'), languageController.deleteLanguage);
 
 // Cast Routes
-router.post('/cast', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), castController.createCast);
-router.get('/cast', authenticateAdmin, castController.getCast);
-router.get('/cast/:id', authenticateAdmin, castController.getCastById);
-router.put('/cast/:id', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), castController.updateCast);
-router.patch('/cast/:id/status', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), castController.toggleActive);
-router.delete('/cast/:id', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), castController.deleteCast);
+router.post('/cast', authenticateAdmin, requirePermission('content:write'), castController.createCast);
+router.get('/cast', authenticateAdmin, requirePermission('content:read'), castController.getCast);
+router.get('/cast/:id', authenticateAdmin, requirePermission('content:read'), castController.getCastById);
+router.put('/cast/:id', authenticateAdmin, requirePermission('content:write'), castController.updateCast);
+router.patch('/cast/:id/status', authenticateAdmin, requirePermission('content:write'), castController.toggleActive);
+router.delete('/cast/:id', authenticateAdmin, requirePermission('content:write'), castController.deleteCast);
 
 // Upload Routes (Cloudflare R2)
-router.post('/upload/thumbnail', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), uploadController.getThumbnailUploadUrl);
-router.post('/upload/poster', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), uploadController.getPosterUploadUrl);
-router.post('/upload/cast-image', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), uploadController.getCastImageUploadUrl);
-router.post('/upload/video', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), uploadController.getVideoUploadUrl);
-router.post('/upload/subtitle', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), uploadController.getSubtitleUploadUrl);
-router.post('/upload/hls-manifest', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), uploadController.getHLSManifestUploadUrl);
-router.post('/upload/hls-segment', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), uploadController.getHLSSegmentUploadUrl);
-router.post('/upload/bulk', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), uploadController.getBulkUploadUrls);
+router.post('/upload/thumbnail', authenticateAdmin, requirePermission('content:write'), uploadController.getThumbnailUploadUrl);
+router.post('/upload/poster', authenticateAdmin, requirePermission('content:write'), uploadController.getPosterUploadUrl);
+router.post('/upload/cast-image', authenticateAdmin, requirePermission('content:write'), uploadController.getCastImageUploadUrl);
+router.post('/upload/video', authenticateAdmin, requirePermission('content:write'), uploadController.getVideoUploadUrl);
+router.post('/upload/subtitle', authenticateAdmin, requirePermission('content:write'), uploadController.getSubtitleUploadUrl);
+router.post('/upload/hls-manifest', authenticateAdmin, requirePermission('content:write'), uploadController.getHLSManifestUploadUrl);
+router.post('/upload/hls-segment', authenticateAdmin, requirePermission('content:write'), uploadController.getHLSSegmentUploadUrl);
+router.post('/upload/bulk', authenticateAdmin, requirePermission('content:write'), uploadController.getBulkUploadUrls);
 
 // Dashboard Analytics Routes
-router.get('/dashboard/summary', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), analyticsController.getSummary);
-router.get('/dashboard/revenue', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), analyticsController.getRevenue);
-router.get('/dashboard/subscriptions', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), analyticsController.getSubscriptions);
-router.get('/dashboard/most-viewed', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), analyticsController.getMostViewed);
-router.get('/dashboard/least-viewed', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), analyticsController.getLeastViewed);
-router.get('/dashboard/categories', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), analyticsController.getCategories);
-router.get('/dashboard/genres', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), analyticsController.getGenres);
-router.get('/dashboard/watch-history', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), analyticsController.getWatchHistory);
-router.get('/dashboard/ads', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), analyticsController.getAds);
-router.get('/dashboard/active-devices', authenticateAdmin, authorizeAdmin('super_admin', 'content_manager'), analyticsController.getActiveDevices);
+router.get('/dashboard/summary', authenticateAdmin, requirePermission('analytics:read'), analyticsController.getSummary);
+router.get('/dashboard/revenue', authenticateAdmin, requirePermission('analytics:read'), analyticsController.getRevenue);
+router.get('/dashboard/subscriptions', authenticateAdmin, requirePermission('analytics:read'), analyticsController.getSubscriptions);
+router.get('/dashboard/most-viewed', authenticateAdmin, requirePermission('analytics:read'), analyticsController.getMostViewed);
+router.get('/dashboard/least-viewed', authenticateAdmin, requirePermission('analytics:read'), analyticsController.getLeastViewed);
+router.get('/dashboard/categories', authenticateAdmin, requirePermission('analytics:read'), analyticsController.getCategories);
+router.get('/dashboard/genres', authenticateAdmin, requirePermission('analytics:read'), analyticsController.getGenres);
+router.get('/dashboard/watch-history', authenticateAdmin, requirePermission('analytics:read'), analyticsController.getWatchHistory);
+router.get('/dashboard/ads', authenticateAdmin, requirePermission('analytics:read'), analyticsController.getAds);
+router.get('/dashboard/active-devices', authenticateAdmin, requirePermission('analytics:read'), analyticsController.getActiveDevices);
 
 // Error Logs Routes
-router.get('/error-logs', authenticateAdmin, authorizeAdmin('super_admin'), errorLogController.getErrorLogs);
-router.get('/error-logs/statistics', authenticateAdmin, authorizeAdmin('super_admin'), errorLogController.getErrorStatistics);
-router.get('/error-logs/:id', authenticateAdmin, authorizeAdmin('super_admin'), errorLogController.getErrorById);
-router.post('/error-logs/:errorId/resolve', authenticateAdmin, authorizeAdmin('super_admin'), errorLogController.resolveError);
-router.get('/error-logs/route/:route', authenticateAdmin, authorizeAdmin('super_admin'), errorLogController.getErrorsByRoute);
+router.get('/error-logs', authenticateAdmin, requirePermission('errors:read'), errorLogController.getErrorLogs);
+router.get('/error-logs/statistics', authenticateAdmin, requirePermission('errors:read'), errorLogController.getErrorStatistics);
+router.get('/error-logs/:id', authenticateAdmin, requirePermission('errors:read'), errorLogController.getErrorById);
+router.post('/error-logs/:errorId/resolve', authenticateAdmin, requirePermission('errors:resolve'), errorLogController.resolveError);
+router.get('/error-logs/route/:route', authenticateAdmin, requirePermission('errors:read'), errorLogController.getErrorsByRoute);
+
+// Audit Log Routes
+router.get('/audit-logs', authenticateAdmin, requirePermission('audit:read'), auditLogController.getAuditLogs);
 
 module.exports = router;
 
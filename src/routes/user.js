@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 
-const { authenticateUser } = require('../middleware/auth');
+const { authenticateUser, optionalAuthenticateUser } = require('../middleware/auth');
 const userAuthController = require('../controllers/user/authController');
 const contentController = require('../controllers/user/contentController');
 const streamingController = require('../controllers/user/streamingController');
@@ -10,45 +10,62 @@ const watchlistController = require('../controllers/user/watchlistController');
 const watchHistoryController = require('../controllers/user/watchHistoryController');
 const searchController = require('../controllers/user/searchController');
 const deviceController = require('../controllers/user/deviceController');
+const paymentController = require('../controllers/user/paymentController');
 
 router.post('/auth/signup', userAuthController.signup);
 router.post('/auth/login', userAuthController.login);
+router.post('/auth/otp/request', userAuthController.requestOtp);
+router.post('/auth/otp/verify', userAuthController.verifyOtp);
 router.post('/auth/refresh', userAuthController.refreshToken);
 router.post('/auth/logout', authenticateUser, userAuthController.logout);
+router.post('/auth/logout-all', authenticateUser, userAuthController.logoutAll);
+router.post('/auth/forgot-password', userAuthController.forgotPassword);
+router.post('/auth/reset-password', userAuthController.resetPassword);
+router.post('/auth/verify-email', userAuthController.verifyEmail);
+router.post('/auth/resend-verification', authenticateUser, userAuthController.resendVerification);
+
+router.get('/sessions', authenticateUser, userAuthController.getSessions);
+router.delete('/sessions/:id', authenticateUser, userAuthController.revokeSession);
 
 router.post('/profiles', authenticateUser, userAuthController.createProfile);
 router.get('/profiles', authenticateUser, userAuthController.getProfiles);
+router.put('/profiles/parental-pin', authenticateUser, userAuthController.setParentalPin);
 router.put('/profiles/:id', authenticateUser, userAuthController.updateProfile);
 router.delete('/profiles/:id', authenticateUser, userAuthController.deleteProfile);
 router.put('/profiles/:id/switch', authenticateUser, userAuthController.switchProfile);
-
-
-router.get('/homepage', contentController.getHomepage);
-router.get('/trending', contentController.getTrending);
-router.get('/popular', contentController.getPopular);
-router.get('/recently-added', contentController.getRecentlyAdded);
-router.get('/upcoming', contentController.getUpcoming);
-router.get('/kids', contentController.getKidsContent);
-
-router.get('/movies', contentController.getMovies);
-router.get('/series', contentController.getSeries);
+router.get('/profiles/:id/parental-controls', authenticateUser, userAuthController.getParentalControls);
+router.put('/profiles/:id/parental-controls', authenticateUser, userAuthController.updateParentalControls);
+router.post('/profiles/:id/blocked-titles', authenticateUser, userAuthController.blockTitle);
+router.delete('/profiles/:id/blocked-titles/:contentId', authenticateUser, userAuthController.unblockTitle);
+
+
+// Public, but a signed-in profile only sees titles within its maturity ceiling
+router.get('/homepage', optionalAuthenticateUser, contentController.getHomepage);
+router.get('/trending', optionalAuthenticateUser, contentController.getTrending);
+router.get('/popular', optionalAuthenticateUser, contentController.getPopular);
+router.get('/recently-added', optionalAuthenticateUser, contentController.getRecentlyAdded);
+router.get('/upcoming', optionalAuthenticateUser, contentController.getUpcoming);
+router.get('/kids', optionalAuthenticateUser, contentController.getKidsContent);
+
+router.get('/movies', optionalAuthenticateUser, contentController.getMovies);
+router.get('/series', optionalAuthenticateUser, contentController.getSeries);
 router.get('/genres', contentController.getGenres);
 router.get('/languages', contentController.getLanguages);
 
 // Content Details
-router.get('/movies/:id', contentController.getMovieById);
-router.get('/series/:id', contentController.getSeriesById);
-router.get('/series/:id/seasons', contentController.getSeasons);
-router.get('/episodes/:id', contentController.getEpisodeById);
-router.get('/cast/:id', contentController.getCastDetails);
+router.get('/movies/:id', optionalAuthenticateUser, contentController.getMovieById);
+router.get('/series/:id', optionalAuthenticateUser, contentController.getSeriesById);
+router.get('/series/:id/seasons', optionalAuthenticateUser, contentController.getSeasons);
+router.get('/episodes/:id', optionalAuthenticateUser, contentController.getEpisodeById);
+router.get('/cast/:id', optionalAuthenticateUser, contentController.getCastDetails);
 
 // Content Discovery
-router.get('/content/related', contentController.getRelatedContent);
-router.get('/content/by-cast', contentController.getContentByCast);
-router.get('/content/by-language', contentController.getContentByLanguage);
+router.get('/content/related', optionalAuthenticateUser, contentController.getRelatedContent);
+router.get('/content/by-cast', optionalAuthenticateUser, contentController.getContentByCast);
+router.get('/content/by-language', optionalAuthenticateUser, contentController.getContentByLanguage);
 
 // Search
-router.get('/search', searchController.search);
+router.get('/search', optionalAuthenticateUser, searchController.search);
 
 // ==================== AUTHENTICATED CONTENT ROUTES ====================
 // Recommendations (Personalized)
@@ -58,6 +75,8 @@ router.get('/recommendations', authenticateUser, contentController.getRecommenda
 router.get('/stream/qualities', authenticateUser, streamingController.getAvailableQualities);
 router.get('/stream/movie/:id', authenticateUser, streamingController.getMovieStream);
 router.get('/stream/episode/:id', authenticateUser, streamingController.getEpisodeStream);
+router.post('/stream/heartbeat', authenticateUser, streamingController.heartbeatStream);
+router.post('/stream/stop', authenticateUser, streamingController.stopStream);
 router.get('/stream/subtitle/:id', authenticateUser, streamingController.getSubtitle);
 router.get('/stream/playback-position', authenticateUser, streamingController.getPlaybackPosition);
 router.post('/stream/playback-position', authenticateUser, streamingController.updatePlaybackPosition);
@@ -74,13 +93,20 @@ router.post('/watchlist', authenticateUser, watchlistController.addToWatchlist);
 router.delete('/watchlist/:id', authenticateUser, watchlistController.removeFromWatchlist);
 
 // ==================== SUBSCRIPTION ROUTES ====================
+router.get('/plans', optionalAuthenticateUser, subscriptionController.getPlans);
 router.get('/subscription', authenticateUser, subscriptionController.getSubscription);
+router.get('/subscription/history', authenticateUser, subscriptionController.getSubscriptionHistory);
 router.post('/subscription/subscribe', authenticateUser, subscriptionController.subscribe);
+router.post('/subscription/trial/start', authenticateUser, subscriptionController.startTrial);
+router.post('/subscription/change-plan', authenticateUser, subscriptionController.changePlan);
 router.post('/subscription/cancel', authenticateUser, subscriptionController.cancelSubscription);
 
 // ==================== PAYMENT ROUTES ====================
 router.post('/payment/create-order', authenticateUser, subscriptionController.createPaymentOrder);
 router.post('/payment/verify', authenticateUser, subscriptionController.verifyPayment);
+router.post('/coupons/validate', authenticateUser, subscriptionController.validateCoupon);
+router.get('/payments', authenticateUser, paymentController.getPayments);
+router.get('/payments/:id/invoice', authenticateUser, paymentController.getInvoice);
 
 // ==================== DEVICE ROUTES ====================
 router.get('/devices', authenticateUser, deviceController.getDevices);
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+
+const gatewayWebhookController = require('../controllers/webhook/gatewayController');
+
+// Payment gateway webhooks (authenticated by signature, not JWT)
+router.post('/:gateway', gatewayWebhookController.handleWebhook);
+
+module.exports = router;
@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const ErrorTrackingService = require('./errorTrackingService');
+const logger = require('../utils/logger');
+
+// Admin API path segment -> model of the entity it manages
+const ENTITY_MODELS = {
+  admins: 'Admin',
+  ads: 'Ad',
+  cast: 'Cast',
+  categories: 'Category',
+  coupons: 'Coupon',
+  episodes: 'Episode',
+  languages: 'Language',
+  movies: 'Movie',
+  payments: 'Payment',
+  plans: 'Plan',
+  roles: 'Role',
+  seasons: 'Season',
+  sections: 'Section',
+  series: 'Series',
+  users: 'User'
+};
+
+// Never copied into a diff: credentials, session state and bookkeeping
+const EXCLUDED_FIELDS = ['password', 'refreshTokens', 'twoFactor', 'tokenVersion', '__v', 'updatedAt'];
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+/**
+ * Audit Log Service - Records and queries admin actions
+ */
+class AuditLogService {
+  /**
+   * Entity an admin API path acts on
+   * The last segment naming a collection gives the type, and the ObjectId
+   * following it the entity (absent on create).
+   * @param {string} path - Path relative to the admin router
+   * @returns {Object} { entityType, entityId }
+   */
+  static resolveTarget(path) {
+    const segments = path.split('/').filter(Boolean);
+    let target = { entityType: null, entityId: null };
+
+    segments.forEach((segment, index) => {
+      if (ENTITY_MODELS[segment]) {
+        const id = segments.slice(index + 1).find(s => OBJECT_ID_PATTERN.test(s));
+        target = { entityType: ENTITY_MODELS[segment], entityId: id || null };
+      }
+    });
+
+    return target;
+  }
+
+  /**
+   * Current state of an entity, redacted for storage
+   * @param {string} entityType - Model name
+   * @param {string} entityId - Document ID
+   * @returns {Promise<Object|null>} Plain object, or null if not found
+   */
+  static async snapshot(entityType, entityId) {
+    const Model = mongoose.models[entityType];
+    if (!Model || !entityId) {
+      return null;
+    }
+
+    const doc = await Model.findById(entityId).lean();
+    if (!doc) {
+      return null;
+    }
+
+    EXCLUDED_FIELDS.forEach(field => delete doc[field]);
+    return ErrorTrackingService.sanitizeRequestBody(doc);
+  }
+
+  /**
+   * Field-level difference between two snapshots
+   * @param {Object|null} before - State before the action
+   * @param {Object|null} after - State after the action
+   * @returns {Object|null} { field: { from, to } }, or null when nothing changed
+   */
+  static diff(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = {};
+
+    fields.forEach(field => {
+      const from = before ? before[field] : undefined;
+      const to = after ? after[field] : undefined;
+
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from: from ?? null, to: to ?? null };
+      }
+    });
+
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  /**
+   * Store the audit record of a finished request
+   * @param {Object} params - { req, res, target, before, responseBody }
+   * @returns {Promise<Object|null>} AuditLog record
+   */
+  static async record({ req, res, target, before, responseBody }) {
+    try {
+      const succeeded = res.statusCode < 400;
+      const entityId = target.entityId ||
+        (target.entityType && (responseBody?.data?._id || responseBody?.data?.id)) ||
+        null;
+
+      let changes = null;
+      if (succeeded && target.entityType && entityId) {
+        const after = req.method === 'DELETE' ? null : await this.snapshot(target.entityType, entityId);
+        changes = this.diff(before, after);
+      }
+
+      return await AuditLog.create({
+        admin: req.admin.id,
+        adminRole: req.admin.role,
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+        path: req.originalUrl.split('?')[0],
+        statusCode: res.statusCode,
+        entityType: target.entityType,
+        entityId: entityId ? String(entityId) : null,
+        changes,
+        requestBody: req.body && Object.keys(req.body).length > 0
+          ? ErrorTrackingService.sanitizeRequestBody(req.body)
+          : null,
+        ip: req.ip || req.connection?.remoteAddress,
+        userAgent: req.get('user-agent')
+      });
+    } catch (error) {
+      // Auditing must never break the admin API
+      logger.error('AuditLogService.record error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get audit logs with filters
+   * @param {Object} filters - { adminId, entityType, entityId, method, startDate, endDate }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Paginated audit logs
+   */
+  static async getAuditLogs(filters = {}, options = {}) {
+    try {
+      const { page = 1, limit = 50 } = options;
+      const query = {};
+
+      if (filters.adminId) query.admin = filters.adminId;
+      if (filters.entityType) query.entityType = filters.entityType;
+      if (filters.entityId) query.entityId = filters.entityId;
+      if (filters.method) query.method = filters.method;
+
+      // Date range
+      if (filters.startDate || filters.endDate) {
+        query.createdAt = {};
+        if (filters.startDate) query.createdAt.$gte = new Date(filters.startDate);
+        if (filters.endDate) query.createdAt.$lte = new Date(filters.endDate);
+      }
+
+      const skip = (page - 1) * limit;
+
+      const [logs, total] = await Promise.all([
+        AuditLog.find(query)
+          .populate('admin', 'name email')
+          .sort({ createdAt: -1 })
+          .limit(limit)
+          .skip(skip)
+          .lean(),
+        AuditLog.countDocuments(query)
+      ]);
+
+      return {
+        data: logs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('AuditLogService.getAuditLogs error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AuditLogService;
@@ -0,0 +1,441 @@
+const Payment = require('../models/Payment');
+const Subscription = require('../models/Subscription');
+const User = require('../models/User');
+const paymentService = require('./paymentService');
+const CouponService = require('./couponService');
+const TrialService = require('./trialService');
+const InvoiceService = require('./invoiceService');
+const PricingService = require('./pricingService');
+const logger = require('../utils/logger');
+
+/**
+ * Billing Service - Payment state transitions and their effect on subscriptions
+ * Shared by client-side verification and gateway webhooks, so every
+ * transition is guarded by the current status and is safe to repeat.
+ */
+class BillingService {
+  /**
+   * Create a gateway order and its pending Payment record
+   * The amount defaults to the plan's price in the subscription's pricing region.
+   * A zero amount (e.g. a 100% coupon) skips the gateway and returns order: null.
+   * @param {Object} params - { userId, subscription, plan, purpose, amount, couponRedemption, gateway }
+   * @returns {Promise<Object>} { order, payment }
+   */
+  static async createPaymentOrder({ userId, subscription, plan, purpose = 'subscription', amount, couponRedemption, gateway }) {
+    try {
+      const price = PricingService.getPrice(plan, subscription.priceRegion);
+      if (amount === undefined) {
+        amount = price.amount;
+      }
+
+      let adapter = null;
+      if (amount > 0) {
+        adapter = gateway ? paymentService.getGateway(gateway) : paymentService.getDefaultGateway();
+        if (!adapter) {
+          throw new Error('No payment gateway is configured');
+        }
+      }
+
+      const order = adapter
+        ? await adapter.createOrder({
+          amount,
+          currency: price.currency,
+          receipt: `sub_${subscription._id}_${Date.now()}`,
+          notes: { purpose }
+        })
+        : null;
+
+      const payment = new Payment({
+        user: userId,
+        subscription: subscription._id,
+        plan: plan._id,
+        purpose,
+        amount,
+        currency: price.currency,
+        paymentMethod: adapter ? adapter.name : 'other',
+        paymentGateway: adapter ? { [adapter.fields.order]: order.id } : {},
+        couponRedemption,
+        status: 'pending'
+      });
+      await payment.save();
+
+      return { order, payment };
+    } catch (error) {
+      logger.error('BillingService.createPaymentOrder error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a payment completed and activate its subscription
+   * @param {string} paymentId - Payment ID
+   * @param {Object} gatewayData - Gateway references (paymentId, signature)
+   * @returns {Promise<Object>} { payment, subscription, alreadyProcessed }
+   */
+  static async completePayment(paymentId, gatewayData = {}) {
+    try {
+      const update = {
+        status: 'completed'
+      };
+
+      const current = await Payment.findById(paymentId).select('paymentMethod');
+      const gateway = current && paymentService.getGateway(current.paymentMethod);
+
+      if (gateway && gatewayData.paymentId) {
+        update[`paymentGateway.${gateway.fields.payment}`] = gatewayData.paymentId;
+        update.transactionId = gatewayData.paymentId;
+      }
+      if (gateway?.fields.signature && gatewayData.signature) {
+        update[`paymentGateway.${gateway.fields.signature}`] = gatewayData.signature;
+      }
+
+      // Only the first caller (verify or webhook) wins the pending -> completed transition
+      const payment = await Payment.findOneAndUpdate(
+        { _id: paymentId, status: { $in: ['pending', 'failed'] } },
+        { $set: update, $unset: { failureReason: 1 } },
+        { new: true }
+      ).populate('plan');
+
+      if (!payment) {
+        const existing = await Payment.findById(paymentId)
+          .populate('subscription')
+          .populate('plan');
+
+        return {
+          payment: existing,
+          subscription: existing?.subscription || null,
+          alreadyProcessed: true
+        };
+      }
+
+      const subscription = await this.activateSubscription(payment);
+
+      // The reservation made with the order is the redemption; count one only if it was released
+      if (payment.couponRedemption?.coupon) {
+        const unreserved = await Payment.updateOne(
+          { _id: payment._id, 'couponRedemption.reserved': { $ne: true } },
+          { $set: { 'couponRedemption.reserved': true } }
+        );
+        if (unreserved.modifiedCount > 0) {
+          await CouponService.recordRedemption(payment.couponRedemption.coupon, payment.user);
+        }
+      }
+
+      if (gateway && gatewayData.paymentId) {
+        await this.recordBillingCountry(payment, subscription, gateway, gatewayData.paymentId);
+      }
+
+      // The payment stands even if invoicing fails; the invoice endpoint retries it
+      try {
+        await InvoiceService.generateForPayment(payment._id);
+      } catch (error) {
+        logger.error(`Invoice generation for payment ${payment._id} failed:`, error);
+      }
+
+      return { payment, subscription, alreadyProcessed: false };
+    } catch (error) {
+      logger.error('BillingService.completePayment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take the user's billing country from the payment method the gateway reports
+   * Later orders are priced for it; a payment priced for another region is
+   * logged for review. Best effort: the payment stands either way.
+   * @param {Object} payment - Completed Payment
+   * @param {Object|null} subscription - Subscription it paid for
+   * @param {Object} gateway - Gateway adapter
+   * @param {string} gatewayPaymentId - Gateway payment reference
+   * @returns {Promise<void>}
+   */
+  static async recordBillingCountry(payment, subscription, gateway, gatewayPaymentId) {
+    try {
+      const country = PricingService.normalizeCountry(await gateway.getPaymentCountry(gatewayPaymentId));
+      if (!country) {
+        return;
+      }
+
+      await User.updateOne({ _id: payment.user }, { $set: { billingCountry: country } });
+
+      const region = PricingService.getRegionForCountry(country);
+      if (subscription && (subscription.priceRegion || null) !== region) {
+        logger.warn(`Payment ${payment._id} was priced for region ${subscription.priceRegion || 'base'} ` +
+          `but paid with a ${country} payment method`);
+      }
+    } catch (error) {
+      logger.error(`Billing country for payment ${payment._id} failed:`, error);
+    }
+  }
+
+  /**
+   * Activate the subscription paid for by a completed payment
+   * @param {Object} payment - Payment document with plan populated
+   * @returns {Promise<Object|null>} Activated subscription
+   */
+  static async activateSubscription(payment) {
+    try {
+      if (!payment.subscription) {
+        return null;
+      }
+
+      const subscription = await Subscription.findById(payment.subscription);
+      if (!subscription) {
+        logger.warn(`Subscription ${payment.subscription} for payment ${payment._id} not found`);
+        return null;
+      }
+
+      const now = new Date();
+
+      if (payment.purpose === 'upgrade') {
+        // Prorated upgrade: switch plan, keep the current period
+        this.applyPlanChange(subscription, payment.plan._id, payment._id);
+        await this.cancelPendingRenewal(subscription);
+      } else if (payment.purpose === 'renewal') {
+        // Renewals extend from the current period end, not from the payment date
+        const endDate = new Date(Math.max(subscription.endDate.getTime(), now.getTime()));
+        endDate.setDate(endDate.getDate() + payment.plan.duration);
+        subscription.endDate = endDate;
+        subscription.graceUntil = undefined;
+        subscription.renewalRequestedAt = undefined;
+        subscription.renewalPayment = undefined;
+
+        // The plan is never taken from the payment: a renewal ordered before a
+        // plan change must not undo it. A scheduled downgrade is billed by this
+        // renewal and applied at its effectiveAt by the lifecycle job.
+        const downgrade = subscription.planHistory.find(c =>
+          c.status === 'scheduled' && c.toPlan.toString() === subscription.scheduledPlan?.toString()
+        );
+        if (downgrade) {
+          downgrade.payment = payment._id;
+        }
+
+        // The first paid renewal of a trial is its conversion
+        if (subscription.trial?.startedAt && !subscription.trial.convertedAt) {
+          await TrialService.markConverted(subscription, payment._id);
+        }
+      } else {
+        subscription.startDate = now;
+        const endDate = new Date(now);
+        endDate.setDate(endDate.getDate() + payment.plan.duration);
+        subscription.endDate = endDate;
+      }
+
+      subscription.status = 'active';
+      subscription.expiredAt = undefined;
+      await subscription.save();
+
+      await User.findByIdAndUpdate(payment.user, { subscription: subscription._id });
+
+      return subscription;
+    } catch (error) {
+      logger.error('BillingService.activateSubscription error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Withdraw an unpaid renewal order after the plan it bills for changed
+   * The lifecycle job raises a new one for the current plan on its next run;
+   * the grace period is kept.
+   * @param {Object} subscription - Subscription document (not saved here)
+   */
+  static async cancelPendingRenewal(subscription) {
+    try {
+      if (!subscription.renewalPayment) {
+        return;
+      }
+
+      await Payment.updateOne(
+        { _id: subscription.renewalPayment, status: 'pending' },
+        { $set: { status: 'failed', failureReason: 'Superseded by a plan change' } }
+      );
+
+      subscription.renewalPayment = undefined;
+      subscription.renewalRequestedAt = undefined;
+    } catch (error) {
+      logger.error('BillingService.cancelPendingRenewal error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Switch a subscription to a new plan and close the matching history entry
+   * @param {Object} subscription - Subscription document (not saved here)
+   * @param {string} planId - Plan being switched to
+   * @param {string} [paymentId] - Payment that settled the change, if any
+   */
+  static applyPlanChange(subscription, planId, paymentId) {
+    const now = new Date();
+    const change = subscription.planHistory.find(c =>
+      c.toPlan.toString() === planId.toString() &&
+      ['pending_payment', 'scheduled'].includes(c.status) &&
+      (!c.payment || c.payment.toString() === paymentId?.toString())
+    );
+
+    if (change) {
+      change.status = 'applied';
+      change.appliedAt = now;
+      change.payment = paymentId || change.payment;
+    }
+
+    subscription.plan = planId;
+    if (subscription.scheduledPlan?.toString() === planId.toString()) {
+      subscription.scheduledPlan = undefined;
+    }
+  }
+
+  /**
+   * Mark a pending payment failed
+   * @param {string} paymentId - Payment ID
+   * @param {string} reason - Failure reason
+   * @returns {Promise<Object|null>} Updated payment, or null if it was not pending
+   */
+  static async failPayment(paymentId, reason) {
+    try {
+      const payment = await Payment.findOneAndUpdate(
+        { _id: paymentId, status: 'pending' },
+        { status: 'failed', failureReason: reason || 'Payment failed' },
+        { new: true }
+      );
+
+      // Give the coupon back, unless the payment completed in the meantime
+      if (payment?.couponRedemption?.reserved) {
+        const released = await Payment.updateOne(
+          { _id: paymentId, status: 'failed', 'couponRedemption.reserved': true },
+          { $set: { 'couponRedemption.reserved': false } }
+        );
+        if (released.modifiedCount > 0) {
+          await CouponService.release(payment.couponRedemption.coupon, payment.user);
+        }
+      }
+
+      return payment;
+    } catch (error) {
+      logger.error('BillingService.failPayment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a processed refund against a payment and adjust its subscription
+   * The payment stays partially_refunded until refunds add up to its amount.
+   * An admin refund is recorded by whichever comes first of the admin request
+   * and the gateway webhook, with the subscription action the admin chose
+   * (saved as pendingRefund before calling the gateway). Other refunds cancel
+   * the subscription once the payment is fully refunded.
+   * @param {string} paymentId - Payment ID
+   * @param {Object} refund - Refund details (refundId, amount in major units, status, reason, initiatedBy)
+   * @returns {Promise<Object>} { payment, subscription (when adjusted here), alreadyProcessed }
+   */
+  static async recordRefund(paymentId, refund) {
+    try {
+      const now = new Date();
+      const current = await Payment.findById(paymentId).select('pendingRefund').lean();
+      const request = current?.pendingRefund?.subscriptionAction ? current.pendingRefund : null;
+
+      const payment = await Payment.findOneAndUpdate(
+        { _id: paymentId, 'refunds.refundId': { $ne: refund.refundId } },
+        {
+          $push: {
+            refunds: {
+              refundId: refund.refundId,
+              amount: refund.amount,
+              status: refund.status,
+              reason: refund.reason || request?.reason,
+              initiatedBy: refund.initiatedBy || request?.initiatedBy,
+              subscriptionAction: request?.subscriptionAction,
+              processedAt: now
+            }
+          },
+          $inc: { refundAmount: refund.amount },
+          $set: { status: 'partially_refunded', refundedAt: now },
+          ...(request && { $unset: { pendingRefund: 1 } })
+        },
+        { new: true }
+      );
+
+      if (!payment) {
+        // Already recorded; keep the gateway status current (e.g. pending -> processed)
+        const existing = await Payment.findOneAndUpdate(
+          { _id: paymentId, 'refunds.refundId': refund.refundId },
+          { $set: { 'refunds.$.status': refund.status } },
+          { new: true }
+        );
+        return { payment: existing, subscription: null, alreadyProcessed: true };
+      }
+
+      // Refunds only add up, so once full it stays full whatever runs concurrently
+      const fullyRefunded = Math.round(payment.refundAmount * 100) >= Math.round(payment.amount * 100);
+      if (fullyRefunded) {
+        await Payment.updateOne({ _id: payment._id }, { $set: { status: 'refunded' } });
+        payment.status = 'refunded';
+      }
+
+      const action = request ? request.subscriptionAction : (fullyRefunded ? 'cancel' : 'none');
+      let subscription = null;
+      if (action !== 'none') {
+        subscription = await this.adjustSubscriptionForRefund(payment, action, {
+          refundAmount: refund.amount,
+          shortenByDays: request?.shortenByDays ?? undefined
+        });
+      }
+
+      return { payment, subscription, alreadyProcessed: false };
+    } catch (error) {
+      logger.error('BillingService.recordRefund error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Roll back the subscription paid for by a refunded payment
+   * @param {Object} payment - Refunded payment
+   * @param {string} action - 'cancel' or 'shorten'
+   * @param {Object} options - { refundAmount, shortenByDays }
+   * @returns {Promise<Object|null>} Updated subscription
+   */
+  static async adjustSubscriptionForRefund(payment, action, options = {}) {
+    try {
+      if (!payment.subscription) {
+        return null;
+      }
+
+      const subscription = await Subscription.findById(payment.subscription).populate('plan');
+      if (!subscription || !['active', 'pending'].includes(subscription.status)) {
+        return subscription;
+      }
+
+      const now = new Date();
+
+      if (action === 'cancel') {
+        subscription.status = 'cancelled';
+        subscription.autoRenew = false;
+        subscription.cancelledAt = now;
+        subscription.cancellationReason = 'Payment refunded';
+      } else if (action === 'shorten') {
+        // Default: remove the share of the period that the refund paid for
+        const refundShare = (options.refundAmount ?? payment.refundAmount) / payment.amount;
+        const days = options.shortenByDays ?? Math.ceil(subscription.plan.duration * refundShare);
+        const endDate = new Date(subscription.endDate);
+        endDate.setDate(endDate.getDate() - days);
+        subscription.endDate = endDate;
+
+        if (endDate <= now) {
+          subscription.status = 'cancelled';
+          subscription.autoRenew = false;
+          subscription.cancelledAt = now;
+          subscription.cancellationReason = 'Payment refunded';
+        }
+      }
+
+      await subscription.save();
+      return subscription;
+    } catch (error) {
+      logger.error('BillingService.adjustSubscriptionForRefund error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = BillingService;
@@ -0,0 +1,188 @@
+const Coupon = require('../models/Coupon');
+const CouponUsage = require('../models/CouponUsage');
+const Payment = require('../models/Payment');
+const logger = require('../utils/logger');
+
+/**
+ * Coupon Service - Validates promo codes and computes discounts for plans
+ * A redemption is reserved when its order is created, with conditional
+ * updates so concurrent checkouts cannot exceed the caps, and released
+ * if that payment fails.
+ */
+class CouponService {
+  /**
+   * Normalize a user-entered code
+   * @param {string} code - Raw code
+   * @returns {string} Normalized code
+   */
+  static normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  /**
+   * Discount a coupon gives on an amount
+   * @param {Object} coupon - Coupon document
+   * @param {number} amount - Amount before discount
+   * @returns {number} Discount, never more than amount
+   */
+  static calculateDiscount(coupon, amount) {
+    let discount = coupon.discountType === 'percent'
+      ? amount * coupon.discountValue / 100
+      : coupon.discountValue;
+
+    if (coupon.discountType === 'percent' && coupon.maxDiscountAmount) {
+      discount = Math.min(discount, coupon.maxDiscountAmount);
+    }
+
+    return Math.round(Math.min(discount, amount) * 100) / 100;
+  }
+
+  /**
+   * Check whether a user may apply a coupon to a plan
+   * @param {string} code - Coupon code
+   * @param {string} userId - User ID
+   * @param {Object} plan - Plan document
+   * @param {Object} price - Price being charged { amount, currency }; defaults to the plan base price
+   * @returns {Promise<Object>} { valid, message, coupon, originalAmount, discountAmount, finalAmount }
+   */
+  static async evaluate(code, userId, plan, price = { amount: plan.price, currency: plan.currency }) {
+    try {
+      const coupon = await Coupon.findOne({ code: this.normalizeCode(code) });
+      const invalid = (message) => ({ valid: false, message });
+
+      if (!coupon || !coupon.isActive) {
+        return invalid('Invalid coupon code');
+      }
+
+      const now = new Date();
+      if (coupon.validFrom && coupon.validFrom > now) {
+        return invalid('Coupon is not active yet');
+      }
+      if (coupon.validUntil && coupon.validUntil < now) {
+        return invalid('Coupon has expired');
+      }
+
+      if (coupon.applicablePlans.length > 0 &&
+          !coupon.applicablePlans.some(p => p.toString() === plan._id.toString())) {
+        return invalid('Coupon is not valid for this plan');
+      }
+
+      if (coupon.discountType === 'flat' && coupon.currency && coupon.currency !== price.currency) {
+        return invalid('Coupon is not valid for this currency');
+      }
+
+      // Early answer for the client; reserve enforces both caps atomically
+      if (coupon.maxRedemptions && coupon.redemptionCount >= coupon.maxRedemptions) {
+        return invalid('Coupon redemption limit reached');
+      }
+
+      const usage = await CouponUsage.findOne({ coupon: coupon._id, user: userId }).select('count').lean();
+      if (usage && usage.count >= coupon.maxRedemptionsPerUser) {
+        return invalid('You have already used this coupon');
+      }
+
+      if (coupon.firstTimeOnly) {
+        const previousPayments = await Payment.countDocuments({
+          user: userId,
+          status: { $in: ['completed', 'partially_refunded', 'refunded'] }
+        });
+        if (previousPayments > 0) {
+          return invalid('Coupon is only valid for first-time subscribers');
+        }
+      }
+
+      const originalAmount = price.amount;
+      const discountAmount = this.calculateDiscount(coupon, originalAmount);
+
+      return {
+        valid: true,
+        coupon,
+        originalAmount,
+        discountAmount,
+        finalAmount: Math.round((originalAmount - discountAmount) * 100) / 100
+      };
+    } catch (error) {
+      logger.error('CouponService.evaluate error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reserve a redemption for a new order, within the total and per-user caps
+   * @param {Object} coupon - Coupon document
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { reserved, message }
+   */
+  static async reserve(coupon, userId) {
+    try {
+      const couponFilter = { _id: coupon._id };
+      if (coupon.maxRedemptions) {
+        couponFilter.redemptionCount = { $lt: coupon.maxRedemptions };
+      }
+
+      const claimed = await Coupon.findOneAndUpdate(couponFilter, { $inc: { redemptionCount: 1 } });
+      if (!claimed) {
+        return { reserved: false, message: 'Coupon redemption limit reached' };
+      }
+
+      try {
+        // At the cap the filter misses and the upsert hits the unique index
+        await CouponUsage.findOneAndUpdate(
+          { coupon: coupon._id, user: userId, count: { $lt: coupon.maxRedemptionsPerUser } },
+          { $inc: { count: 1 } },
+          { upsert: true }
+        );
+      } catch (error) {
+        await Coupon.updateOne({ _id: coupon._id }, { $inc: { redemptionCount: -1 } });
+        if (error.code === 11000) {
+          return { reserved: false, message: 'You have already used this coupon' };
+        }
+        throw error;
+      }
+
+      return { reserved: true };
+    } catch (error) {
+      logger.error('CouponService.reserve error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Give back a reservation whose payment did not go through
+   * @param {string} couponId - Coupon ID
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  static async release(couponId, userId) {
+    try {
+      await Promise.all([
+        Coupon.updateOne({ _id: couponId, redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } }),
+        CouponUsage.updateOne({ coupon: couponId, user: userId, count: { $gt: 0 } }, { $inc: { count: -1 } })
+      ]);
+    } catch (error) {
+      logger.error('CouponService.release error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a redemption that completed without a reservation
+   * (its payment went through after the reservation was released)
+   * @param {string} couponId - Coupon ID
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  static async recordRedemption(couponId, userId) {
+    try {
+      await Promise.all([
+        Coupon.updateOne({ _id: couponId }, { $inc: { redemptionCount: 1 } }),
+        CouponUsage.updateOne({ coupon: couponId, user: userId }, { $inc: { count: 1 } }, { upsert: true })
+      ]);
+    } catch (error) {
+      logger.error('CouponService.recordRedemption error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CouponService;
@@ -118,21 +118,34 @@ class ErrorTrackingService {
   }
 
   /**
-   * Sanitize request body (remove sensitive data)
+   * Sanitize request body (remove sensitive data at any depth)
    * @param {Object} body - Request body
    * @returns {Object} Sanitized body
    */
   static sanitizeRequestBody(body) {
-    const sensitiveFields = ['password', 'token', 'secret', 'apiKey', 'accessToken', 'refreshToken'];
-    const sanitized = { ...body };
+    const sensitiveFields = [
+      'password', 'currentPassword', 'newPassword', 'token', 'secret', 'apiKey', 'accessToken',
+      'refreshToken', 'code', 'recoveryCode', 'pin', 'currentPin', 'parentalPin'
+    ];
 
-    sensitiveFields.forEach(field => {
-      if (sanitized[field]) {
-        sanitized[field] = '***REDACTED***';
+    const sanitize = (value) => {
+      if (Array.isArray(value)) {
+        return value.map(sanitize);
       }
-    });
+      // Only plain objects: ObjectIds, Dates and Buffers are kept as they are
+      const prototype = value && typeof value === 'object' ? Object.getPrototypeOf(value) : undefined;
+      if (prototype !== Object.prototype && prototype !== null) {
+        return value;
+      }
+
+      const sanitized = {};
+      Object.entries(value).forEach(([key, field]) => {
+        sanitized[key] = sensitiveFields.includes(key) && field ? '***REDACTED***' : sanitize(field);
+      });
+      return sanitized;
+    };
 
-    return sanitized;
+    return sanitize(body);
   }
 
   /**
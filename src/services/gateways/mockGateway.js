@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const { isValidHmacSignature, toMinorUnits } = require('./utils');
+
+/**
+ * Mock gateway for local development and offline testing
+ * Orders are never sent anywhere: createOrder hands back the payment ID and
+ * signature a successful checkout would produce, so a client (or curl) can
+ * post them straight to /payment/verify; mandates likewise come with their
+ * signature, and charges to them always succeed. Any other signature fails the
+ * payment. Webhooks use the normalized event shape signed with
+ * X-Mock-Signature. Never enabled in production, and elsewhere only with
+ * MOCK_GATEWAY_ENABLED=true and a MOCK_GATEWAY_SECRET of your own: anyone
+ * who knows the secret can mark orders paid.
+ */
+
+const DEFAULT_SECRET = 'mock_gateway_secret';
+
+const getSecret = () => process.env.MOCK_GATEWAY_SECRET;
+
+const isConfigured = () =>
+  process.env.NODE_ENV !== 'production' &&
+  process.env.MOCK_GATEWAY_ENABLED === 'true' &&
+  Boolean(getSecret()) &&
+  getSecret() !== DEFAULT_SECRET;
+
+const sign = (payload) => crypto.createHmac('sha256', getSecret()).update(payload).digest('hex');
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+/**
+ * Create a mock order with a ready-made successful checkout result
+ */
+const createOrder = async ({ amount, currency }) => {
+  const id = randomId('mock_order');
+  const paymentId = randomId('mock_pay');
+
+  return {
+    id,
+    amount: toMinorUnits(amount),
+    currency,
+    clientData: {
+      paymentId,
+      signature: sign(`${id}|${paymentId}`)
+    }
+  };
+};
+
+/**
+ * Verify a mock checkout result
+ */
+const verifyPayment = async ({ orderId, paymentId, signature }) => {
+  const valid = isConfigured() && isValidHmacSignature(`${orderId}|${paymentId}`, signature, getSecret());
+
+  return valid
+    ? { status: 'succeeded', paymentId }
+    : { status: 'failed', reason: 'Mock payment declined' };
+};
+
+const verifyWebhookSignature = (rawBody, headers) =>
+  isConfigured() && isValidHmacSignature(rawBody, headers['x-mock-signature'], getSecret());
+
+const getWebhookEventId = (body, headers, rawBody) =>
+  body.id || crypto.createHash('sha256').update(rawBody).digest('hex');
+
+/**
+ * Mock events already use the normalized shape
+ */
+const parseWebhookEvent = (body) => {
+  if (!['payment.succeeded', 'payment.failed', 'refund.processed'].includes(body.type)) {
+    return { type: null };
+  }
+
+  return {
+    type: body.type,
+    orderId: body.orderId,
+    paymentId: body.paymentId,
+    reason: body.reason,
+    refund: body.refund
+  };
+};
+
+const refundPayment = async (payment, amount) => ({
+  id: randomId('mock_refund'),
+  amount,
+  status: 'processed'
+});
+
+const getPaymentCountry = async () => null;
+
+/**
+ * Create a mock mandate with the signature a successful authorization returns
+ */
+const createMandate = async () => {
+  const id = randomId('mock_mandate');
+
+  return {
+    id,
+    customerId: randomId('mock_cust'),
+    clientData: {
+      signature: sign(id)
+    }
+  };
+};
+
+const confirmMandate = async ({ setupId, signature }) => {
+  const valid = isConfigured() && isValidHmacSignature(setupId, signature, getSecret());
+
+  return valid
+    ? { status: 'succeeded', token: randomId('mock_token') }
+    : { status: 'failed', reason: 'Mock mandate declined' };
+};
+
+const chargeMandate = async () => ({
+  status: 'succeeded',
+  paymentId: randomId('mock_pay')
+});
+
+const getPaymentDetails = async (paymentId) => ({
+  id: paymentId,
+  status: 'captured'
+});
+
+module.exports = {
+  name: 'mock',
+  fields: {
+    order: 'mockOrderId',
+    payment: 'mockPaymentId'
+  },
+  isConfigured,
+  createOrder,
+  verifyPayment,
+  verifyWebhookSignature,
+  getWebhookEventId,
+  parseWebhookEvent,
+  refundPayment,
+  getPaymentDetails,
+  getPaymentCountry,
+  createMandate,
+  confirmMandate,
+  chargeMandate
+};
@@ -0,0 +1,283 @@
+const Razorpay = require('razorpay');
+const crypto = require('crypto');
+const { isValidHmacSignature, toMinorUnits, fromMinorUnits } = require('./utils');
+const logger = require('../../utils/logger');
+
+let client = null;
+
+// Card mandates: the authorization payment is ₹1, and one charge may not exceed ₹15,000
+const MANDATE_AUTH_AMOUNT = 1;
+const MANDATE_MAX_AMOUNT = 15000;
+
+/**
+ * Razorpay client, created on first use so the app boots without Razorpay keys
+ * when another gateway is configured
+ */
+const getClient = () => {
+  if (!client) {
+    client = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET
+    });
+  }
+  return client;
+};
+
+/**
+ * Create Razorpay order
+ */
+const createOrder = async ({ amount, currency, receipt, notes = {} }) => {
+  try {
+    const order = await getClient().orders.create({
+      amount: toMinorUnits(amount),
+      currency: currency || 'INR',
+      receipt,
+      notes,
+      payment_capture: 1
+    });
+
+    return {
+      id: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      clientData: {
+        keyId: process.env.RAZORPAY_KEY_ID
+      }
+    };
+  } catch (error) {
+    logger.error('Razorpay create order error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Verify the checkout signature returned to the client
+ */
+const verifyPayment = async ({ orderId, paymentId, signature }) => {
+  try {
+    const valid = isValidHmacSignature(`${orderId}|${paymentId}`, signature, process.env.RAZORPAY_KEY_SECRET);
+
+    return valid
+      ? { status: 'succeeded', paymentId, signature }
+      : { status: 'failed', reason: 'Invalid signature' };
+  } catch (error) {
+    logger.error('Razorpay signature verification error:', error);
+    return { status: 'failed', reason: 'Invalid signature' };
+  }
+};
+
+/**
+ * Verify Razorpay webhook signature (computed over the raw request body)
+ */
+const verifyWebhookSignature = (rawBody, headers) => {
+  try {
+    return isValidHmacSignature(rawBody, headers['x-razorpay-signature'], process.env.RAZORPAY_WEBHOOK_SECRET);
+  } catch (error) {
+    logger.error('Razorpay webhook signature verification error:', error);
+    return false;
+  }
+};
+
+/**
+ * Unique event ID; falls back to a body hash for older integrations
+ */
+const getWebhookEventId = (body, headers, rawBody) =>
+  headers['x-razorpay-event-id'] || crypto.createHash('sha256').update(rawBody).digest('hex');
+
+/**
+ * Normalize a Razorpay webhook body
+ */
+const parseWebhookEvent = (body) => {
+  const payload = body.payload || {};
+  const paymentEntity = payload.payment?.entity;
+
+  switch (body.event) {
+    case 'payment.captured':
+    case 'order.paid':
+      return {
+        type: 'payment.succeeded',
+        orderId: payload.order?.entity?.id || paymentEntity?.order_id,
+        paymentId: paymentEntity?.id
+      };
+
+    case 'payment.failed':
+      return {
+        type: 'payment.failed',
+        orderId: paymentEntity?.order_id,
+        reason: paymentEntity?.error_description
+      };
+
+    case 'refund.processed': {
+      const refundEntity = payload.refund?.entity;
+      return {
+        type: 'refund.processed',
+        paymentId: refundEntity?.payment_id,
+        refund: refundEntity && {
+          refundId: refundEntity.id,
+          amount: fromMinorUnits(refundEntity.amount),
+          status: refundEntity.status
+        }
+      };
+    }
+
+    default:
+      return { type: null };
+  }
+};
+
+/**
+ * Refund a captured payment
+ */
+const refundPayment = async (payment, amount, notes = {}) => {
+  try {
+    const refund = await getClient().payments.refund(payment.paymentGateway.razorpayPaymentId, {
+      amount: toMinorUnits(amount),
+      notes
+    });
+
+    return {
+      id: refund.id,
+      amount: fromMinorUnits(refund.amount),
+      status: refund.status
+    };
+  } catch (error) {
+    logger.error('Razorpay refund error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Country of the payment method: Razorpay only tells domestic (Indian) from international
+ */
+const getPaymentCountry = async (paymentId) => {
+  try {
+    const payment = await getClient().payments.fetch(paymentId);
+    return payment.international === false ? 'IN' : null;
+  } catch (error) {
+    logger.error('Razorpay get payment country error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Start a card mandate: the client pays the authorization order through
+ * Checkout with recurring: 1, which saves a token on the customer
+ */
+const createMandate = async ({ customer, maxAmount, currency, receipt, notes = {} }) => {
+  try {
+    const razorpayCustomer = await getClient().customers.create({
+      name: customer.name,
+      email: customer.email,
+      contact: customer.phone,
+      fail_existing: 0
+    });
+
+    const order = await getClient().orders.create({
+      amount: toMinorUnits(MANDATE_AUTH_AMOUNT),
+      currency: currency || 'INR',
+      receipt,
+      notes,
+      payment_capture: 1,
+      method: 'card',
+      customer_id: razorpayCustomer.id,
+      token: {
+        max_amount: toMinorUnits(Math.min(maxAmount, MANDATE_MAX_AMOUNT)),
+        frequency: 'as_presented'
+      }
+    });
+
+    return {
+      id: order.id,
+      customerId: razorpayCustomer.id,
+      clientData: {
+        keyId: process.env.RAZORPAY_KEY_ID,
+        customerId: razorpayCustomer.id,
+        recurring: 1
+      }
+    };
+  } catch (error) {
+    logger.error('Razorpay create mandate error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check the authorization payment and read the token it saved
+ */
+const confirmMandate = async ({ setupId, paymentId, signature }) => {
+  try {
+    const verification = await verifyPayment({ orderId: setupId, paymentId, signature });
+    if (verification.status !== 'succeeded') {
+      return verification;
+    }
+
+    const payment = await getClient().payments.fetch(paymentId);
+    if (!payment.token_id) {
+      return { status: 'failed', reason: 'Card was not saved for recurring payments' };
+    }
+
+    return { status: 'succeeded', token: payment.token_id };
+  } catch (error) {
+    logger.error('Razorpay confirm mandate error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Charge an order to a saved token
+ * Razorpay settles recurring payments asynchronously: payment.captured completes the order.
+ */
+const chargeMandate = async ({ orderId, amount, currency, mandate, customer, notes = {} }) => {
+  try {
+    const result = await getClient().payments.createRecurringPayment({
+      email: customer.email,
+      contact: customer.phone,
+      amount: toMinorUnits(amount),
+      currency: currency || 'INR',
+      order_id: orderId,
+      customer_id: mandate.customerId,
+      token: mandate.token,
+      recurring: '1',
+      notes
+    });
+
+    return { status: 'pending', paymentId: result.razorpay_payment_id };
+  } catch (error) {
+    logger.error('Razorpay recurring charge error:', error);
+    return { status: 'failed', reason: error.error?.description || error.message };
+  }
+};
+
+/**
+ * Get payment details
+ */
+const getPaymentDetails = async (paymentId) => {
+  try {
+    return await getClient().payments.fetch(paymentId);
+  } catch (error) {
+    logger.error('Razorpay get payment error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  name: 'razorpay',
+  // Payment.paymentGateway fields holding this gateway's references
+  fields: {
+    order: 'razorpayOrderId',
+    payment: 'razorpayPaymentId',
+    signature: 'razorpaySignature'
+  },
+  isConfigured: () => Boolean(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET),
+  createOrder,
+  verifyPayment,
+  verifyWebhookSignature,
+  getWebhookEventId,
+  parseWebhookEvent,
+  refundPayment,
+  getPaymentDetails,
+  getPaymentCountry,
+  createMandate,
+  confirmMandate,
+  chargeMandate
+};
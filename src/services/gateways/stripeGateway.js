@@ -0,0 +1,272 @@
+const Stripe = require('stripe');
+const { toMinorUnits, fromMinorUnits } = require('./utils');
+const logger = require('../../utils/logger');
+
+let client = null;
+
+/**
+ * Stripe client, created on first use
+ */
+const getClient = () => {
+  if (!client) {
+    client = Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return client;
+};
+
+/**
+ * Create a PaymentIntent; its client secret is confirmed by Stripe.js on the client
+ */
+const createOrder = async ({ amount, currency, receipt, notes = {} }) => {
+  try {
+    const intent = await getClient().paymentIntents.create({
+      amount: toMinorUnits(amount),
+      currency: (currency || 'USD').toLowerCase(),
+      metadata: { ...notes, receipt },
+      automatic_payment_methods: { enabled: true }
+    });
+
+    return {
+      id: intent.id,
+      amount: intent.amount,
+      currency: intent.currency.toUpperCase(),
+      clientData: {
+        clientSecret: intent.client_secret,
+        publishableKey: process.env.STRIPE_PUBLISHABLE_KEY
+      }
+    };
+  } catch (error) {
+    logger.error('Stripe create payment intent error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check a PaymentIntent after client-side confirmation
+ * The client cannot be trusted to report success, so the intent is fetched.
+ */
+const verifyPayment = async ({ orderId }) => {
+  try {
+    const intent = await getClient().paymentIntents.retrieve(orderId);
+
+    if (intent.status === 'succeeded') {
+      return { status: 'succeeded', paymentId: intent.latest_charge };
+    }
+    if (intent.status === 'canceled' || intent.status === 'requires_payment_method') {
+      return {
+        status: 'failed',
+        reason: intent.last_payment_error?.message || `Payment intent ${intent.status}`
+      };
+    }
+
+    return { status: 'pending', reason: `Payment intent ${intent.status}` };
+  } catch (error) {
+    logger.error('Stripe verify payment error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Verify the Stripe-Signature header against the raw request body
+ */
+const verifyWebhookSignature = (rawBody, headers) => {
+  try {
+    getClient().webhooks.constructEvent(rawBody, headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const getWebhookEventId = (body) => body.id;
+
+/**
+ * Normalize a Stripe event body
+ */
+const parseWebhookEvent = (body) => {
+  const object = body.data?.object || {};
+
+  switch (body.type) {
+    case 'payment_intent.succeeded':
+      return {
+        type: 'payment.succeeded',
+        orderId: object.id,
+        paymentId: object.latest_charge
+      };
+
+    case 'payment_intent.payment_failed':
+      return {
+        type: 'payment.failed',
+        orderId: object.id,
+        reason: object.last_payment_error?.message
+      };
+
+    case 'refund.created':
+    case 'refund.updated':
+    case 'charge.refund.updated':
+      // Pending and failed refunds also arrive here; only a settled one is processed
+      if (object.status !== 'succeeded') {
+        return { type: null };
+      }
+      return {
+        type: 'refund.processed',
+        orderId: object.payment_intent,
+        refund: {
+          refundId: object.id,
+          amount: fromMinorUnits(object.amount),
+          status: object.status
+        }
+      };
+
+    default:
+      return { type: null };
+  }
+};
+
+/**
+ * Refund a succeeded PaymentIntent
+ */
+const refundPayment = async (payment, amount, notes = {}) => {
+  try {
+    const refund = await getClient().refunds.create({
+      payment_intent: payment.paymentGateway.stripePaymentIntentId,
+      amount: toMinorUnits(amount),
+      metadata: notes
+    });
+
+    return {
+      id: refund.id,
+      amount: fromMinorUnits(refund.amount),
+      status: refund.status
+    };
+  } catch (error) {
+    logger.error('Stripe refund error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Issuing country of the card a charge was paid with
+ */
+const getPaymentCountry = async (chargeId) => {
+  try {
+    const charge = await getClient().charges.retrieve(chargeId);
+    return charge.payment_method_details?.card?.country || null;
+  } catch (error) {
+    logger.error('Stripe get charge country error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Start a mandate: a SetupIntent the client confirms with Stripe.js, saving
+ * the card on a customer for off-session charges
+ */
+const createMandate = async ({ customer, notes = {} }) => {
+  try {
+    const stripeCustomer = await getClient().customers.create({
+      name: customer.name,
+      email: customer.email,
+      phone: customer.phone,
+      metadata: notes
+    });
+
+    const intent = await getClient().setupIntents.create({
+      customer: stripeCustomer.id,
+      usage: 'off_session',
+      metadata: notes,
+      automatic_payment_methods: { enabled: true }
+    });
+
+    return {
+      id: intent.id,
+      customerId: stripeCustomer.id,
+      clientData: {
+        clientSecret: intent.client_secret,
+        publishableKey: process.env.STRIPE_PUBLISHABLE_KEY
+      }
+    };
+  } catch (error) {
+    logger.error('Stripe create setup intent error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check a SetupIntent after client-side confirmation
+ */
+const confirmMandate = async ({ setupId }) => {
+  try {
+    const intent = await getClient().setupIntents.retrieve(setupId);
+
+    if (intent.status === 'succeeded') {
+      return { status: 'succeeded', token: intent.payment_method };
+    }
+    if (intent.status === 'canceled' || intent.status === 'requires_payment_method') {
+      return {
+        status: 'failed',
+        reason: intent.last_setup_error?.message || `Setup intent ${intent.status}`
+      };
+    }
+
+    return { status: 'pending', reason: `Setup intent ${intent.status}` };
+  } catch (error) {
+    logger.error('Stripe verify setup intent error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Confirm an order's PaymentIntent off-session with the saved payment method
+ */
+const chargeMandate = async ({ orderId, mandate }) => {
+  try {
+    // A saved payment method can only be used by an intent of its customer
+    await getClient().paymentIntents.update(orderId, { customer: mandate.customerId });
+
+    const intent = await getClient().paymentIntents.confirm(orderId, {
+      payment_method: mandate.token,
+      off_session: true
+    });
+
+    return intent.status === 'succeeded'
+      ? { status: 'succeeded', paymentId: intent.latest_charge }
+      : { status: 'pending', reason: `Payment intent ${intent.status}` };
+  } catch (error) {
+    // Declines and required authentication are raised as card errors
+    logger.error('Stripe off-session charge error:', error);
+    return { status: 'failed', reason: error.message };
+  }
+};
+
+/**
+ * Get charge details
+ */
+const getPaymentDetails = async (chargeId) => {
+  try {
+    return await getClient().charges.retrieve(chargeId);
+  } catch (error) {
+    logger.error('Stripe get charge error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  name: 'stripe',
+  fields: {
+    order: 'stripePaymentIntentId',
+    payment: 'stripeChargeId'
+  },
+  isConfigured: () => Boolean(process.env.STRIPE_SECRET_KEY),
+  createOrder,
+  verifyPayment,
+  verifyWebhookSignature,
+  getWebhookEventId,
+  parseWebhookEvent,
+  refundPayment,
+  getPaymentDetails,
+  getPaymentCountry,
+  createMandate,
+  confirmMandate,
+  chargeMandate
+};
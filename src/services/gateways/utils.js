@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+/**
+ * Check a hex HMAC-SHA256 signature of payload against secret
+ */
+const isValidHmacSignature = (payload, signature, secret) => {
+  if (!signature || !secret) {
+    return false;
+  }
+
+  const generatedSignature = crypto
+    .createHmac('sha256', secret)
+    .update(payload)
+    .digest('hex');
+
+  const expected = Buffer.from(generatedSignature);
+  const received = Buffer.from(String(signature));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Convert a major-unit amount (rupees, dollars, euros) to minor units
+ */
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+/**
+ * Convert a minor-unit amount back to major units
+ */
+const fromMinorUnits = (amount) => Math.round(amount) / 100;
+
+module.exports = {
+  isValidHmacSignature,
+  toMinorUnits,
+  fromMinorUnits
+};
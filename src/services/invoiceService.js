@@ -0,0 +1,306 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Payment = require('../models/Payment');
+const logger = require('../utils/logger');
+
+const PURPOSE_LABELS = {
+  subscription: 'Subscription',
+  renewal: 'Subscription renewal',
+  upgrade: 'Plan upgrade (prorated)'
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Invoice Service - Sequential, tax-aware invoices for completed payments
+ * Plan prices are tax-inclusive: the amount paid is split into taxable
+ * value and tax. INR invoices carry GST as CGST + SGST (place of supply is
+ * the supplier state, as no customer address is on record), EUR invoices a
+ * single VAT line, and other currencies no tax.
+ */
+class InvoiceService {
+  /**
+   * Seller details printed on every invoice
+   * @returns {Object} { name, address, gstin, vatNumber, state }
+   */
+  static getSellerDetails() {
+    return {
+      name: process.env.INVOICE_SELLER_NAME || 'RedSee OTT',
+      address: process.env.INVOICE_SELLER_ADDRESS || '',
+      gstin: process.env.INVOICE_SELLER_GSTIN || '',
+      vatNumber: process.env.INVOICE_SELLER_VAT_NUMBER || '',
+      state: process.env.INVOICE_SELLER_STATE || ''
+    };
+  }
+
+  /**
+   * Tax rate for a currency
+   * @param {string} currency - Payment currency
+   * @returns {number} Rate in percent
+   */
+  static getTaxRate(currency) {
+    const envRate = {
+      INR: process.env.INVOICE_GST_RATE,
+      EUR: process.env.INVOICE_VAT_RATE
+    }[currency];
+    const defaults = { INR: 18, EUR: 20 };
+
+    const rate = parseFloat(envRate);
+    return Number.isNaN(rate) ? (defaults[currency] || 0) : rate;
+  }
+
+  /**
+   * Indian financial year (April to March) label for a date, e.g. 2026-27
+   * @param {Date} date - Reference date
+   * @returns {string} Financial year label
+   */
+  static getFinancialYear(date) {
+    const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${startYear}-${String(startYear + 1).slice(-2)}`;
+  }
+
+  /**
+   * Allocate the next invoice number; numbering restarts each financial year
+   * @param {Date} issuedAt - Invoice date
+   * @param {Object} session - MongoDB session (optional)
+   * @returns {Promise<string>} Invoice number, e.g. INV/2026-27/000042
+   */
+  static async nextInvoiceNumber(issuedAt, session = null) {
+    const prefix = process.env.INVOICE_PREFIX || 'INV';
+    const financialYear = this.getFinancialYear(issuedAt);
+    const seq = await Counter.next(`invoice:${financialYear}`, session);
+
+    return `${prefix}/${financialYear}/${String(seq).padStart(6, '0')}`;
+  }
+
+  /**
+   * Split a tax-inclusive amount into line items, discount and taxes
+   * @param {Object} payment - Payment document with plan populated
+   * @returns {Object} { lineItems, discount, subtotal, taxes, taxTotal, total }
+   */
+  static calculateTotals(payment) {
+    const rate = this.getTaxRate(payment.currency);
+    const divisor = 1 + rate / 100;
+    const total = round2(payment.amount);
+    const grossAmount = payment.couponRedemption?.originalAmount || total;
+
+    const lineAmount = round2(grossAmount / divisor);
+    const subtotal = round2(total / divisor);
+    const taxTotal = round2(total - subtotal);
+
+    const planName = payment.plan?.name || 'Plan';
+    const lineItems = [{
+      description: `${PURPOSE_LABELS[payment.purpose] || 'Subscription'} - ${planName}`,
+      sacCode: payment.currency === 'INR' ? (process.env.INVOICE_SAC_CODE || '998433') : undefined,
+      quantity: 1,
+      unitPrice: lineAmount,
+      amount: lineAmount
+    }];
+
+    // Derived from the rounded figures so line - discount = subtotal exactly
+    const discount = {
+      code: payment.couponRedemption?.code,
+      amount: round2(lineAmount - subtotal)
+    };
+
+    let taxes = [];
+    if (taxTotal > 0 && payment.currency === 'INR') {
+      const cgst = round2(taxTotal / 2);
+      taxes = [
+        { name: 'CGST', rate: rate / 2, amount: cgst },
+        { name: 'SGST', rate: rate / 2, amount: round2(taxTotal - cgst) }
+      ];
+    } else if (taxTotal > 0 && payment.currency === 'EUR') {
+      taxes = [{ name: 'VAT', rate, amount: taxTotal }];
+    }
+
+    return {
+      lineItems,
+      discount,
+      subtotal: taxes.length > 0 ? subtotal : total,
+      taxes,
+      taxTotal: taxes.length > 0 ? taxTotal : 0,
+      total
+    };
+  }
+
+  /**
+   * Issue the invoice for a completed payment (idempotent)
+   * The number is allocated in the same transaction that writes the
+   * invoice, so a duplicate or failed write hands it back and the sequence
+   * has no gaps.
+   * @param {string|Object} paymentOrId - Payment document or ID
+   * @returns {Promise<Object>} Invoice document
+   */
+  static async generateForPayment(paymentOrId) {
+    try {
+      const paymentId = paymentOrId._id || paymentOrId;
+
+      const existing = await Invoice.findOne({ payment: paymentId });
+      if (existing) {
+        return existing;
+      }
+
+      const payment = await Payment.findById(paymentId)
+        .populate('plan', 'name')
+        .populate('user', 'email phone profiles');
+
+      if (!payment) {
+        throw new Error(`Payment ${paymentId} not found`);
+      }
+      if (!['completed', 'partially_refunded', 'refunded'].includes(payment.status)) {
+        throw new Error(`Payment ${paymentId} is not completed`);
+      }
+
+      const issuedAt = new Date();
+      const seller = this.getSellerDetails();
+      const totals = this.calculateTotals(payment);
+
+      let invoice;
+      const session = await mongoose.startSession();
+      try {
+        // Retried on write conflicts with concurrent invoices taking a number
+        await session.withTransaction(async () => {
+          [invoice] = await Invoice.create([{
+            invoiceNumber: await this.nextInvoiceNumber(issuedAt, session),
+            payment: payment._id,
+            user: payment.user._id,
+            plan: payment.plan?._id,
+            subscription: payment.subscription,
+            issuedAt,
+            currency: payment.currency,
+            seller,
+            customer: {
+              name: payment.user.profiles?.[0]?.name,
+              email: payment.user.email,
+              phone: payment.user.phone
+            },
+            placeOfSupply: payment.currency === 'INR' ? seller.state : undefined,
+            paymentReference: payment.transactionId || payment.paymentGateway?.razorpayPaymentId,
+            ...totals
+          }], { session });
+        });
+      } catch (error) {
+        // Unique payment index: a concurrent call issued it first
+        if (error.code === 11000) {
+          return Invoice.findOne({ payment: payment._id });
+        }
+        throw error;
+      } finally {
+        session.endSession();
+      }
+
+      await Payment.updateOne(
+        { _id: payment._id },
+        { $set: { invoice: invoice._id, receipt: invoice.invoiceNumber } }
+      );
+
+      return invoice;
+    } catch (error) {
+      logger.error('InvoiceService.generateForPayment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Serialize invoices to CSV, one row per invoice with a column per tax
+   * @param {Array} invoices - Invoice documents
+   * @returns {string} CSV text
+   */
+  static toCsv(invoices) {
+    const taxNames = ['CGST', 'SGST', 'VAT'];
+    const header = [
+      'invoiceNumber', 'issuedAt', 'customerEmail', 'customerPhone', 'currency',
+      'placeOfSupply', 'discount', 'taxableValue', ...taxNames, 'taxTotal', 'total', 'paymentReference'
+    ];
+    const escape = (value) => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = invoices.map(invoice => [
+      invoice.invoiceNumber,
+      invoice.issuedAt.toISOString(),
+      invoice.customer?.email,
+      invoice.customer?.phone,
+      invoice.currency,
+      invoice.placeOfSupply,
+      invoice.discount?.amount || 0,
+      invoice.subtotal,
+      ...taxNames.map(name => invoice.taxes.find(t => t.name === name)?.amount || 0),
+      invoice.taxTotal,
+      invoice.total,
+      invoice.paymentReference
+    ].map(escape).join(','));
+
+    return [header.join(','), ...rows].join('\n');
+  }
+
+  /**
+   * Render an invoice as a PDF
+   * @param {Object} invoice - Invoice document
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  static renderPdf(invoice) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const money = (amount) => `${invoice.currency} ${Number(amount || 0).toFixed(2)}`;
+      const { seller, customer } = invoice;
+
+      doc.fontSize(18).text(invoice.taxes.length > 0 ? 'Tax Invoice' : 'Invoice', { align: 'right' });
+      doc.fontSize(10)
+        .text(`Invoice No: ${invoice.invoiceNumber}`, { align: 'right' })
+        .text(`Date: ${invoice.issuedAt.toISOString().slice(0, 10)}`, { align: 'right' });
+      if (invoice.placeOfSupply) {
+        doc.text(`Place of supply: ${invoice.placeOfSupply}`, { align: 'right' });
+      }
+
+      doc.moveDown();
+      doc.fontSize(12).text(seller.name);
+      doc.fontSize(10);
+      if (seller.address) doc.text(seller.address);
+      if (seller.gstin) doc.text(`GSTIN: ${seller.gstin}`);
+      if (seller.vatNumber) doc.text(`VAT No: ${seller.vatNumber}`);
+
+      doc.moveDown();
+      doc.fontSize(11).text('Bill to');
+      doc.fontSize(10);
+      if (customer.name) doc.text(customer.name);
+      if (customer.email) doc.text(customer.email);
+      if (customer.phone) doc.text(customer.phone);
+
+      doc.moveDown();
+      invoice.lineItems.forEach(item => {
+        const sac = item.sacCode ? ` (SAC ${item.sacCode})` : '';
+        doc.text(`${item.description}${sac}  x${item.quantity}  ${money(item.amount)}`);
+      });
+
+      doc.moveDown();
+      if (invoice.discount?.amount > 0) {
+        const code = invoice.discount.code ? ` (${invoice.discount.code})` : '';
+        doc.text(`Discount${code}: -${money(invoice.discount.amount)}`, { align: 'right' });
+      }
+      doc.text(`Taxable value: ${money(invoice.subtotal)}`, { align: 'right' });
+      invoice.taxes.forEach(tax => {
+        doc.text(`${tax.name} @ ${tax.rate}%: ${money(tax.amount)}`, { align: 'right' });
+      });
+      doc.fontSize(12).text(`Total: ${money(invoice.total)}`, { align: 'right' });
+
+      if (invoice.paymentReference) {
+        doc.moveDown().fontSize(9).text(`Payment reference: ${invoice.paymentReference}`);
+      }
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = InvoiceService;
@@ -0,0 +1,284 @@
+const User = require('../models/User');
+const Admin = require('../models/Admin');
+const LoginFailure = require('../models/LoginFailure');
+const AccountLockout = require('../models/AccountLockout');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+const MODELS = {
+  user: User,
+  admin: Admin
+};
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Login Guard Service - Brute-force protection for password login
+ * Consecutive failed passwords lock the account; each further lockout
+ * before a successful login doubles its duration, up to a cap. Failures
+ * are also counted per IP across all accounts, including unknown ones;
+ * over that limit attempts are slowed down, never refused, since many
+ * clients can share an IP and a correct password must still get through.
+ */
+class LoginGuardService {
+  /**
+   * Lockout settings from the environment
+   * @returns {Object} { maxAttempts, lockoutMinutes, maxLockoutMinutes, ipWindowMinutes, maxPerIp, ipDelayMs }
+   */
+  static getConfig() {
+    return {
+      maxAttempts: intFromEnv('LOGIN_MAX_ATTEMPTS', 5),
+      lockoutMinutes: intFromEnv('LOGIN_LOCKOUT_MINUTES', 15),
+      maxLockoutMinutes: intFromEnv('LOGIN_LOCKOUT_MAX_MINUTES', 24 * 60),
+      ipWindowMinutes: intFromEnv('LOGIN_IP_WINDOW_MINUTES', 15),
+      maxPerIp: intFromEnv('LOGIN_MAX_ATTEMPTS_PER_IP', 20),
+      ipDelayMs: intFromEnv('LOGIN_IP_DELAY_MS', 2000)
+    };
+  }
+
+  /**
+   * Duration of the Nth consecutive lockout
+   * @param {number} level - Lockout level, starting at 1
+   * @returns {number} Minutes
+   */
+  static getLockoutMinutes(level) {
+    const { lockoutMinutes, maxLockoutMinutes } = this.getConfig();
+    return Math.min(lockoutMinutes * 2 ** (level - 1), maxLockoutMinutes);
+  }
+
+  /**
+   * Check whether an IP is under the failed login limit
+   * @param {string} ip - Client IP
+   * @returns {Promise<Object>} { allowed }
+   */
+  static async checkIp(ip) {
+    try {
+      const { ipWindowMinutes, maxPerIp } = this.getConfig();
+      const windowStart = new Date(Date.now() - ipWindowMinutes * MINUTE_MS);
+
+      const failures = await LoginFailure.countDocuments(
+        { ipAddress: ip, createdAt: { $gte: windowStart } },
+        { limit: maxPerIp }
+      );
+
+      return { allowed: failures < maxPerIp };
+    } catch (error) {
+      logger.error('LoginGuardService.checkIp error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Seconds an account remains locked
+   * @param {Object} account - User or Admin document
+   * @returns {number} Seconds, 0 when not locked
+   */
+  static getLockRemaining(account) {
+    if (!account.lockedUntil) {
+      return 0;
+    }
+    return Math.max(0, Math.ceil((account.lockedUntil.getTime() - Date.now()) / 1000));
+  }
+
+  /**
+   * Record a failed password attempt, locking the account when it reaches the limit
+   * @param {string} kind - 'user' or 'admin'
+   * @param {Object|null} account - Matched account, null for an unknown identifier
+   * @param {Object} context - { identifier, ipAddress }
+   * @returns {Promise<Object>} { locked, lockedUntil }
+   */
+  static async recordFailure(kind, account, { identifier, ipAddress }) {
+    try {
+      await LoginFailure.create({
+        accountType: kind,
+        account: account?._id,
+        identifier,
+        ipAddress
+      });
+
+      if (!account) {
+        return { locked: false };
+      }
+
+      const Model = MODELS[kind];
+      const { maxAttempts } = this.getConfig();
+
+      const updated = await Model.findByIdAndUpdate(
+        account._id,
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true }
+      ).select('failedLoginAttempts lockoutCount');
+
+      if (!updated || updated.failedLoginAttempts < maxAttempts) {
+        return { locked: false };
+      }
+
+      const level = (updated.lockoutCount || 0) + 1;
+      const lockedUntil = new Date(Date.now() + this.getLockoutMinutes(level) * MINUTE_MS);
+
+      // Conditional on the count so concurrent failures lock only once
+      const locked = await Model.findOneAndUpdate(
+        { _id: account._id, failedLoginAttempts: { $gte: maxAttempts } },
+        { $set: { failedLoginAttempts: 0, lockedUntil }, $inc: { lockoutCount: 1 } }
+      );
+
+      if (!locked) {
+        return { locked: false };
+      }
+
+      await AccountLockout.create({
+        accountType: kind,
+        account: account._id,
+        identifier,
+        ipAddress,
+        failedAttempts: updated.failedLoginAttempts,
+        level,
+        lockedUntil
+      });
+
+      logger.warn(`Locked ${kind} ${account._id} until ${lockedUntil.toISOString()} after ${updated.failedLoginAttempts} failed logins`);
+
+      return { locked: true, lockedUntil };
+    } catch (error) {
+      logger.error('LoginGuardService.recordFailure error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Clear failure counters after a successful password login
+   * @param {string} kind - 'user' or 'admin'
+   * @param {Object} account - User or Admin document
+   */
+  static async recordSuccess(kind, account) {
+    try {
+      if (!account.failedLoginAttempts && !account.lockoutCount && !account.lockedUntil) {
+        return;
+      }
+
+      await MODELS[kind].updateOne(
+        { _id: account._id },
+        { $set: { failedLoginAttempts: 0, lockoutCount: 0 }, $unset: { lockedUntil: 1 } }
+      );
+    } catch (error) {
+      logger.error('LoginGuardService.recordSuccess error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a password login under the IP limit and account lockout
+   * @param {string} kind - 'user' or 'admin'
+   * @param {Object|null} account - Account matched by the identifier
+   * @param {string} password - Presented password
+   * @param {Object} context - { identifier, ipAddress }
+   * @returns {Promise<Object>} { success: true } or { error: 'locked' | 'invalid', retryAfterSeconds }
+   */
+  static async attemptLogin(kind, account, password, context) {
+    const ipCheck = await this.checkIp(context.ipAddress);
+    if (!ipCheck.allowed) {
+      await sleep(this.getConfig().ipDelayMs);
+    }
+
+    // A locked account is refused without checking the password
+    const lockRemaining = account ? this.getLockRemaining(account) : 0;
+    if (lockRemaining > 0) {
+      return { error: 'locked', retryAfterSeconds: lockRemaining };
+    }
+
+    if (!account || !await account.comparePassword(password)) {
+      const result = await this.recordFailure(kind, account, context);
+      if (result.locked) {
+        return {
+          error: 'locked',
+          retryAfterSeconds: Math.ceil((result.lockedUntil.getTime() - Date.now()) / 1000)
+        };
+      }
+      return { error: 'invalid' };
+    }
+
+    await this.recordSuccess(kind, account);
+    return { success: true };
+  }
+
+  /**
+   * Response for a refused login attempt
+   * @param {Object} result - Failed result of attemptLogin
+   * @returns {Object} { status, body }
+   */
+  static buildLoginError(result) {
+    if (result.error === 'invalid') {
+      return { status: 401, body: { success: false, message: 'Invalid credentials' } };
+    }
+
+    return {
+      status: 423,
+      body: {
+        success: false,
+        message: 'Account is temporarily locked after too many failed login attempts',
+        retryAfterSeconds: result.retryAfterSeconds
+      }
+    };
+  }
+
+  /**
+   * Release a locked account
+   * @param {string} kind - 'user' or 'admin'
+   * @param {string} accountId - Account ID
+   * @param {string} adminId - Admin releasing the lock
+   * @returns {Promise<Object|null>} Updated account, or null if not found
+   */
+  static async unlock(kind, accountId, adminId) {
+    try {
+      const account = await MODELS[kind].findByIdAndUpdate(
+        accountId,
+        { $set: { failedLoginAttempts: 0, lockoutCount: 0 }, $unset: { lockedUntil: 1 } },
+        { new: true }
+      ).select('-password -refreshTokens');
+
+      if (!account) {
+        return null;
+      }
+
+      await AccountLockout.updateMany(
+        { accountType: kind, account: account._id, lockedUntil: { $gt: new Date() }, unlockedAt: null },
+        { $set: { unlockedAt: new Date(), unlockedBy: adminId } }
+      );
+
+      logger.info(`Admin ${adminId} unlocked ${kind} ${account._id}`);
+
+      return account;
+    } catch (error) {
+      logger.error('LoginGuardService.unlock error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recent lockouts of an account, newest first
+   * @param {string} kind - 'user' or 'admin'
+   * @param {string} accountId - Account ID
+   * @param {number} limit - Max records
+   * @returns {Promise<Array>} AccountLockout records
+   */
+  static async getLockouts(kind, accountId, limit = 20) {
+    try {
+      return await AccountLockout.find({ accountType: kind, account: accountId })
+        .populate('unlockedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean();
+    } catch (error) {
+      logger.error('LoginGuardService.getLockouts error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = LoginGuardService;
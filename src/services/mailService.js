@@ -0,0 +1,142 @@
+const smtpMailer = require('./mailers/smtpMailer');
+const fileMailer = require('./mailers/fileMailer');
+const logger = require('../utils/logger');
+
+const mailers = {
+  smtp: smtpMailer,
+  file: fileMailer
+};
+
+/**
+ * Mail Service - Transactional mail through a pluggable transport
+ * MAIL_TRANSPORT picks the adapter (smtp or file); it defaults to smtp when
+ * SMTP_HOST is set and to the file outbox otherwise. Adapters expose
+ * send({ from, to, subject, text, html }) -> { id }.
+ */
+class MailService {
+  /**
+   * Active mail adapter
+   * @returns {Object} Mailer adapter
+   */
+  static getMailer() {
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file');
+    return mailers[name] || fileMailer;
+  }
+
+  /**
+   * Public URL of the web app, used to build links in mails
+   * @returns {string} Base URL without a trailing slash
+   */
+  static getAppUrl() {
+    return (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  }
+
+  /**
+   * Public URL of the admin panel (ADMIN_APP_URL, else APP_URL)
+   * @returns {string} Base URL without a trailing slash
+   */
+  static getAdminAppUrl() {
+    return process.env.ADMIN_APP_URL
+      ? process.env.ADMIN_APP_URL.replace(/\/$/, '')
+      : this.getAppUrl();
+  }
+
+  /**
+   * Send a mail
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Promise<Object>} { id }
+   */
+  static async send(message) {
+    try {
+      return await this.getMailer().send({
+        from: process.env.MAIL_FROM || 'RedSee <no-reply@redsee.local>',
+        ...message
+      });
+    } catch (error) {
+      logger.error('MailService.send error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a password reset link
+   * @param {Object} user - User document
+   * @param {string} token - Raw reset token
+   * @param {number} ttlMinutes - Link lifetime
+   * @returns {Promise<Object>} { id }
+   */
+  static async sendPasswordReset(user, token, ttlMinutes) {
+    const link = `${this.getAppUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `We received a request to reset your password.\n\n` +
+        `Reset it here (valid for ${ttlMinutes} minutes): ${link}\n\n` +
+        'If you did not ask for this, you can ignore this email.',
+      html: `<p>We received a request to reset your password.</p>` +
+        `<p><a href="${link}">Reset your password</a> (valid for ${ttlMinutes} minutes).</p>` +
+        '<p>If you did not ask for this, you can ignore this email.</p>'
+    });
+  }
+
+  /**
+   * Send an email verification link
+   * @param {Object} user - User document
+   * @param {string} token - Raw verification token
+   * @returns {Promise<Object>} { id }
+   */
+  static async sendEmailVerification(user, token) {
+    const link = `${this.getAppUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Confirm your email address by opening this link: ${link}`,
+      html: `<p>Confirm your email address: <a href="${link}">verify email</a>.</p>`
+    });
+  }
+
+  /**
+   * Send an admin panel invitation
+   * @param {Object} admin - Invited Admin document
+   * @param {string} token - Raw invitation token
+   * @param {number} ttlHours - Link lifetime
+   * @param {string} inviterName - Name of the inviting admin
+   * @returns {Promise<Object>} { id }
+   */
+  static async sendAdminInvite(admin, token, ttlHours, inviterName) {
+    const link = `${this.getAdminAppUrl()}/accept-invite?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: admin.email,
+      subject: 'You have been invited to the RedSee admin panel',
+      text: `${inviterName} invited you to the RedSee admin panel as ${admin.role}.\n\n` +
+        `Set your password here (valid for ${ttlHours} hours): ${link}`,
+      html: `<p>${inviterName} invited you to the RedSee admin panel as ${admin.role}.</p>` +
+        `<p><a href="${link}">Set your password</a> (valid for ${ttlHours} hours).</p>`
+    });
+  }
+
+  /**
+   * Send an admin password reset link issued by a super admin
+   * @param {Object} admin - Admin document
+   * @param {string} token - Raw reset token
+   * @param {number} ttlMinutes - Link lifetime
+   * @returns {Promise<Object>} { id }
+   */
+  static async sendAdminPasswordReset(admin, token, ttlMinutes) {
+    const link = `${this.getAdminAppUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: admin.email,
+      subject: 'Your admin password has been reset',
+      text: 'A super admin reset your RedSee admin password and signed you out.\n\n' +
+        `Choose a new password here (valid for ${ttlMinutes} minutes): ${link}`,
+      html: '<p>A super admin reset your RedSee admin password and signed you out.</p>' +
+        `<p><a href="${link}">Choose a new password</a> (valid for ${ttlMinutes} minutes).</p>`
+    });
+  }
+}
+
+module.exports = MailService;
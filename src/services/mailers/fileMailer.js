@@ -0,0 +1,37 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+/**
+ * Local development mailer: writes each message as JSON to MAIL_OUTBOX_DIR
+ * (default <LOG_DIR>/mail) and logs its recipient and subject, so links in
+ * reset and verification mails can be followed without an SMTP server.
+ * Refuses to run in production, where mails would never reach anyone.
+ */
+const getOutboxDir = () =>
+  process.env.MAIL_OUTBOX_DIR || path.join(process.env.LOG_DIR || './logs', 'mail');
+
+/**
+ * Write a message to the outbox
+ */
+const send = async (message) => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('File mailer cannot be used in production: set SMTP_HOST or MAIL_TRANSPORT=smtp');
+  }
+
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const dir = getOutboxDir();
+  const file = path.join(dir, `${id}.json`);
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+
+  logger.info(`Mail to ${message.to} "${message.subject}" written to ${file}`);
+  return { id };
+};
+
+module.exports = {
+  name: 'file',
+  send
+};
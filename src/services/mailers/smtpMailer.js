@@ -0,0 +1,39 @@
+const nodemailer = require('nodemailer');
+const logger = require('../../utils/logger');
+
+let transporter = null;
+
+/**
+ * SMTP transport, created on first use
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Send a message over SMTP
+ */
+const send = async (message) => {
+  try {
+    const info = await getTransporter().sendMail(message);
+    return { id: info.messageId };
+  } catch (error) {
+    logger.error('SMTP send error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  name: 'smtp',
+  send
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const PhoneOtp = require('../models/PhoneOtp');
+const SmsService = require('./smsService');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * OTP Service - Phone login codes
+ * Codes are stored as an HMAC keyed with a server secret, expire quickly,
+ * allow a limited number of guesses, and requests are rate limited per
+ * phone number and per IP.
+ */
+class OtpService {
+  /**
+   * OTP settings from the environment
+   * @returns {Object} { length, ttlSeconds, maxAttempts, resendCooldownSeconds, maxPerPhonePerHour, maxPerIpPerHour }
+   */
+  static getConfig() {
+    return {
+      length: intFromEnv('OTP_LENGTH', 6),
+      ttlSeconds: intFromEnv('OTP_TTL_SECONDS', 300),
+      maxAttempts: intFromEnv('OTP_MAX_ATTEMPTS', 5),
+      resendCooldownSeconds: intFromEnv('OTP_RESEND_COOLDOWN_SECONDS', 30),
+      maxPerPhonePerHour: intFromEnv('OTP_MAX_REQUESTS_PER_HOUR', 5),
+      maxPerIpPerHour: intFromEnv('OTP_MAX_REQUESTS_PER_IP_PER_HOUR', 20)
+    };
+  }
+
+  /**
+   * Normalize a phone number to E.164
+   * Ten-digit national numbers get OTP_DEFAULT_COUNTRY_CODE (default +91).
+   * @param {string} phone - Raw phone number
+   * @returns {string|null} E.164 number, or null if not valid
+   */
+  static normalizePhone(phone) {
+    let value = String(phone || '').replace(/[\s\-().]/g, '');
+
+    if (value.startsWith('00')) {
+      value = `+${value.slice(2)}`;
+    }
+    if (/^\d{10}$/.test(value)) {
+      value = `${process.env.OTP_DEFAULT_COUNTRY_CODE || '+91'}${value}`;
+    }
+
+    return /^\+[1-9]\d{7,14}$/.test(value) ? value : null;
+  }
+
+  /**
+   * HMAC of a code for a phone number
+   * @param {string} phone - E.164 phone number
+   * @param {string} code - OTP code
+   * @returns {string} Hex digest
+   */
+  static hashCode(phone, code) {
+    const secret = process.env.OTP_SECRET || process.env.JWT_SECRET;
+    return crypto.createHmac('sha256', secret).update(`${phone}:${code}`).digest('hex');
+  }
+
+  /**
+   * Generate and text a login code
+   * @param {string} phone - E.164 phone number
+   * @param {string} ip - Requesting IP
+   * @returns {Promise<Object>} { sent, reason, retryAfterSeconds, expiresInSeconds }
+   */
+  static async requestOtp(phone, ip) {
+    try {
+      const config = this.getConfig();
+      const now = Date.now();
+      const windowStart = new Date(now - HOUR_MS);
+
+      const recent = await PhoneOtp.find({ phone, createdAt: { $gte: windowStart } })
+        .select('createdAt')
+        .sort({ createdAt: -1 })
+        .lean();
+
+      if (recent.length > 0) {
+        const cooldownEnds = recent[0].createdAt.getTime() + config.resendCooldownSeconds * 1000;
+        if (cooldownEnds > now) {
+          return { sent: false, reason: 'cooldown', retryAfterSeconds: Math.ceil((cooldownEnds - now) / 1000) };
+        }
+      }
+
+      if (recent.length >= config.maxPerPhonePerHour) {
+        const windowEnds = recent[recent.length - 1].createdAt.getTime() + HOUR_MS;
+        return { sent: false, reason: 'rate_limited', retryAfterSeconds: Math.ceil((windowEnds - now) / 1000) };
+      }
+
+      if (ip && await PhoneOtp.countDocuments({ requestIp: ip, createdAt: { $gte: windowStart } }) >= config.maxPerIpPerHour) {
+        return { sent: false, reason: 'rate_limited', retryAfterSeconds: 60 * 60 };
+      }
+
+      const code = String(crypto.randomInt(0, 10 ** config.length)).padStart(config.length, '0');
+
+      // Only the newest code is valid
+      await PhoneOtp.updateMany(
+        { phone, consumedAt: null },
+        { $set: { consumedAt: new Date(now) } }
+      );
+
+      const otp = await PhoneOtp.create({
+        phone,
+        codeHash: this.hashCode(phone, code),
+        expiresAt: new Date(now + config.ttlSeconds * 1000),
+        requestIp: ip
+      });
+
+      try {
+        const minutes = Math.ceil(config.ttlSeconds / 60);
+        await SmsService.send(phone, `${code} is your RedSee login code. It expires in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+      } catch (error) {
+        // Do not count an undelivered code against the caller
+        await PhoneOtp.deleteOne({ _id: otp._id });
+        throw error;
+      }
+
+      return { sent: true, expiresInSeconds: config.ttlSeconds };
+    } catch (error) {
+      logger.error('OtpService.requestOtp error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a login code; each call uses up one attempt
+   * @param {string} phone - E.164 phone number
+   * @param {string} code - Code entered by the user
+   * @returns {Promise<Object>} { valid, reason, attemptsLeft }
+   */
+  static async verifyOtp(phone, code) {
+    try {
+      const { maxAttempts } = this.getConfig();
+
+      const otp = await PhoneOtp.findOneAndUpdate(
+        {
+          phone,
+          consumedAt: null,
+          expiresAt: { $gt: new Date() },
+          attempts: { $lt: maxAttempts }
+        },
+        { $inc: { attempts: 1 } },
+        { sort: { createdAt: -1 }, new: true }
+      );
+
+      if (!otp) {
+        return { valid: false, reason: 'expired' };
+      }
+
+      const expected = Buffer.from(otp.codeHash);
+      const received = Buffer.from(this.hashCode(phone, String(code || '')));
+
+      if (!crypto.timingSafeEqual(expected, received)) {
+        return { valid: false, reason: 'invalid', attemptsLeft: maxAttempts - otp.attempts };
+      }
+
+      // Single use even if two correct guesses race
+      const consumed = await PhoneOtp.findOneAndUpdate(
+        { _id: otp._id, consumedAt: null },
+        { $set: { consumedAt: new Date() } }
+      );
+
+      return consumed ? { valid: true } : { valid: false, reason: 'expired' };
+    } catch (error) {
+      logger.error('OtpService.verifyOtp error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = OtpService;
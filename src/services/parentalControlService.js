@@ -0,0 +1,426 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Movie = require('../models/Movie');
+const Series = require('../models/Series');
+const { RATING_LEVELS, KIDS_MAX_LEVEL, getRatingsUpTo } = require('../config/maturity');
+const logger = require('../utils/logger');
+
+// Per-process cache of profile restrictions: `${userId}:${profileId}` -> { restrictions, expiresAt }
+const cache = new Map();
+const MAX_CACHE_ENTRIES = 50000;
+
+const PIN_PATTERN = /^\d{4}$/;
+const UNRESTRICTED = Object.freeze({ maxLevel: null, blockedTitleIds: [] });
+
+/**
+ * Parental Control Service - PINs, the maturity ceiling and blocked titles
+ * A profile can be locked with a 4-digit PIN (stored as a bcrypt hash) that
+ * must be entered to switch to it; the account owner's parental PIN guards
+ * each profile's maturity settings. Wrong PINs lock for a while.
+ * Access tokens carry the active profile (`pid`), and content is filtered to
+ * the ratings that profile may watch, minus the titles blocked on it.
+ * Restrictions are cached per process for PARENTAL_CONTROL_CACHE_TTL
+ * seconds (default 30).
+ */
+class ParentalControlService {
+  /**
+   * Cache lifetime in milliseconds
+   * @returns {number} TTL
+   */
+  static getCacheTtl() {
+    const seconds = parseInt(process.env.PARENTAL_CONTROL_CACHE_TTL);
+    return (Number.isNaN(seconds) ? 30 : seconds) * 1000;
+  }
+
+  /**
+   * PIN attempt limits
+   * @returns {Object} { maxAttempts, lockoutMinutes }
+   */
+  static getPinConfig() {
+    return {
+      maxAttempts: parseInt(process.env.PROFILE_PIN_MAX_ATTEMPTS) || 5,
+      lockoutMinutes: parseInt(process.env.PROFILE_PIN_LOCKOUT_MINUTES) || 15
+    };
+  }
+
+  /**
+   * Check the format of a PIN
+   * @param {*} pin - Candidate PIN
+   * @returns {boolean} True for exactly four digits
+   */
+  static isValidPin(pin) {
+    return typeof pin === 'string' && PIN_PATTERN.test(pin);
+  }
+
+  /**
+   * Plain-text PIN of a profile not yet hashed by scripts/migrate-parental-controls.js
+   * `pin` is no longer in the schema, so it is read from the raw document.
+   * Only profiles had one: the parental PIN was always hashed.
+   * @param {Object} holder - Profile subdocument, or the user's parentalControls
+   * @returns {string|undefined} Legacy PIN
+   */
+  static getLegacyPin(holder) {
+    // parentalControls is a nested path, whose get() reads from the user itself
+    if (!holder.$isDocumentArrayElement) {
+      return undefined;
+    }
+    const pin = holder.get('pin');
+    return pin ? String(pin) : undefined;
+  }
+
+  /**
+   * Check whether a PIN is set
+   * @param {Object} holder - Profile subdocument, or the user's parentalControls
+   * @returns {boolean}
+   */
+  static hasPin(holder) {
+    return !!(holder.pinHash || this.getLegacyPin(holder));
+  }
+
+  /**
+   * Set or clear a PIN (saved by the caller)
+   * @param {Object} holder - Profile subdocument, or the user's parentalControls
+   * @param {string|null} pin - New PIN, or null to remove it
+   */
+  static async setPin(holder, pin) {
+    holder.pinHash = pin ? await bcrypt.hash(pin, 10) : undefined;
+    holder.pinFailedAttempts = 0;
+    holder.pinLockedUntil = undefined;
+    if (this.getLegacyPin(holder)) {
+      holder.set('pin', undefined, { strict: false });
+    }
+  }
+
+  /**
+   * Compare a PIN with the stored hash, or with the legacy plain-text PIN
+   * @param {Object} holder - Profile subdocument, or the user's parentalControls
+   * @param {string} pin - PIN entered
+   * @returns {Promise<boolean>}
+   */
+  static async matchesPin(holder, pin) {
+    if (holder.pinHash) {
+      return bcrypt.compare(String(pin), holder.pinHash);
+    }
+
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(pin), digest(this.getLegacyPin(holder)));
+  }
+
+  /**
+   * Check a PIN, counting failures towards a temporary lock
+   * Holders without a PIN always pass. A correct legacy plain-text PIN is
+   * hashed on the spot.
+   * @param {Object} user - User document owning the PIN
+   * @param {Object} holder - Profile subdocument, or the user's parentalControls
+   * @param {string} pin - PIN entered
+   * @returns {Promise<Object>} { success } or { error: 'required' | 'locked' | 'invalid', retryAfterSeconds }
+   */
+  static async checkPin(user, holder, pin) {
+    try {
+      if (!this.hasPin(holder)) {
+        return { success: true };
+      }
+
+      const now = Date.now();
+      if (holder.pinLockedUntil && holder.pinLockedUntil.getTime() > now) {
+        return {
+          error: 'locked',
+          retryAfterSeconds: Math.ceil((holder.pinLockedUntil.getTime() - now) / 1000)
+        };
+      }
+
+      if (!pin) {
+        return { error: 'required' };
+      }
+
+      if (await this.matchesPin(holder, pin)) {
+        const legacyPin = this.getLegacyPin(holder);
+        if (legacyPin) {
+          await this.setPin(holder, legacyPin);
+          await user.save();
+        } else if (holder.pinFailedAttempts > 0 || holder.pinLockedUntil) {
+          holder.pinFailedAttempts = 0;
+          holder.pinLockedUntil = undefined;
+          await user.save();
+        }
+        return { success: true };
+      }
+
+      const { maxAttempts, lockoutMinutes } = this.getPinConfig();
+      holder.pinFailedAttempts = (holder.pinFailedAttempts || 0) + 1;
+
+      if (holder.pinFailedAttempts >= maxAttempts) {
+        holder.pinFailedAttempts = 0;
+        holder.pinLockedUntil = new Date(now + lockoutMinutes * 60 * 1000);
+        await user.save();
+
+        const target = holder._id ? `profile ${holder._id}` : 'parental PIN';
+        logger.warn(`User ${user._id}: ${target} locked after ${maxAttempts} wrong PINs`);
+        return { error: 'locked', retryAfterSeconds: lockoutMinutes * 60 };
+      }
+
+      await user.save();
+      return { error: 'invalid' };
+    } catch (error) {
+      logger.error('ParentalControlService.checkPin error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Response for a failed PIN check
+   * @param {Object} result - Result of checkPin
+   * @returns {Object} { status, body }
+   */
+  static buildPinError(result) {
+    if (result.error === 'locked') {
+      return {
+        status: 423,
+        body: {
+          success: false,
+          message: 'Profile is temporarily locked after too many wrong PINs',
+          retryAfterSeconds: result.retryAfterSeconds
+        }
+      };
+    }
+
+    return {
+      status: 403,
+      body: {
+        success: false,
+        message: result.error === 'required' ? 'This profile is locked with a PIN' : 'Incorrect PIN',
+        pinRequired: true
+      }
+    };
+  }
+
+  /**
+   * Check the account owner's parental PIN, which guards maturity settings
+   * Unlike profile PINs it must have been set: without it nothing proves
+   * the change comes from the account owner.
+   * @param {Object} user - User document
+   * @param {string} pin - Parental PIN entered
+   * @returns {Promise<Object>} As checkPin, or { error: 'not_set' }
+   */
+  static async checkParentalPin(user, pin) {
+    if (!user.parentalControls?.pinHash) {
+      return { error: 'not_set' };
+    }
+    return this.checkPin(user, user.parentalControls, pin);
+  }
+
+  /**
+   * Response for a failed parental PIN check
+   * @param {Object} result - Result of checkParentalPin
+   * @returns {Object} { status, body }
+   */
+  static buildParentalPinError(result) {
+    if (result.error === 'locked') {
+      return {
+        status: 423,
+        body: {
+          success: false,
+          message: 'Parental PIN is temporarily locked after too many wrong attempts',
+          retryAfterSeconds: result.retryAfterSeconds
+        }
+      };
+    }
+
+    const messages = {
+      not_set: 'Set a parental PIN before changing parental controls',
+      required: 'Parental PIN is required',
+      invalid: 'Incorrect parental PIN'
+    };
+
+    return {
+      status: 403,
+      body: {
+        success: false,
+        message: messages[result.error],
+        parentalPinRequired: true
+      }
+    };
+  }
+
+  /**
+   * Restrictions that apply to a profile
+   * The ceiling is the strictest of the kids limit and the profile's own
+   * maximum rating.
+   * @param {Object} profile - Profile subdocument or plain object
+   * @returns {Object} { maxLevel (null when unrestricted), blockedTitleIds }
+   */
+  static getRestrictions(profile) {
+    const levels = [];
+    if (profile.isKids) {
+      levels.push(KIDS_MAX_LEVEL);
+    }
+    if (profile.maxAgeRating) {
+      levels.push(RATING_LEVELS[profile.maxAgeRating]);
+    }
+
+    return {
+      maxLevel: levels.length > 0 ? Math.min(...levels) : null,
+      blockedTitleIds: (profile.blockedTitles || []).map(t => t.contentId.toString())
+    };
+  }
+
+  /**
+   * Check whether any restriction applies
+   * @param {Object} restrictions - Result of forRequest
+   * @returns {boolean}
+   */
+  static isRestricted(restrictions) {
+    return restrictions.maxLevel !== null || restrictions.blockedTitleIds.length > 0;
+  }
+
+  /**
+   * Parental controls of a profile as shown to the account owner
+   * @param {Object} profile - Profile subdocument
+   * @returns {Promise<Object>} { isKids, maxAgeRating, allowedRatings, blockedTitles }
+   */
+  static async describe(profile) {
+    try {
+      const { maxLevel } = this.getRestrictions(profile);
+      const blocked = profile.blockedTitles || [];
+      const idsOf = type => blocked.filter(t => t.contentType === type).map(t => t.contentId);
+
+      const [movies, series] = await Promise.all([
+        Movie.find({ _id: { $in: idsOf('Movie') } }).select('title thumbnail ageRating').lean(),
+        Series.find({ _id: { $in: idsOf('Series') } }).select('title thumbnail ageRating').lean()
+      ]);
+      const titles = new Map([...movies, ...series].map(t => [t._id.toString(), t]));
+
+      return {
+        isKids: profile.isKids,
+        maxAgeRating: profile.maxAgeRating || null,
+        allowedRatings: maxLevel === null ? Object.keys(RATING_LEVELS) : getRatingsUpTo(maxLevel),
+        blockedTitles: blocked.map(t => {
+          const title = titles.get(t.contentId.toString());
+          return {
+            contentId: t.contentId,
+            contentType: t.contentType,
+            title: title?.title || null,
+            thumbnail: title?.thumbnail || null,
+            ageRating: title?.ageRating || null,
+            blockedAt: t.blockedAt
+          };
+        })
+      };
+    } catch (error) {
+      logger.error('ParentalControlService.describe error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restrictions of the profile a request is made from
+   * Anonymous requests and tokens issued without a profile are unrestricted;
+   * a profile that no longer exists gets the kids ceiling.
+   * @param {Object} req - Express request (req.user set by the auth middleware)
+   * @returns {Promise<Object>} { maxLevel, blockedTitleIds }
+   */
+  static async forRequest(req) {
+    if (!req.user || !req.user.pid) {
+      return UNRESTRICTED;
+    }
+
+    const key = `${req.user.id}:${req.user.pid}`;
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.restrictions;
+    }
+
+    try {
+      const user = await User.findById(req.user.id).select('profiles').lean();
+      const profile = user && user.profiles.find(p => p._id.toString() === String(req.user.pid));
+      const restrictions = profile
+        ? this.getRestrictions(profile)
+        : { maxLevel: KIDS_MAX_LEVEL, blockedTitleIds: [] };
+
+      if (cache.size >= MAX_CACHE_ENTRIES) {
+        cache.clear();
+      }
+      cache.set(key, { restrictions, expiresAt: Date.now() + this.getCacheTtl() });
+
+      return restrictions;
+    } catch (error) {
+      logger.error('ParentalControlService.forRequest error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop a user's profiles from this process's cache after they change
+   * @param {string} userId - User ID
+   */
+  static invalidate(userId) {
+    const prefix = `${userId}:`;
+    for (const key of cache.keys()) {
+      if (key.startsWith(prefix)) {
+        cache.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Limit a Movie, Series or SearchIndex query to what the profile may watch
+   * @param {Object} query - Mongo filter, modified in place
+   * @param {Object} restrictions - Result of forRequest
+   * @param {Object} options - { idField: field holding the title ID, '_id' by default }
+   * @returns {Object} The same query
+   */
+  static restrictQuery(query, restrictions, { idField = '_id' } = {}) {
+    const conditions = [];
+
+    if (restrictions.maxLevel !== null) {
+      conditions.push({ ageRating: { $in: getRatingsUpTo(restrictions.maxLevel) } });
+    }
+    if (restrictions.blockedTitleIds.length > 0) {
+      conditions.push({ [idField]: { $nin: restrictions.blockedTitleIds } });
+    }
+
+    // Keep a caller's own condition on the same field and add ours beside it
+    conditions.forEach(condition => {
+      const [field] = Object.keys(condition);
+      if (query[field] !== undefined) {
+        query.$and = [...(query.$and || []), condition];
+      } else {
+        Object.assign(query, condition);
+      }
+    });
+
+    return query;
+  }
+
+  /**
+   * Check whether the profile may watch a title
+   * Titles with an unknown rating are only shown to profiles without a ceiling.
+   * @param {Object} restrictions - Result of forRequest
+   * @param {Object} title - Movie or Series ({ _id, ageRating })
+   * @returns {boolean}
+   */
+  static isAllowed(restrictions, title) {
+    if (title && restrictions.blockedTitleIds.includes(title._id.toString())) {
+      return false;
+    }
+    if (restrictions.maxLevel === null) {
+      return true;
+    }
+    const level = RATING_LEVELS[title?.ageRating];
+    return level !== undefined && level <= restrictions.maxLevel;
+  }
+
+  /**
+   * Response body for a title above the profile's ceiling
+   * @returns {Object} Error body
+   */
+  static buildBlockedError() {
+    return {
+      success: false,
+      message: 'This title is not available on this profile'
+    };
+  }
+}
+
+module.exports = ParentalControlService;
@@ -1,81 +1,75 @@
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
-const logger = require('../utils/logger');
-
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET
-});
+const razorpayGateway = require('./gateways/razorpayGateway');
+const stripeGateway = require('./gateways/stripeGateway');
+const mockGateway = require('./gateways/mockGateway');
 
 /**
- * Create Razorpay order
+ * Payment gateway registry
+ *
+ * Every adapter exposes the same interface:
+ *   name, fields { order, payment, signature? }  - Payment.paymentGateway keys it uses
+ *   isConfigured()                               - credentials present
+ *   createOrder({ amount, currency, receipt, notes }) -> { id, amount, currency, clientData }
+ *   verifyPayment({ orderId, paymentId, signature })  -> { status: succeeded|pending|failed, paymentId, reason }
+ *   verifyWebhookSignature(rawBody, headers)     -> boolean
+ *   getWebhookEventId(body, headers, rawBody)    -> string
+ *   parseWebhookEvent(body)                      -> { type, orderId, paymentId, refund, reason }
+ *   refundPayment(payment, amount, notes)        -> { id, amount, status }
+ *   getPaymentDetails(paymentId)
+ *   getPaymentCountry(paymentId)                 -> country of the payment method, or null
+ * and, for renewals charged without the user (see TrialService):
+ *   createMandate({ customer, maxAmount, currency, receipt, notes }) -> { id, customerId, clientData }
+ *   confirmMandate({ setupId, paymentId, signature }) -> { status: succeeded|pending|failed, token, reason }
+ *   chargeMandate({ orderId, amount, currency, mandate, customer, notes }) -> { status, paymentId, reason }
+ * Amounts passed in and returned are in major units except order.amount.
  */
-const createOrder = async (orderData) => {
-  try {
-    const order = await razorpay.orders.create({
-      amount: orderData.amount,
-      currency: orderData.currency || 'INR',
-      receipt: orderData.receipt,
-      payment_capture: 1
-    });
-
-    return order;
-  } catch (error) {
-    logger.error('Razorpay create order error:', error);
-    throw error;
-  }
+const gateways = {
+  razorpay: razorpayGateway,
+  stripe: stripeGateway,
+  mock: mockGateway
 };
 
 /**
- * Verify Razorpay signature
+ * Get a gateway adapter by name, enabled or not
  */
-const verifySignature = (orderId, paymentId, signature) => {
-  try {
-    const text = `${orderId}|${paymentId}`;
-    const generatedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(text)
-      .digest('hex');
+const getGateway = (name) => gateways[name] || null;
 
-    return generatedSignature === signature;
-  } catch (error) {
-    logger.error('Razorpay signature verification error:', error);
-    return false;
-  }
-};
+/**
+ * Names of gateways accepted at checkout (PAYMENT_GATEWAYS, default razorpay)
+ */
+const getEnabledGateways = () => (process.env.PAYMENT_GATEWAYS || 'razorpay')
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => gateways[name] && gateways[name].isConfigured());
 
 /**
- * Get payment details
+ * Check whether a gateway can be used for new orders
  */
-const getPaymentDetails = async (paymentId) => {
-  try {
-    const payment = await razorpay.payments.fetch(paymentId);
-    return payment;
-  } catch (error) {
-    logger.error('Razorpay get payment error:', error);
-    throw error;
-  }
+const isEnabled = (name) => getEnabledGateways().includes(name);
+
+/**
+ * Gateway used when the client does not pick one
+ */
+const getDefaultGateway = () => {
+  const enabled = getEnabledGateways();
+  const preferred = process.env.PAYMENT_DEFAULT_GATEWAY;
+
+  return getGateway(enabled.includes(preferred) ? preferred : enabled[0]);
 };
 
 /**
- * Refund payment
+ * Find the Payment lookup key for a gateway order or payment reference
  */
-const refundPayment = async (paymentId, amount) => {
-  try {
-    const refund = await razorpay.payments.refund(paymentId, {
-      amount: amount * 100 // Convert to paise
-    });
-    return refund;
-  } catch (error) {
-    logger.error('Razorpay refund error:', error);
-    throw error;
+const getReferenceQuery = (gateway, { orderId, paymentId }) => {
+  if (orderId) {
+    return { paymentMethod: gateway.name, [`paymentGateway.${gateway.fields.order}`]: orderId };
   }
+  return { paymentMethod: gateway.name, [`paymentGateway.${gateway.fields.payment}`]: paymentId };
 };
 
 module.exports = {
-  createOrder,
-  verifySignature,
-  getPaymentDetails,
-  refundPayment
+  getGateway,
+  getEnabledGateways,
+  isEnabled,
+  getDefaultGateway,
+  getReferenceQuery
 };
-
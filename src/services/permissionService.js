@@ -0,0 +1,133 @@
+const Role = require('../models/Role');
+const { ALL_PERMISSIONS, SUPER_ADMIN_ROLE, DEFAULT_ROLES } = require('../config/permissions');
+const logger = require('../utils/logger');
+
+// Per-process cache of role permissions: name -> { permissions, expiresAt }
+const cache = new Map();
+
+/**
+ * Permission Service - Resolves what an admin role may do
+ * Role permissions are stored in the Role collection and cached per
+ * process for PERMISSION_CACHE_TTL seconds (default 30), so edits reach
+ * other PM2 workers within that time.
+ */
+class PermissionService {
+  /**
+   * Cache lifetime in milliseconds
+   * @returns {number} TTL
+   */
+  static getCacheTtl() {
+    const seconds = parseInt(process.env.PERMISSION_CACHE_TTL);
+    return (Number.isNaN(seconds) ? 30 : seconds) * 1000;
+  }
+
+  /**
+   * Permissions granted to a role
+   * @param {string} roleName - Role name
+   * @returns {Promise<Array<string>>} Permissions (empty for an unknown role)
+   */
+  static async getRolePermissions(roleName) {
+    if (roleName === SUPER_ADMIN_ROLE) {
+      return ALL_PERMISSIONS;
+    }
+
+    const cached = cache.get(roleName);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.permissions;
+    }
+
+    try {
+      const role = await Role.findOne({ name: roleName }).select('permissions').lean();
+      const permissions = role ? role.permissions : [];
+
+      cache.set(roleName, { permissions, expiresAt: Date.now() + this.getCacheTtl() });
+      return permissions;
+    } catch (error) {
+      logger.error('PermissionService.getRolePermissions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a role grants every listed permission
+   * @param {string} roleName - Role name
+   * @param {Array<string>} permissions - Required permissions
+   * @returns {Promise<boolean>}
+   */
+  static async hasPermissions(roleName, permissions) {
+    const granted = await this.getRolePermissions(roleName);
+    return permissions.every(permission => granted.includes(permission));
+  }
+
+  /**
+   * Permissions in a list that a role does not grant
+   * Used to keep admins from handing out more than they hold themselves.
+   * @param {string} roleName - Role name
+   * @param {Array<string>} permissions - Permissions to check
+   * @returns {Promise<Array<string>>} Permissions the role lacks
+   */
+  static async missingPermissions(roleName, permissions) {
+    const granted = await this.getRolePermissions(roleName);
+    return permissions.filter(permission => !granted.includes(permission));
+  }
+
+  /**
+   * Check whether an admin may give a role to someone (or to themselves)
+   * Only super admins can assign super_admin; any other role must grant
+   * nothing beyond the assigning admin's own permissions.
+   * @param {string} assignerRole - Role of the admin making the change
+   * @param {string} roleName - Role being assigned
+   * @returns {Promise<boolean>}
+   */
+  static async canAssignRole(assignerRole, roleName) {
+    if (assignerRole === SUPER_ADMIN_ROLE) {
+      return true;
+    }
+    if (roleName === SUPER_ADMIN_ROLE) {
+      return false;
+    }
+
+    const permissions = await this.getRolePermissions(roleName);
+    return (await this.missingPermissions(assignerRole, permissions)).length === 0;
+  }
+
+  /**
+   * Drop a role from this process's cache after it changes
+   * @param {string} roleName - Role name
+   */
+  static invalidate(roleName) {
+    cache.delete(roleName);
+  }
+
+  /**
+   * Create the built-in roles that do not exist yet
+   * Existing roles are left as they are, so edited permissions survive restarts.
+   */
+  static async ensureDefaultRoles() {
+    try {
+      const result = await Role.bulkWrite(
+        Object.entries(DEFAULT_ROLES).map(([name, role]) => ({
+          updateOne: {
+            filter: { name },
+            update: { $setOnInsert: { name, ...role, isSystem: true } },
+            upsert: true
+          }
+        })),
+        { ordered: false }
+      );
+
+      if (result.upsertedCount > 0) {
+        logger.info(`Seeded ${result.upsertedCount} default admin role(s)`);
+      }
+    } catch (error) {
+      // Another worker seeded the same role concurrently
+      if (error.code === 11000) {
+        return;
+      }
+      logger.error('PermissionService.ensureDefaultRoles error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PermissionService;
@@ -0,0 +1,109 @@
+const Plan = require('../models/Plan');
+const Subscription = require('../models/Subscription');
+const PricingService = require('./pricingService');
+const PlanChangeService = require('./planChangeService');
+const logger = require('../utils/logger');
+
+// Features compared across plans, in display order
+const COMPARED_FEATURES = [
+  { key: 'quality', label: 'Video quality', type: 'string' },
+  { key: 'maxDevices', label: 'Registered devices', type: 'number' },
+  { key: 'maxStreams', label: 'Simultaneous streams', type: 'number' },
+  { key: 'adFree', label: 'Ad-free', type: 'boolean' },
+  { key: 'download', label: 'Downloads', type: 'boolean' }
+];
+
+/**
+ * Plan Catalogue Service - Public plan listing with a feature comparison
+ */
+class PlanCatalogService {
+  /**
+   * Feature-by-feature comparison matrix
+   * @param {Array} plans - Plan documents in display order
+   * @returns {Object} { plans: [{ id, name, isPopular }], features: [{ key, label, type, values }] }
+   */
+  static buildComparison(plans) {
+    return {
+      plans: plans.map(plan => ({ id: plan._id, name: plan.name, isPopular: plan.isPopular })),
+      features: COMPARED_FEATURES.map(feature => ({
+        ...feature,
+        // One value per plan, aligned with comparison.plans
+        values: plans.map(plan => plan.features?.[feature.key] ?? null)
+      }))
+    };
+  }
+
+  /**
+   * How switching from the current plan to another would be handled
+   * @param {Object} subscription - Active subscription with plan populated
+   * @param {Object} plan - Candidate plan
+   * @returns {string|null} 'current', 'upgrade', 'downgrade', or null if not switchable
+   */
+  static classifyPlan(subscription, plan) {
+    const currentPlan = subscription.plan;
+
+    if (currentPlan._id.toString() === plan._id.toString()) {
+      return 'current';
+    }
+
+    // Same rule as change-plan: plans billed in another currency cannot be switched to
+    const region = subscription.priceRegion;
+    if (PricingService.getPrice(currentPlan, region).currency !== PricingService.getPrice(plan, region).currency) {
+      return null;
+    }
+
+    return PlanChangeService.getDailyRate(plan, region) > PlanChangeService.getDailyRate(currentPlan, region)
+      ? 'upgrade'
+      : 'downgrade';
+  }
+
+  /**
+   * Active plans priced for the customer, with comparison and (for a signed-in
+   * user) how each plan relates to their current one
+   * @param {Object} params - { user, req }
+   * @returns {Promise<Object>} { plans, comparison, region, currentPlanId }
+   */
+  static async getCatalog({ user, req }) {
+    try {
+      const plans = await Plan.find({ isActive: true })
+        .sort({ sortOrder: 1, price: 1 });
+
+      let subscription = null;
+      if (user) {
+        subscription = await Subscription.findOne({ user: user._id, status: 'active' })
+          .populate('plan');
+        if (subscription && (!subscription.isActive() || !subscription.plan)) {
+          subscription = null;
+        }
+      }
+
+      // Existing subscribers see prices in the region they are billed in
+      const region = subscription
+        ? subscription.priceRegion || null
+        : PricingService.resolveRegion({ user, req });
+
+      const catalog = plans.map(plan => {
+        const changeType = subscription ? this.classifyPlan(subscription, plan) : null;
+
+        return {
+          ...PricingService.localizePlan(plan, region),
+          isCurrent: changeType === 'current',
+          changeType
+        };
+      });
+
+      return {
+        plans: catalog,
+        comparison: this.buildComparison(plans),
+        region,
+        currentPlanId: subscription?.plan._id || null,
+        scheduledPlanId: subscription?.scheduledPlan || null
+      };
+    } catch (error) {
+      logger.error('PlanCatalogService.getCatalog error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PlanCatalogService;
@@ -0,0 +1,150 @@
+const BillingService = require('./billingService');
+const PricingService = require('./pricingService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Plan Change Service - Upgrades and downgrades of an active subscription
+ * Upgrades are charged the prorated difference for the rest of the current
+ * period and apply once paid. Downgrades are scheduled for the next renewal.
+ */
+class PlanChangeService {
+  /**
+   * Price per day of a plan
+   * @param {Object} plan - Plan document
+   * @param {string|null} region - Pricing region of the subscription
+   * @returns {number} Daily rate
+   */
+  static getDailyRate(plan, region) {
+    return PricingService.getPrice(plan, region).amount / plan.duration;
+  }
+
+  /**
+   * Prorated charge for moving to a pricier plan for the rest of the period
+   * @param {Object} subscription - Active subscription
+   * @param {Object} currentPlan - Current plan
+   * @param {Object} newPlan - Target plan
+   * @param {Date} now - Reference time
+   * @returns {Object} { remainingDays, amount }
+   */
+  static calculateProration(subscription, currentPlan, newPlan, now = new Date()) {
+    const remainingMs = Math.max(0, subscription.endDate.getTime() - now.getTime());
+    const remainingDays = remainingMs / DAY_MS;
+    const rateDifference = this.getDailyRate(newPlan, subscription.priceRegion) -
+      this.getDailyRate(currentPlan, subscription.priceRegion);
+    const amount = Math.max(0, Math.round(rateDifference * remainingDays * 100) / 100);
+
+    return {
+      remainingDays: Math.round(remainingDays * 100) / 100,
+      amount
+    };
+  }
+
+  /**
+   * Request a plan change
+   * @param {Object} subscription - Active subscription document with plan populated
+   * @param {Object} newPlan - Target plan document
+   * @param {Object} options - { gateway: gateway charging a prorated upgrade, default gateway if omitted }
+   * @returns {Promise<Object>} { type, status, proration, order, payment }
+   */
+  static async changePlan(subscription, newPlan, { gateway } = {}) {
+    try {
+      const currentPlan = subscription.plan;
+      const now = new Date();
+
+      // Requesting the current plan again withdraws a scheduled downgrade
+      if (currentPlan._id.toString() === newPlan._id.toString()) {
+        if (subscription.scheduledPlan) {
+          this.cancelScheduledChanges(subscription);
+          await BillingService.cancelPendingRenewal(subscription);
+        }
+        await subscription.save();
+        return { type: null, status: 'cancelled' };
+      }
+
+      const isUpgrade = this.getDailyRate(newPlan, subscription.priceRegion) >
+        this.getDailyRate(currentPlan, subscription.priceRegion);
+
+      if (!isUpgrade) {
+        this.cancelScheduledChanges(subscription);
+        subscription.scheduledPlan = newPlan._id;
+        subscription.planHistory.push({
+          fromPlan: currentPlan._id,
+          toPlan: newPlan._id,
+          type: 'downgrade',
+          status: 'scheduled',
+          requestedAt: now,
+          effectiveAt: subscription.endDate
+        });
+        // An outstanding renewal order still bills the old plan
+        await BillingService.cancelPendingRenewal(subscription);
+        await subscription.save();
+
+        return { type: 'downgrade', status: 'scheduled', effectiveAt: subscription.endDate };
+      }
+
+      const proration = this.calculateProration(subscription, currentPlan, newPlan, now);
+
+      // Nothing left to charge (e.g. last minutes of the period): switch straight away
+      if (proration.amount < 1) {
+        this.cancelScheduledChanges(subscription);
+        subscription.planHistory.push({
+          fromPlan: currentPlan._id,
+          toPlan: newPlan._id,
+          type: 'upgrade',
+          status: 'applied',
+          proratedAmount: 0,
+          requestedAt: now,
+          effectiveAt: now,
+          appliedAt: now
+        });
+        subscription.plan = newPlan._id;
+        await BillingService.cancelPendingRenewal(subscription);
+        await subscription.save();
+
+        return { type: 'upgrade', status: 'applied', proration };
+      }
+
+      const { order, payment } = await BillingService.createPaymentOrder({
+        userId: subscription.user,
+        subscription,
+        plan: newPlan,
+        purpose: 'upgrade',
+        amount: proration.amount,
+        gateway
+      });
+
+      subscription.planHistory.push({
+        fromPlan: currentPlan._id,
+        toPlan: newPlan._id,
+        type: 'upgrade',
+        status: 'pending_payment',
+        proratedAmount: proration.amount,
+        payment: payment._id,
+        requestedAt: now
+      });
+      await subscription.save();
+
+      return { type: 'upgrade', status: 'pending_payment', proration, order, payment };
+    } catch (error) {
+      logger.error('PlanChangeService.changePlan error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop any scheduled downgrade and mark it cancelled in the history
+   * @param {Object} subscription - Subscription document (not saved here)
+   */
+  static cancelScheduledChanges(subscription) {
+    subscription.planHistory
+      .filter(c => c.status === 'scheduled')
+      .forEach(c => {
+        c.status = 'cancelled';
+      });
+    subscription.scheduledPlan = undefined;
+  }
+}
+
+module.exports = PlanChangeService;
@@ -0,0 +1,117 @@
+const Subscription = require('../models/Subscription');
+const logger = require('../utils/logger');
+
+/**
+ * Plan Limit Service - Resolves device and concurrent stream limits
+ * Limits come from the user's active subscription plan; the env-wide
+ * defaults only apply to users without a plan.
+ */
+class PlanLimitService {
+  /**
+   * Env-wide limits for users without an active plan
+   * @returns {Object} Default limits
+   */
+  static getDefaultLimits() {
+    return {
+      maxDevices: parseInt(process.env.MAX_DEVICES_PER_USER) || 5,
+      maxStreams: parseInt(process.env.MAX_CONCURRENT_STREAMS) || 3,
+      source: 'default',
+      planId: null,
+      planName: null
+    };
+  }
+
+  /**
+   * Build limits from a plan document
+   * @param {Object} plan - Plan document (may be null)
+   * @returns {Object} Limits
+   */
+  static fromPlan(plan) {
+    if (!plan || !plan.features) {
+      return this.getDefaultLimits();
+    }
+
+    const defaults = this.getDefaultLimits();
+
+    return {
+      maxDevices: plan.features.maxDevices ?? defaults.maxDevices,
+      maxStreams: plan.features.maxStreams ?? defaults.maxStreams,
+      source: 'plan',
+      planId: plan._id,
+      planName: plan.name
+    };
+  }
+
+  /**
+   * Resolve limits for a user from their active subscription
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Limits
+   */
+  static async resolveForUser(userId) {
+    try {
+      const subscription = await Subscription.findOne({
+        user: userId,
+        status: 'active'
+      }).populate('plan');
+
+      return this.fromPlan(subscription?.isActive() ? subscription.plan : null);
+    } catch (error) {
+      logger.error('PlanLimitService.resolveForUser error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the 403 body returned when the device limit is hit
+   * @param {Object} user - User document
+   * @param {Object} limits - Resolved limits
+   * @returns {Object} Response body
+   */
+  static buildDeviceLimitError(user, limits) {
+    return {
+      success: false,
+      message: `Device limit of ${limits.maxDevices} reached. Please remove a device first.`,
+      limit: {
+        type: 'devices',
+        max: limits.maxDevices,
+        source: limits.source,
+        planName: limits.planName
+      },
+      devices: user.devices.map(d => ({
+        deviceId: d.deviceId,
+        deviceName: d.deviceName,
+        deviceType: d.deviceType,
+        lastActive: d.lastActive
+      }))
+    };
+  }
+
+  /**
+   * Build the 403 body returned when the concurrent stream limit is hit
+   * @param {Object} user - User document
+   * @param {Object} limits - Resolved limits
+   * @returns {Object} Response body
+   */
+  static buildStreamLimitError(user, limits) {
+    return {
+      success: false,
+      message: `Maximum of ${limits.maxStreams} concurrent streams reached`,
+      limit: {
+        type: 'streams',
+        max: limits.maxStreams,
+        source: limits.source,
+        planName: limits.planName
+      },
+      streams: user.currentStreams.map(s => ({
+        streamId: s.streamId,
+        deviceId: s.deviceId,
+        contentId: s.contentId,
+        contentType: s.contentType,
+        startedAt: s.startedAt,
+        lastHeartbeat: s.lastHeartbeat
+      }))
+    };
+  }
+}
+
+module.exports = PlanLimitService;
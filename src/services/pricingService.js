@@ -0,0 +1,114 @@
+const { REGIONS, getEnabledRegions } = require('../config/regions');
+
+/**
+ * Pricing Service - Picks the regional price of a plan for a customer
+ * The country comes from the user's billing country, which is the country
+ * the gateway reports for the payment method of their last payment, else
+ * from the geo-IP header of the CDN in front of the API. Plans without a
+ * price for that region (or customers outside every enabled region) pay
+ * the plan's base price.
+ */
+class PricingService {
+  /**
+   * Normalize an ISO 3166-1 alpha-2 country code
+   * @param {string} country - Raw country code
+   * @returns {string|null} Upper-case code, or null if not a usable country
+   */
+  static normalizeCountry(country) {
+    const code = String(country || '').trim().toUpperCase();
+    // XX = unknown and T1 = Tor in Cloudflare's header
+    return /^[A-Z]{2}$/.test(code) && !['XX', 'T1'].includes(code) ? code : null;
+  }
+
+  /**
+   * Geo-IP header set by the CDN (GEO_COUNTRY_HEADER, e.g. cf-ipcountry)
+   * Any other country header may come straight from the client, so none is
+   * trusted when this is unset.
+   * @returns {string|null} Lower-case header name
+   */
+  static getCountryHeader() {
+    return (process.env.GEO_COUNTRY_HEADER || '').trim().toLowerCase() || null;
+  }
+
+  /**
+   * Country of the request from the CDN's geo-IP header
+   * @param {Object} req - Express request
+   * @returns {string|null} Country code
+   */
+  static getRequestCountry(req) {
+    const header = this.getCountryHeader();
+    return header ? this.normalizeCountry(req.headers[header]) : null;
+  }
+
+  /**
+   * Enabled pricing region covering a country
+   * @param {string} country - Country code
+   * @returns {string|null} Region code
+   */
+  static getRegionForCountry(country) {
+    const code = this.normalizeCountry(country);
+    if (!code) {
+      return null;
+    }
+    return getEnabledRegions().find(region => REGIONS[region].countries.includes(code)) || null;
+  }
+
+  /**
+   * Pricing region for a customer
+   * @param {Object} params - { user, req }
+   * @returns {string|null} Region code
+   */
+  static resolveRegion({ user, req }) {
+    const country = this.normalizeCountry(user?.billingCountry) || (req ? this.getRequestCountry(req) : null);
+    return this.getRegionForCountry(country);
+  }
+
+  /**
+   * Price of a plan in a region
+   * @param {Object} plan - Plan document
+   * @param {string|null} region - Region code
+   * @returns {Object} { region, currency, amount } (region is null for the base price)
+   */
+  static getPrice(plan, region) {
+    const regional = region && (plan.prices || []).find(p => p.region === region);
+
+    if (regional) {
+      return { region, currency: regional.currency, amount: regional.amount };
+    }
+    return { region: null, currency: plan.currency, amount: plan.price };
+  }
+
+  /**
+   * Plan as shown to a customer in a region: price and currency localized
+   * @param {Object} plan - Plan document
+   * @param {string|null} region - Region code
+   * @returns {Object} Plain plan object
+   */
+  static localizePlan(plan, region) {
+    const { prices, ...rest } = typeof plan.toObject === 'function' ? plan.toObject() : plan;
+    const price = this.getPrice(plan, region);
+
+    return {
+      ...rest,
+      price: price.amount,
+      currency: price.currency,
+      priceRegion: price.region
+    };
+  }
+
+  /**
+   * Check that a plan has a price for every enabled region
+   * @param {Object} plan - Plan document or plain data
+   * @returns {string|null} Error message, or null when complete
+   */
+  static validatePlanPrices(plan) {
+    const priced = new Set((plan.prices || []).map(p => p.region));
+    const missing = getEnabledRegions().filter(region => !priced.has(region));
+
+    return missing.length > 0
+      ? `Plan needs a price for enabled region(s): ${missing.join(', ')}`
+      : null;
+  }
+}
+
+module.exports = PricingService;
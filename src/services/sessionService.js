@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ParentalControlService = require('./parentalControlService');
+const { generateAccessToken, generateRefreshToken, verifyRefreshToken } = require('../utils/jwt');
+const logger = require('../utils/logger');
+
+/**
+ * Session Service - Refresh token sessions for users
+ * Each login starts a session (a token family) bound to the device it was
+ * issued to. Only the SHA-256 of the session's current refresh token is
+ * stored; every refresh rotates it. A refresh token carries its session ID,
+ * so presenting an already-rotated token of a live session is detected as
+ * reuse and ends that session.
+ */
+class SessionService {
+  /**
+   * Hash a refresh token for storage
+   * @param {string} token - Raw refresh token
+   * @returns {string} Hex SHA-256 digest
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Claims carried by every access token of a user
+   * @param {Object} user - User document
+   * @param {Object} session - Session the token is issued for
+   * @returns {Object} Access token payload
+   */
+  static buildTokenPayload(user, session = {}) {
+    const profileId = session.profileId || this.getStartingProfileId(user);
+
+    return {
+      id: user._id,
+      email: user.email,
+      // Active profile, which decides parental restrictions (see ParentalControlService)
+      pid: profileId ? profileId.toString() : undefined,
+      tv: user.tokenVersion || 0
+    };
+  }
+
+  /**
+   * Sign an access/refresh pair for a session
+   * @param {Object} user - User document
+   * @param {Object} session - { _id, deviceId, profileId }
+   * @returns {Object} { accessToken, refreshToken, expiresAt }
+   */
+  static signTokens(user, session) {
+    const sid = session._id.toString();
+    const refreshToken = generateRefreshToken({
+      id: user._id,
+      sid,
+      did: session.deviceId || undefined,
+      // Unique per rotation even within the same second
+      jti: crypto.randomBytes(16).toString('hex')
+    });
+
+    return {
+      accessToken: generateAccessToken({ ...this.buildTokenPayload(user, session), sid }),
+      refreshToken,
+      expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+    };
+  }
+
+  /**
+   * Profile a new session starts in
+   * The one last selected on the account unless it is locked with a PIN,
+   * which only selectProfile can open. Then the first unlocked profile, or
+   * when every profile is locked the most restricted one.
+   * @param {Object} user - User document
+   * @returns {ObjectId|undefined} Profile ID
+   */
+  static getStartingProfileId(user) {
+    const profiles = user.profiles || [];
+    const remembered = profiles.find(p => user.activeProfile && p._id.equals(user.activeProfile));
+    if (remembered && !ParentalControlService.hasPin(remembered)) {
+      return remembered._id;
+    }
+
+    const unlocked = profiles.find(p => !ParentalControlService.hasPin(p));
+    if (unlocked) {
+      return unlocked._id;
+    }
+
+    const ceiling = p => ParentalControlService.getRestrictions(p).maxLevel ?? Infinity;
+    const strictest = profiles.reduce((best, p) => (!best || ceiling(p) < ceiling(best) ? p : best), null);
+    return strictest?._id;
+  }
+
+  /**
+   * Start a session on a user document (saved by the caller)
+   * A device holds one session: logging in again replaces it. The session
+   * starts in getStartingProfileId's profile.
+   * @param {Object} user - User document
+   * @param {Object} device - { deviceId, deviceName, ipAddress, userAgent }
+   * @returns {Object} { accessToken, refreshToken }
+   */
+  static createSession(user, device = {}) {
+    const now = new Date();
+    const session = {
+      _id: new mongoose.Types.ObjectId(),
+      deviceId: device.deviceId,
+      deviceName: device.deviceName,
+      ipAddress: device.ipAddress,
+      userAgent: device.userAgent,
+      profileId: this.getStartingProfileId(user),
+      createdAt: now,
+      lastUsedAt: now
+    };
+
+    const { accessToken, refreshToken, expiresAt } = this.signTokens(user, session);
+    session.tokenHash = this.hashToken(refreshToken);
+    session.expiresAt = expiresAt;
+
+    user.refreshTokens = user.refreshTokens.filter(t =>
+      t.expiresAt > now && !(device.deviceId && t.deviceId === device.deviceId)
+    );
+    user.refreshTokens.push(session);
+
+    return { accessToken, refreshToken };
+  }
+
+  /**
+   * Make a profile the active one of a session (saved by the caller)
+   * The profile is also remembered on the account as the one new logins start in.
+   * @param {Object} user - User document
+   * @param {string} sessionId - Session of the caller
+   * @param {Object} profile - Profile subdocument
+   * @returns {string} Access token carrying the new profile
+   */
+  static selectProfile(user, sessionId, profile) {
+    user.activeProfile = profile._id;
+
+    const session = sessionId && mongoose.Types.ObjectId.isValid(sessionId)
+      ? user.refreshTokens.id(sessionId)
+      : null;
+    if (session) {
+      session.profileId = profile._id;
+    }
+
+    return generateAccessToken({
+      ...this.buildTokenPayload(user, { profileId: profile._id }),
+      sid: sessionId
+    });
+  }
+
+  /**
+   * Exchange a refresh token for a new pair
+   * @param {string} refreshToken - Presented refresh token
+   * @param {Object} context - { deviceId, ipAddress }
+   * @returns {Promise<Object>} { tokens } or { error: 'invalid' | 'device_mismatch' | 'reused' }
+   */
+  static async rotate(refreshToken, context = {}) {
+    try {
+      let decoded;
+      try {
+        decoded = verifyRefreshToken(refreshToken);
+      } catch (error) {
+        return { error: 'invalid' };
+      }
+
+      if (!decoded.sid || !mongoose.Types.ObjectId.isValid(decoded.sid)) {
+        return { error: 'invalid' };
+      }
+
+      const user = await User.findById(decoded.id);
+      if (!user || !user.isActive || user.isBanned) {
+        return { error: 'invalid' };
+      }
+
+      const session = user.refreshTokens.id(decoded.sid);
+      if (!session || session.expiresAt <= new Date()) {
+        return { error: 'invalid' };
+      }
+
+      // A session bound to a device only refreshes from that device; omitting the ID does not skip the check
+      if (session.deviceId && session.deviceId !== context.deviceId) {
+        return { error: 'device_mismatch' };
+      }
+
+      const presentedHash = this.hashToken(refreshToken);
+      const { accessToken, refreshToken: newRefreshToken, expiresAt } = this.signTokens(user, session);
+
+      // Compare-and-swap on the stored hash: only one refresh of a token can win
+      const rotated = await User.updateOne(
+        { _id: user._id, refreshTokens: { $elemMatch: { _id: session._id, tokenHash: presentedHash } } },
+        {
+          $set: {
+            'refreshTokens.$.tokenHash': this.hashToken(newRefreshToken),
+            'refreshTokens.$.expiresAt': expiresAt,
+            'refreshTokens.$.lastUsedAt': new Date(),
+            'refreshTokens.$.ipAddress': context.ipAddress || session.ipAddress
+          }
+        }
+      );
+
+      if (rotated.modifiedCount === 0) {
+        // A signed token of this session that is no longer current: it was rotated
+        // away and is being replayed. End the session for every holder.
+        await this.revokeSession(user._id, session._id);
+        logger.warn(`Refresh token reuse detected for user ${user._id}, session ${session._id} revoked`);
+        return { error: 'reused' };
+      }
+
+      return { tokens: { accessToken, refreshToken: newRefreshToken } };
+    } catch (error) {
+      logger.error('SessionService.rotate error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Active sessions of a user
+   * @param {string} userId - User ID
+   * @param {string} currentSessionId - Session of the caller, flagged as current
+   * @returns {Promise<Array|null>} Sessions, or null if user not found
+   */
+  static async listSessions(userId, currentSessionId) {
+    try {
+      const user = await User.findById(userId).select('refreshTokens devices').lean();
+      if (!user) {
+        return null;
+      }
+
+      const now = new Date();
+      return (user.refreshTokens || [])
+        .filter(t => t.tokenHash && t.expiresAt > now)
+        .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+        .map(t => {
+          const device = t.deviceId && (user.devices || []).find(d => d.deviceId === t.deviceId);
+          return {
+            id: t._id,
+            deviceId: t.deviceId,
+            deviceName: t.deviceName || device?.deviceName,
+            deviceType: device?.deviceType,
+            ipAddress: t.ipAddress,
+            userAgent: t.userAgent,
+            createdAt: t.createdAt,
+            lastUsedAt: t.lastUsedAt,
+            expiresAt: t.expiresAt,
+            isCurrent: t._id.toString() === String(currentSessionId)
+          };
+        });
+    } catch (error) {
+      logger.error('SessionService.listSessions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * End one session
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} True if a session was removed
+   */
+  static async revokeSession(userId, sessionId) {
+    try {
+      const result = await User.updateOne(
+        { _id: userId },
+        { $pull: { refreshTokens: { _id: sessionId } } }
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      logger.error('SessionService.revokeSession error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * End the session a refresh token belongs to (logout)
+   * @param {string} userId - User ID
+   * @param {string} refreshToken - Refresh token being signed out
+   * @returns {Promise<boolean>} True if a session was removed
+   */
+  static async revokeByToken(userId, refreshToken) {
+    try {
+      const result = await User.updateOne(
+        { _id: userId },
+        { $pull: { refreshTokens: { tokenHash: this.hashToken(refreshToken) } } }
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      logger.error('SessionService.revokeByToken error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SessionService;
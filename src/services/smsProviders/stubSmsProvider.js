@@ -0,0 +1,19 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Local stub: logs the message instead of sending it, so OTP login can be
+ * tried without an SMS account. Refuses to run in production.
+ */
+const send = async ({ to, body }) => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Stub SMS provider cannot be used in production');
+  }
+
+  logger.info(`[SMS stub] to ${to}: ${body}`);
+  return { id: `stub_${Date.now()}` };
+};
+
+module.exports = {
+  name: 'stub',
+  send
+};
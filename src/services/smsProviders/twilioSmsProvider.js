@@ -0,0 +1,35 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Send an SMS through the Twilio Messages REST API
+ */
+const send = async ({ to, body }) => {
+  try {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const auth = Buffer.from(`${accountSid}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64');
+
+    const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${auth}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ To: to, From: process.env.TWILIO_FROM_NUMBER, Body: body })
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(`Twilio error ${data.code || response.status}: ${data.message}`);
+    }
+
+    return { id: data.sid };
+  } catch (error) {
+    logger.error('Twilio SMS send error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  name: 'twilio',
+  send
+};
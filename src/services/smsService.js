@@ -0,0 +1,34 @@
+const stubSmsProvider = require('./smsProviders/stubSmsProvider');
+const twilioSmsProvider = require('./smsProviders/twilioSmsProvider');
+
+const providers = {
+  stub: stubSmsProvider,
+  twilio: twilioSmsProvider
+};
+
+/**
+ * SMS Service - Sends text messages through a pluggable provider
+ * SMS_PROVIDER picks the adapter (default stub). Adapters expose
+ * send({ to, body }) -> { id }.
+ */
+class SmsService {
+  /**
+   * Active SMS provider
+   * @returns {Object} Provider adapter
+   */
+  static getProvider() {
+    return providers[process.env.SMS_PROVIDER] || stubSmsProvider;
+  }
+
+  /**
+   * Send a text message
+   * @param {string} to - E.164 phone number
+   * @param {string} body - Message text
+   * @returns {Promise<Object>} { id }
+   */
+  static async send(to, body) {
+    return this.getProvider().send({ to, body });
+  }
+}
+
+module.exports = SmsService;
@@ -0,0 +1,116 @@
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+/**
+ * Stream Session Service - Tracks live playback sessions in User.currentStreams
+ * Sessions are keyed by the streamId embedded in the streaming token and are
+ * kept alive by client heartbeats; sessions that stop heartbeating are reaped
+ * by the stream-session-reaper job.
+ */
+class StreamSessionService {
+  /**
+   * Record a heartbeat for a live stream
+   * @param {string} userId - User ID
+   * @param {string} streamId - Stream ID from the streaming token
+   * @returns {Promise<Object|null>} Updated session, or null if it no longer exists
+   */
+  static async heartbeat(userId, streamId) {
+    try {
+      const user = await User.findOneAndUpdate(
+        { _id: userId, 'currentStreams.streamId': streamId },
+        { $set: { 'currentStreams.$.lastHeartbeat': new Date() } },
+        { new: true, projection: { currentStreams: 1 } }
+      );
+
+      if (!user) {
+        return null;
+      }
+
+      return user.currentStreams.find(s => s.streamId === streamId) || null;
+    } catch (error) {
+      logger.error('StreamSessionService.heartbeat error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * End a stream session
+   * @param {string} userId - User ID
+   * @param {string} streamId - Stream ID
+   * @returns {Promise<boolean>} True if a session was removed
+   */
+  static async stopSession(userId, streamId) {
+    try {
+      const result = await User.updateOne(
+        { _id: userId },
+        { $pull: { currentStreams: { streamId } } }
+      );
+
+      return result.modifiedCount > 0;
+    } catch (error) {
+      logger.error('StreamSessionService.stopSession error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List stream sessions for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Array|null>} Sessions with a stale flag, or null if user not found
+   */
+  static async listSessions(userId) {
+    try {
+      const user = await User.findById(userId)
+        .select('currentStreams')
+        .populate('currentStreams.contentId', 'title')
+        .lean();
+
+      if (!user) {
+        return null;
+      }
+
+      const cutoff = User.getStaleStreamCutoff();
+
+      return (user.currentStreams || []).map(stream => ({
+        ...stream,
+        isStale: (stream.lastHeartbeat || stream.startedAt) <= cutoff
+      }));
+    } catch (error) {
+      logger.error('StreamSessionService.listSessions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove every session whose last heartbeat is older than the timeout
+   * Safe to run concurrently from several instances
+   * @returns {Promise<number>} Number of users updated
+   */
+  static async reapStaleSessions() {
+    try {
+      const cutoff = User.getStaleStreamCutoff();
+      const staleCondition = {
+        $or: [
+          { lastHeartbeat: { $lt: cutoff } },
+          { lastHeartbeat: { $exists: false }, startedAt: { $lt: cutoff } }
+        ]
+      };
+
+      const result = await User.updateMany(
+        { currentStreams: { $elemMatch: staleCondition } },
+        { $pull: { currentStreams: staleCondition } }
+      );
+
+      if (result.modifiedCount > 0) {
+        logger.info(`Reaped stale streams for ${result.modifiedCount} user(s)`);
+      }
+
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('StreamSessionService.reapStaleSessions error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = StreamSessionService;
@@ -0,0 +1,286 @@
+const Subscription = require('../models/Subscription');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const BillingService = require('./billingService');
+const paymentService = require('./paymentService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Subscription Lifecycle Service - Expiry and auto-renewal
+ * Run from the job scheduler; every step is guarded by the current
+ * document state so an interrupted or repeated run is harmless.
+ * Renewals are charged to the subscription's mandate when it has one;
+ * otherwise, or if that charge fails, the order waits for the user to pay.
+ */
+class SubscriptionLifecycleService {
+  /**
+   * Days of continued access while a renewal payment is outstanding
+   * @returns {number} Grace period in days
+   */
+  static getGracePeriodDays() {
+    const days = parseInt(process.env.SUBSCRIPTION_GRACE_PERIOD_DAYS);
+    return Number.isNaN(days) ? 3 : days;
+  }
+
+  /**
+   * Days before endDate at which the renewal order is created
+   * @returns {number} Lead time in days
+   */
+  static getRenewalLeadDays() {
+    const days = parseInt(process.env.SUBSCRIPTION_RENEWAL_LEAD_DAYS);
+    return Number.isNaN(days) ? 1 : days;
+  }
+
+  /**
+   * Minutes an unpaid order holds its coupon reservation
+   * @returns {number} Reservation lifetime in minutes
+   */
+  static getCouponReservationMinutes() {
+    const minutes = parseInt(process.env.COUPON_RESERVATION_MINUTES);
+    return Number.isNaN(minutes) ? 60 : minutes;
+  }
+
+  /**
+   * Fail abandoned checkouts so their coupon reservations count again
+   * A payment completed later is still accepted and re-counts the coupon.
+   * @returns {Promise<Object>} { released }
+   */
+  static async releaseAbandonedCoupons() {
+    try {
+      const cutoff = new Date(Date.now() - this.getCouponReservationMinutes() * 60 * 1000);
+      const abandoned = await Payment.find({
+        status: 'pending',
+        'couponRedemption.reserved': true,
+        createdAt: { $lte: cutoff }
+      }).select('_id');
+
+      for (const payment of abandoned) {
+        await BillingService.failPayment(payment._id, 'Checkout abandoned');
+      }
+
+      return { released: abandoned.length };
+    } catch (error) {
+      logger.error('SubscriptionLifecycleService.releaseAbandonedCoupons error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Switch subscriptions to their scheduled downgrade once the period it starts with begins
+   * Applies whether or not the subscription renews.
+   * @returns {Promise<Object>} { applied }
+   */
+  static async applyScheduledPlanChanges() {
+    try {
+      const now = new Date();
+      const due = await Subscription.find({
+        scheduledPlan: { $ne: null },
+        planHistory: { $elemMatch: { status: 'scheduled', effectiveAt: { $lte: now } } }
+      });
+
+      let applied = 0;
+      for (const subscription of due) {
+        const change = subscription.planHistory.find(c =>
+          c.status === 'scheduled' && c.toPlan.toString() === subscription.scheduledPlan.toString()
+        );
+        if (!change || change.effectiveAt > now) {
+          continue;
+        }
+
+        BillingService.applyPlanChange(subscription, subscription.scheduledPlan, change.payment);
+        await subscription.save();
+        applied += 1;
+      }
+
+      if (applied > 0) {
+        logger.info(`Applied ${applied} scheduled plan change(s)`);
+      }
+      return { applied };
+    } catch (error) {
+      logger.error('SubscriptionLifecycleService.applyScheduledPlanChanges error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move lapsed active subscriptions to expired
+   * @returns {Promise<Object>} { expired }
+   */
+  static async expireLapsedSubscriptions() {
+    try {
+      const now = new Date();
+      const lapsedQuery = {
+        status: 'active',
+        endDate: { $lte: now },
+        $or: [{ graceUntil: null }, { graceUntil: { $lte: now } }]
+      };
+
+      const lapsed = await Subscription.find(lapsedQuery).select('_id renewalPayment').lean();
+      if (lapsed.length === 0) {
+        return { expired: 0 };
+      }
+
+      const result = await Subscription.updateMany(
+        { ...lapsedQuery, _id: { $in: lapsed.map(s => s._id) } },
+        { $set: { status: 'expired', expiredAt: now } }
+      );
+
+      // Outstanding renewal orders can no longer be paid for this period
+      const renewalPaymentIds = lapsed.map(s => s.renewalPayment).filter(Boolean);
+      if (renewalPaymentIds.length > 0) {
+        await Payment.updateMany(
+          { _id: { $in: renewalPaymentIds }, status: 'pending' },
+          { $set: { status: 'failed', failureReason: 'Subscription expired before renewal was paid' } }
+        );
+      }
+
+      logger.info(`Expired ${result.modifiedCount} subscription(s)`);
+      return { expired: result.modifiedCount };
+    } catch (error) {
+      logger.error('SubscriptionLifecycleService.expireLapsedSubscriptions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create renewal payment orders for auto-renewing subscriptions near their end
+   * @returns {Promise<Object>} { renewed, skipped, failed }
+   */
+  static async createRenewalOrders() {
+    try {
+      const now = new Date();
+      const leadCutoff = new Date(now.getTime() + this.getRenewalLeadDays() * DAY_MS);
+
+      // Mandates are charged when the period ends, not ahead of it
+      const dueSubscriptions = await Subscription.find({
+        status: 'active',
+        autoRenew: true,
+        renewalRequestedAt: null,
+        $or: [
+          { 'mandate.status': 'active', endDate: { $lte: now } },
+          { 'mandate.status': { $ne: 'active' }, endDate: { $lte: leadCutoff } }
+        ]
+      }).populate('plan').populate('scheduledPlan');
+
+      const summary = { renewed: 0, skipped: 0, failed: 0 };
+
+      for (const subscription of dueSubscriptions) {
+        try {
+          const outcome = await this.createRenewalOrder(subscription);
+          summary[outcome] += 1;
+        } catch (error) {
+          summary.failed += 1;
+          logger.error(`Renewal order for subscription ${subscription._id} failed:`, error);
+        }
+      }
+
+      return summary;
+    } catch (error) {
+      logger.error('SubscriptionLifecycleService.createRenewalOrders error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the renewal order for one subscription
+   * @param {Object} subscription - Subscription document with plan and scheduledPlan populated
+   * @returns {Promise<string>} 'renewed' or 'skipped'
+   */
+  static async createRenewalOrder(subscription) {
+    // A scheduled downgrade is what gets renewed
+    const plan = subscription.scheduledPlan || subscription.plan;
+
+    if (!plan || !plan.isActive) {
+      await Subscription.updateOne(
+        { _id: subscription._id },
+        { $set: { autoRenew: false } }
+      );
+      logger.warn(`Auto-renew disabled for subscription ${subscription._id}: plan no longer available`);
+      return 'skipped';
+    }
+
+    const graceUntil = new Date(subscription.endDate.getTime() + this.getGracePeriodDays() * DAY_MS);
+
+    // Claim the renewal so a concurrent or repeated run cannot create a second order
+    const claimed = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: 'active', renewalRequestedAt: null },
+      { $set: { renewalRequestedAt: new Date(), graceUntil } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return 'skipped';
+    }
+
+    const mandate = claimed.mandate?.status === 'active' && paymentService.isEnabled(claimed.mandate.gateway)
+      ? claimed.mandate
+      : null;
+
+    let payment;
+    try {
+      ({ payment } = await BillingService.createPaymentOrder({
+        userId: subscription.user,
+        subscription: claimed,
+        plan,
+        purpose: 'renewal',
+        gateway: mandate?.gateway
+      }));
+
+      claimed.renewalPayment = payment._id;
+      await claimed.save();
+    } catch (error) {
+      // Release the claim so the next run retries
+      await Subscription.updateOne(
+        { _id: subscription._id },
+        { $unset: { renewalRequestedAt: 1, graceUntil: 1 } }
+      );
+      throw error;
+    }
+
+    // A free renewal (nothing to charge) is not sent to the gateway
+    if (mandate && payment.paymentMethod === mandate.gateway) {
+      await this.chargeMandate(payment, mandate);
+    }
+
+    return 'renewed';
+  }
+
+  /**
+   * Charge a renewal order to the subscription's mandate
+   * A declined charge leaves the order open for the user to pay during the grace period.
+   * @param {Object} payment - Pending renewal Payment
+   * @param {Object} mandate - Active Subscription.mandate
+   * @returns {Promise<string>} Charge status: 'succeeded', 'pending' or 'failed'
+   */
+  static async chargeMandate(payment, mandate) {
+    try {
+      const gateway = paymentService.getGateway(mandate.gateway);
+      const user = await User.findById(payment.user).select('email phone');
+
+      const result = await gateway.chargeMandate({
+        orderId: payment.paymentGateway[gateway.fields.order],
+        amount: payment.amount,
+        currency: payment.currency,
+        mandate,
+        customer: { email: user?.email, phone: user?.phone },
+        notes: { purpose: 'renewal' }
+      });
+
+      if (result.status === 'succeeded') {
+        await BillingService.completePayment(payment._id, { paymentId: result.paymentId });
+      } else if (result.status === 'failed') {
+        logger.warn(`Mandate charge for payment ${payment._id} declined: ${result.reason}`);
+      }
+
+      return result.status;
+    } catch (error) {
+      // The order is already saved; the webhook or the user can still complete it
+      logger.error(`Mandate charge for payment ${payment._id} failed:`, error);
+      return 'failed';
+    }
+  }
+}
+
+module.exports = SubscriptionLifecycleService;
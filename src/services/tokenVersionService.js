@@ -0,0 +1,103 @@
+const User = require('../models/User');
+const Admin = require('../models/Admin');
+const logger = require('../utils/logger');
+
+const MODELS = {
+  user: User,
+  admin: Admin
+};
+
+// Per-process cache of account token versions: { version, expiresAt }
+const cache = new Map();
+const MAX_CACHE_ENTRIES = 50000;
+
+/**
+ * Token Version Service - Revokes issued access tokens
+ * Access tokens carry the account's token version (`tv`). Bumping the
+ * version invalidates every token issued before, and the auth middleware
+ * compares against a short-lived cached lookup. The cache is per process:
+ * the process that bumps sees the change at once, other PM2 workers within
+ * TOKEN_VERSION_CACHE_TTL seconds.
+ */
+class TokenVersionService {
+  /**
+   * Cache lifetime in milliseconds
+   * @returns {number} TTL (TOKEN_VERSION_CACHE_TTL seconds, default 30)
+   */
+  static getCacheTtl() {
+    const seconds = parseInt(process.env.TOKEN_VERSION_CACHE_TTL);
+    return (Number.isNaN(seconds) ? 30 : seconds) * 1000;
+  }
+
+  /**
+   * Current token version of an account
+   * @param {string} kind - 'user' or 'admin'
+   * @param {string} id - Account ID
+   * @returns {Promise<number|null>} Version, or null if the account no longer exists
+   */
+  static async getVersion(kind, id) {
+    const key = `${kind}:${id}`;
+    const cached = cache.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.version;
+    }
+
+    try {
+      const account = await MODELS[kind].findById(id).select('tokenVersion').lean();
+      const version = account ? account.tokenVersion || 0 : null;
+
+      if (cache.size >= MAX_CACHE_ENTRIES) {
+        cache.clear();
+      }
+      cache.set(key, { version, expiresAt: Date.now() + this.getCacheTtl() });
+
+      return version;
+    } catch (error) {
+      logger.error('TokenVersionService.getVersion error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that a decoded access token has not been revoked
+   * @param {string} kind - 'user' or 'admin'
+   * @param {Object} decoded - Verified token payload
+   * @returns {Promise<boolean>} True if the token is still valid
+   */
+  static async isCurrent(kind, decoded) {
+    const version = await this.getVersion(kind, decoded.id);
+    // Tokens issued before versioning carry no tv and count as version 0
+    return version !== null && (decoded.tv || 0) === version;
+  }
+
+  /**
+   * Revoke every token of an account: bump the version and drop all refresh tokens
+   * @param {string} kind - 'user' or 'admin'
+   * @param {string} id - Account ID
+   * @returns {Promise<number|null>} New version, or null if account not found
+   */
+  static async revokeAll(kind, id) {
+    try {
+      const account = await MODELS[kind].findByIdAndUpdate(
+        id,
+        { $inc: { tokenVersion: 1 }, $set: { refreshTokens: [] } },
+        { new: true }
+      ).select('tokenVersion').lean();
+
+      cache.delete(`${kind}:${id}`);
+
+      if (!account) {
+        return null;
+      }
+
+      logger.info(`Revoked all tokens of ${kind} ${id}`);
+      return account.tokenVersion;
+    } catch (error) {
+      logger.error('TokenVersionService.revokeAll error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TokenVersionService;
@@ -0,0 +1,189 @@
+const Subscription = require('../models/Subscription');
+const TrialRedemption = require('../models/TrialRedemption');
+const User = require('../models/User');
+const paymentService = require('./paymentService');
+const PricingService = require('./pricingService');
+const logger = require('../utils/logger');
+
+/**
+ * Trial Service - Free trial eligibility, start and conversion
+ * A trial is an active subscription with no payment. Before it starts the
+ * user authorizes a mandate (a payment method saved with the gateway), and
+ * the renewal job charges the first period to it when the trial ends, see
+ * SubscriptionLifecycleService.chargeMandate.
+ */
+class TrialService {
+  /**
+   * Normalize a phone number for trial de-duplication
+   * @param {string} phone - Raw phone number
+   * @returns {string|null} Last 10 digits, or null if not usable
+   */
+  static normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length >= 10 ? digits.slice(-10) : null;
+  }
+
+  /**
+   * Check whether a user can still start a trial
+   * @param {Object} user - User document
+   * @returns {Promise<boolean>} True if eligible
+   */
+  static async isEligible(user) {
+    try {
+      const phone = this.normalizePhone(user.phone);
+      const conditions = [{ user: user._id }];
+      if (phone) {
+        conditions.push({ phone });
+      }
+
+      return !await TrialRedemption.exists({ $or: conditions });
+    } catch (error) {
+      logger.error('TrialService.isEligible error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a trial subscription waiting for its mandate
+   * @param {Object} user - User document
+   * @param {Object} plan - Plan document with trialDays > 0
+   * @param {string|null} priceRegion - Pricing region the first renewal is billed in
+   * @param {Object} gateway - Gateway adapter the mandate is set up with
+   * @returns {Promise<Object>} { subscription, mandate: { gateway, setupId, clientData } }
+   */
+  static async requestTrial(user, plan, priceRegion, gateway) {
+    try {
+      const now = new Date();
+      const endDate = new Date(now);
+      endDate.setDate(endDate.getDate() + plan.trialDays);
+
+      const subscription = await Subscription.create({
+        user: user._id,
+        plan: plan._id,
+        status: 'pending',
+        startDate: now,
+        endDate,
+        priceRegion
+      });
+
+      const price = PricingService.getPrice(plan, priceRegion);
+      const setup = await gateway.createMandate({
+        customer: {
+          name: user.profiles?.[0]?.name,
+          email: user.email,
+          phone: user.phone
+        },
+        maxAmount: price.amount,
+        currency: price.currency,
+        receipt: `trial_${subscription._id}`,
+        notes: { purpose: 'trial' }
+      });
+
+      subscription.mandate = {
+        gateway: gateway.name,
+        setupId: setup.id,
+        customerId: setup.customerId,
+        status: 'pending'
+      };
+      await subscription.save();
+
+      return {
+        subscription,
+        mandate: {
+          gateway: gateway.name,
+          setupId: setup.id,
+          clientData: setup.clientData
+        }
+      };
+    } catch (error) {
+      logger.error('TrialService.requestTrial error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a requested trial once its mandate is authorized
+   * @param {Object} user - User document
+   * @param {Object} subscription - Pending subscription from requestTrial, plan populated
+   * @param {Object} authorization - { paymentId, signature } returned by the gateway checkout
+   * @returns {Promise<Object>} { subscription } or { error: 'pending' | 'failed' | 'not_eligible', reason }
+   */
+  static async startTrial(user, subscription, authorization = {}) {
+    try {
+      const gateway = paymentService.getGateway(subscription.mandate.gateway);
+      const confirmation = await gateway.confirmMandate({
+        setupId: subscription.mandate.setupId,
+        paymentId: authorization.paymentId,
+        signature: authorization.signature
+      });
+
+      if (confirmation.status !== 'succeeded') {
+        return { error: confirmation.status, reason: confirmation.reason };
+      }
+
+      let redemption;
+      try {
+        redemption = await TrialRedemption.create({
+          user: user._id,
+          phone: this.normalizePhone(user.phone) || undefined,
+          plan: subscription.plan._id
+        });
+      } catch (error) {
+        // Unique user/phone index: a trial was already taken
+        if (error.code === 11000) {
+          return { error: 'not_eligible' };
+        }
+        throw error;
+      }
+
+      const now = new Date();
+      const endsAt = new Date(now);
+      endsAt.setDate(endsAt.getDate() + subscription.plan.trialDays);
+
+      subscription.status = 'active';
+      subscription.startDate = now;
+      subscription.endDate = endsAt;
+      subscription.trial = {
+        startedAt: now,
+        endsAt
+      };
+      subscription.mandate.token = confirmation.token;
+      subscription.mandate.status = 'active';
+      subscription.mandate.authorizedAt = now;
+      await subscription.save();
+
+      redemption.subscription = subscription._id;
+      await redemption.save();
+
+      await User.findByIdAndUpdate(user._id, { subscription: subscription._id });
+
+      return { subscription };
+    } catch (error) {
+      logger.error('TrialService.startTrial error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a trial converted by its first paid renewal
+   * @param {Object} subscription - Subscription document (not saved here)
+   * @param {string} paymentId - First paid payment
+   * @returns {Promise<void>}
+   */
+  static async markConverted(subscription, paymentId) {
+    try {
+      const now = new Date();
+      subscription.trial.convertedAt = now;
+
+      await TrialRedemption.updateOne(
+        { subscription: subscription._id, convertedAt: null },
+        { $set: { convertedAt: now, convertedPayment: paymentId } }
+      );
+    } catch (error) {
+      logger.error('TrialService.markConverted error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TrialService;
@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const Admin = require('../models/Admin');
+const totp = require('../utils/totp');
+const logger = require('../utils/logger');
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Two-Factor Service - TOTP second factor for admin accounts
+ * Secrets are encrypted at rest (AES-256-GCM); recovery codes are stored
+ * as SHA-256 hashes and each can be used once. Roles listed in
+ * ADMIN_2FA_REQUIRED_ROLES must enrol before they can finish logging in.
+ */
+class TwoFactorService {
+  /**
+   * Roles that must use 2FA
+   * @returns {Array<string>} Role names
+   */
+  static getRequiredRoles() {
+    return (process.env.ADMIN_2FA_REQUIRED_ROLES || '')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Check whether the policy forces 2FA on an admin
+   * @param {Object} admin - Admin document
+   * @returns {boolean}
+   */
+  static isRequired(admin) {
+    return this.getRequiredRoles().includes(admin.role);
+  }
+
+  /**
+   * Key used to encrypt TOTP secrets
+   * @returns {Buffer} 32-byte key
+   */
+  static getEncryptionKey() {
+    return crypto.createHash('sha256')
+      .update(process.env.ADMIN_2FA_ENCRYPTION_KEY || process.env.JWT_SECRET)
+      .digest();
+  }
+
+  /**
+   * Encrypt a TOTP secret for storage
+   * @param {string} secret - Base32 secret
+   * @returns {string} iv:tag:ciphertext (hex)
+   */
+  static encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+  }
+
+  /**
+   * Decrypt a stored TOTP secret
+   * @param {string} stored - Output of encryptSecret
+   * @returns {string} Base32 secret
+   */
+  static decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Hash a recovery code for storage and lookup
+   * @param {string} code - Recovery code, dashes and case ignored
+   * @returns {string} Hex SHA-256 digest
+   */
+  static hashRecoveryCode(code) {
+    const normalized = String(code || '').toUpperCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Generate a fresh set of recovery codes
+   * @returns {Object} { codes: plain codes to show once, records: hashed for storage }
+   */
+  static generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex').toUpperCase();
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    return {
+      codes,
+      records: codes.map(code => ({ codeHash: this.hashRecoveryCode(code) }))
+    };
+  }
+
+  /**
+   * Start enrolment: store a pending secret and return its provisioning details
+   * @param {Object} admin - Admin document
+   * @returns {Promise<Object>} { secret, otpauthUri }
+   */
+  static async beginEnrollment(admin) {
+    try {
+      const secret = totp.generateSecret();
+
+      admin.twoFactor.pendingSecret = this.encryptSecret(secret);
+      await admin.save();
+
+      return {
+        secret,
+        otpauthUri: totp.buildOtpauthUri({
+          secret,
+          accountName: admin.email,
+          issuer: process.env.ADMIN_2FA_ISSUER || 'RedSee OTT Admin'
+        })
+      };
+    } catch (error) {
+      logger.error('TwoFactorService.beginEnrollment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finish enrolment with a code from the authenticator app
+   * @param {Object} admin - Admin document with a pending secret
+   * @param {string} code - TOTP code
+   * @returns {Promise<Array<string>|null>} Recovery codes, or null if the code is wrong
+   */
+  static async confirmEnrollment(admin, code) {
+    try {
+      const secret = this.decryptSecret(admin.twoFactor.pendingSecret);
+      const step = totp.verifyCode(secret, code);
+
+      if (step === null) {
+        return null;
+      }
+
+      const { codes, records } = this.generateRecoveryCodes();
+
+      admin.twoFactor.enabled = true;
+      admin.twoFactor.secret = admin.twoFactor.pendingSecret;
+      admin.twoFactor.pendingSecret = undefined;
+      admin.twoFactor.enabledAt = new Date();
+      admin.twoFactor.lastUsedStep = step;
+      admin.twoFactor.recoveryCodes = records;
+      await admin.save();
+
+      logger.info(`Two-factor authentication enabled for admin ${admin._id}`);
+
+      return codes;
+    } catch (error) {
+      logger.error('TwoFactorService.confirmEnrollment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a TOTP code, rejecting a code already used
+   * @param {Object} admin - Admin document with 2FA enabled
+   * @param {string} code - TOTP code
+   * @returns {Promise<boolean>}
+   */
+  static async verifyCode(admin, code) {
+    try {
+      const step = totp.verifyCode(this.decryptSecret(admin.twoFactor.secret), code);
+      if (step === null) {
+        return false;
+      }
+
+      // Advance the last used step atomically so a code works only once
+      const result = await Admin.updateOne(
+        {
+          _id: admin._id,
+          $or: [
+            { 'twoFactor.lastUsedStep': { $lt: step } },
+            { 'twoFactor.lastUsedStep': null }
+          ]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+
+      return result.modifiedCount > 0;
+    } catch (error) {
+      logger.error('TwoFactorService.verifyCode error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Use up a recovery code
+   * @param {Object} admin - Admin document with 2FA enabled
+   * @param {string} recoveryCode - Recovery code
+   * @returns {Promise<boolean>}
+   */
+  static async useRecoveryCode(admin, recoveryCode) {
+    try {
+      const result = await Admin.updateOne(
+        {
+          _id: admin._id,
+          'twoFactor.recoveryCodes': {
+            $elemMatch: { codeHash: this.hashRecoveryCode(recoveryCode), usedAt: null }
+          }
+        },
+        { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+      );
+
+      if (result.modifiedCount > 0) {
+        logger.warn(`Admin ${admin._id} signed in with a recovery code`);
+        return true;
+      }
+      return false;
+    } catch (error) {
+      logger.error('TwoFactorService.useRecoveryCode error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the second factor: a TOTP code or, failing that, a recovery code
+   * @param {Object} admin - Admin document with 2FA enabled
+   * @param {Object} input - { code, recoveryCode }
+   * @returns {Promise<boolean>}
+   */
+  static async verify(admin, { code, recoveryCode }) {
+    if (code) {
+      return this.verifyCode(admin, code);
+    }
+    if (recoveryCode) {
+      return this.useRecoveryCode(admin, recoveryCode);
+    }
+    return false;
+  }
+
+  /**
+   * Replace all recovery codes
+   * @param {Object} admin - Admin document with 2FA enabled
+   * @returns {Promise<Array<string>>} New recovery codes
+   */
+  static async regenerateRecoveryCodes(admin) {
+    try {
+      const { codes, records } = this.generateRecoveryCodes();
+
+      await Admin.updateOne(
+        { _id: admin._id },
+        { $set: { 'twoFactor.recoveryCodes': records } }
+      );
+
+      return codes;
+    } catch (error) {
+      logger.error('TwoFactorService.regenerateRecoveryCodes error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn 2FA off and forget the secret
+   * @param {Object} admin - Admin document
+   */
+  static async disable(admin) {
+    try {
+      await Admin.updateOne(
+        { _id: admin._id },
+        { $set: { twoFactor: { enabled: false, recoveryCodes: [] } } }
+      );
+
+      logger.info(`Two-factor authentication disabled for admin ${admin._id}`);
+    } catch (error) {
+      logger.error('TwoFactorService.disable error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 2FA status of an admin
+   * @param {Object} admin - Admin document
+   * @returns {Object} { enabled, required, enabledAt, recoveryCodesRemaining }
+   */
+  static getStatus(admin) {
+    const twoFactor = admin.twoFactor || {};
+
+    return {
+      enabled: !!twoFactor.enabled,
+      required: this.isRequired(admin),
+      enabledAt: twoFactor.enabledAt || null,
+      recoveryCodesRemaining: (twoFactor.recoveryCodes || []).filter(c => !c.usedAt).length
+    };
+  }
+}
+
+module.exports = TwoFactorService;
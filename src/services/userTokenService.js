@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+const logger = require('../utils/logger');
+
+/**
+ * User Token Service - Issues and redeems single-use, expiring tokens
+ */
+class UserTokenService {
+  /**
+   * Hash a raw token for storage and lookup
+   * @param {string} token - Raw token
+   * @returns {string} Hex SHA-256 digest
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Issue a token, replacing any unused token of the same purpose
+   * @param {string} userId - User ID (Admin ID for admin_* purposes)
+   * @param {string} purpose - 'password_reset', 'email_verification', 'admin_invite' or 'admin_password_reset'
+   * @param {number} ttlMinutes - Lifetime in minutes
+   * @returns {Promise<string>} Raw token (only ever sent to the user)
+   */
+  static async issue(userId, purpose, ttlMinutes) {
+    try {
+      const token = crypto.randomBytes(32).toString('hex');
+
+      await UserToken.deleteMany({ user: userId, purpose, usedAt: null });
+      await UserToken.create({
+        user: userId,
+        purpose,
+        tokenHash: this.hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+      });
+
+      return token;
+    } catch (error) {
+      logger.error('UserTokenService.issue error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a token of a purpose was issued to an account recently
+   * @param {string} userId - User ID (Admin ID for admin_* purposes)
+   * @param {string} purpose - Token purpose
+   * @param {number} seconds - Look-back window
+   * @returns {Promise<boolean>}
+   */
+  static async issuedWithin(userId, purpose, seconds) {
+    try {
+      return !!await UserToken.exists({
+        user: userId,
+        purpose,
+        createdAt: { $gt: new Date(Date.now() - seconds * 1000) }
+      });
+    } catch (error) {
+      logger.error('UserTokenService.issuedWithin error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Redeem a token; succeeds at most once
+   * @param {string} token - Raw token
+   * @param {string} purpose - Expected purpose
+   * @returns {Promise<Object|null>} Token record, or null if invalid, used or expired
+   */
+  static async consume(token, purpose) {
+    try {
+      if (!token) {
+        return null;
+      }
+
+      return await UserToken.findOneAndUpdate(
+        {
+          tokenHash: this.hashToken(token),
+          purpose,
+          usedAt: null,
+          expiresAt: { $gt: new Date() }
+        },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+      );
+    } catch (error) {
+      logger.error('UserTokenService.consume error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = UserTokenService;
@@ -0,0 +1,109 @@
+const WebhookEvent = require('../models/WebhookEvent');
+const Payment = require('../models/Payment');
+const BillingService = require('./billingService');
+const paymentService = require('./paymentService');
+const logger = require('../utils/logger');
+
+/**
+ * Webhook Service - Records gateway events and reconciles payments from them
+ */
+class WebhookService {
+  /**
+   * Store an incoming event, returning null if it was already handled
+   * @param {string} gateway - Gateway name
+   * @param {string} eventId - Gateway event ID
+   * @param {string} event - Event type
+   * @param {Object} payload - Raw event body
+   * @returns {Promise<Object|null>} Event record to process, or null for a duplicate
+   */
+  static async recordEvent(gateway, eventId, event, payload) {
+    try {
+      const existing = await WebhookEvent.findOne({ gateway, eventId });
+      if (existing) {
+        // Failed events are retried by the gateway; anything else is a duplicate
+        return existing.status === 'failed' || existing.status === 'received' ? existing : null;
+      }
+
+      return await WebhookEvent.create({ gateway, eventId, event, payload });
+    } catch (error) {
+      if (error.code === 11000) {
+        // Concurrent delivery of the same event
+        return null;
+      }
+      logger.error('WebhookService.recordEvent error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Process a stored gateway event and update its record
+   * @param {Object} record - WebhookEvent document
+   * @returns {Promise<Object>} Updated record
+   */
+  static async processEvent(record) {
+    record.attempts += 1;
+
+    try {
+      const gateway = paymentService.getGateway(record.gateway);
+      const result = await this.handleEvent(gateway, gateway.parseWebhookEvent(record.payload));
+
+      record.status = result.handled ? 'processed' : 'ignored';
+      record.payment = result.paymentId || record.payment;
+      record.error = result.reason;
+      record.processedAt = new Date();
+      await record.save();
+
+      return record;
+    } catch (error) {
+      record.status = 'failed';
+      record.error = error.message;
+      await record.save();
+
+      logger.error(`WebhookService.processEvent error (${record.gateway} ${record.eventId}):`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a normalized gateway event to Payment and Subscription
+   * @param {Object} gateway - Gateway adapter
+   * @param {Object} event - Normalized event { type, orderId, paymentId, refund, reason }
+   * @returns {Promise<Object>} { handled, paymentId, reason }
+   */
+  static async handleEvent(gateway, event) {
+    if (!event.type) {
+      return { handled: false, reason: 'Unhandled event' };
+    }
+
+    const reference = event.orderId || event.paymentId;
+    const payment = reference
+      ? await Payment.findOne(paymentService.getReferenceQuery(gateway, event))
+      : null;
+
+    if (!payment) {
+      return { handled: false, reason: `No payment for ${reference}` };
+    }
+
+    switch (event.type) {
+      case 'payment.succeeded':
+        await BillingService.completePayment(payment._id, { paymentId: event.paymentId });
+        return { handled: true, paymentId: payment._id };
+
+      case 'payment.failed':
+        await BillingService.failPayment(payment._id, event.reason);
+        return { handled: true, paymentId: payment._id };
+
+      case 'refund.processed':
+        if (!event.refund) {
+          return { handled: false, paymentId: payment._id, reason: 'Missing refund details' };
+        }
+        await BillingService.recordRefund(payment._id, event.refund);
+        return { handled: true, paymentId: payment._id };
+
+      default:
+        return { handled: false, reason: `Unhandled event ${event.type}` };
+    }
+  }
+}
+
+module.exports = WebhookService;
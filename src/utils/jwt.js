@@ -84,18 +84,47 @@ const generateStreamingToken = (payload, expiresIn = process.env.STREAMING_TOKEN
 /**
  * Verify streaming token
  * @param {string} token - Streaming token
+ * @param {Object} options - { ignoreExpiration: accept an expired but genuine token }
  * @returns {Object} Decoded token
  */
-const verifyStreamingToken = (token) => {
+const verifyStreamingToken = (token, { ignoreExpiration = false } = {}) => {
   try {
     const secret = process.env.STREAMING_TOKEN_SECRET || JWT_SECRET;
-    return jwt.verify(token, secret);
+    return jwt.verify(token, secret, { ignoreExpiration });
   } catch (error) {
     logger.error('Streaming token verification failed:', error.message);
     throw new Error('Invalid or expired streaming token');
   }
 };
 
+// Distinct from the access token secret so a challenge can never pass as an access token
+const getChallengeSecret = () => process.env.ADMIN_2FA_CHALLENGE_SECRET || `${JWT_SECRET}:admin-2fa`;
+
+/**
+ * Generate admin two-factor challenge token (issued after the password step)
+ * @param {Object} payload - Token payload (id, purpose)
+ * @returns {string} Challenge token
+ */
+const generateChallengeToken = (payload) => {
+  return jwt.sign(payload, getChallengeSecret(), {
+    expiresIn: process.env.ADMIN_2FA_CHALLENGE_EXPIRY || '5m'
+  });
+};
+
+/**
+ * Verify admin two-factor challenge token
+ * @param {string} token - Challenge token
+ * @returns {Object} Decoded token
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    return jwt.verify(token, getChallengeSecret());
+  } catch (error) {
+    logger.error('Challenge token verification failed:', error.message);
+    throw new Error('Invalid or expired challenge token');
+  }
+};
+
 module.exports = {
   generateAccessToken,
   generateRefreshToken,
@@ -103,6 +132,8 @@ module.exports = {
   verifyAccessToken,
   verifyRefreshToken,
   generateStreamingToken,
-  verifyStreamingToken
+  verifyStreamingToken,
+  generateChallengeToken,
+  verifyChallengeToken
 };
 
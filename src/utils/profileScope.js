@@ -0,0 +1,15 @@
+/**
+ * Filter selecting the caller's own records (watch history, watchlist)
+ * Records belong to a profile of the account: the one carried in the
+ * access token (`pid`), see SessionService.buildTokenPayload.
+ * @param {Object} req - Express request authenticated as a user
+ * @returns {Object} { user, profile }
+ */
+const profileScope = (req) => ({
+  user: req.user.id,
+  profile: req.user.pid || null
+});
+
+module.exports = {
+  profileScope
+};
@@ -0,0 +1,207 @@
+jest.mock('../../src/models/Coupon', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../src/models/CouponUsage', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../src/models/Payment', () => ({
+  countDocuments: jest.fn()
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const Coupon = require('../../src/models/Coupon');
+const CouponUsage = require('../../src/models/CouponUsage');
+const CouponService = require('../../src/services/couponService');
+
+/**
+ * In-memory stand-in for the two collections: each update is applied
+ * atomically, and awaits between them interleave concurrent reservations
+ * the way separate requests do
+ */
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  const value = doc[field];
+  if (condition && typeof condition === 'object') {
+    return (condition.$lt === undefined || value < condition.$lt) &&
+      (condition.$gt === undefined || value > condition.$gt);
+  }
+  return String(value) === String(condition);
+});
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const setupStore = (coupon) => {
+  const usages = [];
+
+  Coupon.findOne.mockImplementation(async () => ({ ...coupon, isActive: true, applicablePlans: [] }));
+  Coupon.findOneAndUpdate.mockImplementation(async (filter, update) => {
+    await tick();
+    if (!matches(coupon, filter)) {
+      return null;
+    }
+    coupon.redemptionCount += update.$inc.redemptionCount;
+    return coupon;
+  });
+  Coupon.updateOne.mockImplementation(async (filter, update) => {
+    await tick();
+    if (matches(coupon, filter)) {
+      coupon.redemptionCount += update.$inc.redemptionCount;
+    }
+  });
+
+  CouponUsage.findOne.mockImplementation((filter) => ({
+    select: () => ({ lean: async () => usages.find(u => String(u.user) === String(filter.user)) || null })
+  }));
+  CouponUsage.findOneAndUpdate.mockImplementation(async (filter, update) => {
+    await tick();
+    const usage = usages.find(u => matches(u, filter));
+    if (usage) {
+      usage.count += update.$inc.count;
+      return usage;
+    }
+    // Upsert: the unique { coupon, user } index refuses a second document
+    if (usages.some(u => String(u.user) === String(filter.user))) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    usages.push({ coupon: filter.coupon, user: filter.user, count: update.$inc.count });
+    return null;
+  });
+  CouponUsage.updateOne.mockImplementation(async (filter, update) => {
+    await tick();
+    const usage = usages.find(u => matches(u, filter));
+    if (usage) {
+      usage.count += update.$inc.count;
+    }
+  });
+
+  return { coupon, usages };
+};
+
+describe('CouponService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('reserve', () => {
+    it('never goes over the global cap under concurrent checkouts', async () => {
+      const { coupon } = setupStore({
+        _id: 'c1',
+        redemptionCount: 0,
+        maxRedemptions: 2,
+        maxRedemptionsPerUser: 1
+      });
+
+      const results = await Promise.all(
+        ['u1', 'u2', 'u3', 'u4', 'u5'].map(userId => CouponService.reserve(coupon, userId))
+      );
+
+      expect(results.filter(r => r.reserved)).toHaveLength(2);
+      expect(results.filter(r => !r.reserved))
+        .toEqual(Array(3).fill({ reserved: false, message: 'Coupon redemption limit reached' }));
+      expect(coupon.redemptionCount).toBe(2);
+    });
+
+    it('never goes over the per-user cap and gives back the global count it took', async () => {
+      const { coupon, usages } = setupStore({
+        _id: 'c1',
+        redemptionCount: 0,
+        maxRedemptions: 10,
+        maxRedemptionsPerUser: 1
+      });
+
+      const results = await Promise.all([1, 2, 3].map(() => CouponService.reserve(coupon, 'u1')));
+
+      expect(results.filter(r => r.reserved)).toHaveLength(1);
+      expect(results.filter(r => !r.reserved))
+        .toEqual(Array(2).fill({ reserved: false, message: 'You have already used this coupon' }));
+      expect(coupon.redemptionCount).toBe(1);
+      expect(usages).toEqual([expect.objectContaining({ user: 'u1', count: 1 })]);
+    });
+
+    it('allows up to the per-user cap when it is above one', async () => {
+      const { coupon, usages } = setupStore({
+        _id: 'c1',
+        redemptionCount: 0,
+        maxRedemptionsPerUser: 2
+      });
+
+      const results = [];
+      for (let i = 0; i < 3; i++) {
+        results.push(await CouponService.reserve(coupon, 'u1'));
+      }
+
+      expect(results.map(r => r.reserved)).toEqual([true, true, false]);
+      expect(usages[0].count).toBe(2);
+      expect(coupon.redemptionCount).toBe(2);
+    });
+  });
+
+  describe('release', () => {
+    it('frees both caps for the next checkout', async () => {
+      const { coupon, usages } = setupStore({
+        _id: 'c1',
+        redemptionCount: 0,
+        maxRedemptions: 1,
+        maxRedemptionsPerUser: 1
+      });
+
+      await CouponService.reserve(coupon, 'u1');
+      await CouponService.release('c1', 'u1');
+
+      expect(coupon.redemptionCount).toBe(0);
+      expect(usages[0].count).toBe(0);
+      await expect(CouponService.reserve(coupon, 'u1')).resolves.toEqual({ reserved: true });
+    });
+
+    it('never takes the counters below zero', async () => {
+      const { coupon, usages } = setupStore({
+        _id: 'c1',
+        redemptionCount: 0,
+        maxRedemptionsPerUser: 1
+      });
+      usages.push({ coupon: 'c1', user: 'u1', count: 0 });
+
+      await CouponService.release('c1', 'u1');
+
+      expect(coupon.redemptionCount).toBe(0);
+      expect(usages[0].count).toBe(0);
+    });
+  });
+
+  describe('evaluate', () => {
+    const plan = { _id: 'plan1', price: 499, currency: 'INR' };
+
+    it('reports the global cap', async () => {
+      setupStore({ _id: 'c1', redemptionCount: 5, maxRedemptions: 5, maxRedemptionsPerUser: 1 });
+
+      await expect(CouponService.evaluate('save10', 'u1', plan))
+        .resolves.toEqual({ valid: false, message: 'Coupon redemption limit reached' });
+    });
+
+    it('reports the per-user cap', async () => {
+      const { usages } = setupStore({ _id: 'c1', redemptionCount: 1, maxRedemptionsPerUser: 1 });
+      usages.push({ coupon: 'c1', user: 'u1', count: 1 });
+
+      await expect(CouponService.evaluate('save10', 'u1', plan))
+        .resolves.toEqual({ valid: false, message: 'You have already used this coupon' });
+    });
+  });
+
+  describe('calculateDiscount', () => {
+    it('caps percent discounts at maxDiscountAmount', () => {
+      const coupon = { discountType: 'percent', discountValue: 50, maxDiscountAmount: 100 };
+      expect(CouponService.calculateDiscount(coupon, 499)).toBe(100);
+    });
+
+    it('never discounts more than the amount', () => {
+      expect(CouponService.calculateDiscount({ discountType: 'flat', discountValue: 600 }, 499)).toBe(499);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const crypto = require('crypto');
+const razorpayGateway = require('../../../src/services/gateways/razorpayGateway');
+
+const SECRET = 'whsec_test';
+const sign = (body, secret = SECRET) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+describe('razorpayGateway webhooks', () => {
+  const rawBody = Buffer.from(JSON.stringify({ event: 'payment.captured' }));
+
+  beforeEach(() => {
+    process.env.RAZORPAY_WEBHOOK_SECRET = SECRET;
+  });
+
+  afterAll(() => {
+    delete process.env.RAZORPAY_WEBHOOK_SECRET;
+  });
+
+  describe('verifyWebhookSignature', () => {
+    it('accepts a body signed with the webhook secret', () => {
+      expect(razorpayGateway.verifyWebhookSignature(rawBody, { 'x-razorpay-signature': sign(rawBody) }))
+        .toBe(true);
+    });
+
+    it('rejects a tampered body', () => {
+      const tampered = Buffer.from(JSON.stringify({ event: 'refund.processed' }));
+
+      expect(razorpayGateway.verifyWebhookSignature(tampered, { 'x-razorpay-signature': sign(rawBody) }))
+        .toBe(false);
+    });
+
+    it('rejects a signature made with another secret', () => {
+      expect(razorpayGateway.verifyWebhookSignature(rawBody, { 'x-razorpay-signature': sign(rawBody, 'other') }))
+        .toBe(false);
+    });
+
+    it('rejects a missing or malformed signature', () => {
+      expect(razorpayGateway.verifyWebhookSignature(rawBody, {})).toBe(false);
+      expect(razorpayGateway.verifyWebhookSignature(rawBody, { 'x-razorpay-signature': 'abc' })).toBe(false);
+    });
+
+    it('rejects everything when no webhook secret is configured', () => {
+      delete process.env.RAZORPAY_WEBHOOK_SECRET;
+
+      expect(razorpayGateway.verifyWebhookSignature(rawBody, { 'x-razorpay-signature': sign(rawBody) }))
+        .toBe(false);
+    });
+  });
+
+  describe('getWebhookEventId', () => {
+    it('uses the event ID header', () => {
+      expect(razorpayGateway.getWebhookEventId({}, { 'x-razorpay-event-id': 'evt_1' }, rawBody)).toBe('evt_1');
+    });
+
+    it('falls back to a hash of the body, stable across deliveries', () => {
+      const first = razorpayGateway.getWebhookEventId({}, {}, rawBody);
+
+      expect(first).toMatch(/^[0-9a-f]{64}$/);
+      expect(razorpayGateway.getWebhookEventId({}, {}, Buffer.from(rawBody))).toBe(first);
+    });
+  });
+});
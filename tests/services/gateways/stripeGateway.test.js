@@ -0,0 +1,61 @@
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const Stripe = require('stripe');
+const stripeGateway = require('../../../src/services/gateways/stripeGateway');
+
+const SECRET = 'whsec_test';
+const stripe = Stripe('sk_test_dummy');
+
+describe('stripeGateway webhooks', () => {
+  const payload = JSON.stringify({ id: 'evt_1', type: 'payment_intent.succeeded' });
+
+  beforeAll(() => {
+    process.env.STRIPE_SECRET_KEY = 'sk_test_dummy';
+    process.env.STRIPE_WEBHOOK_SECRET = SECRET;
+  });
+
+  afterAll(() => {
+    delete process.env.STRIPE_SECRET_KEY;
+    delete process.env.STRIPE_WEBHOOK_SECRET;
+  });
+
+  describe('verifyWebhookSignature', () => {
+    it('accepts a payload signed with the webhook secret', () => {
+      const header = stripe.webhooks.generateTestHeaderString({ payload, secret: SECRET });
+
+      expect(stripeGateway.verifyWebhookSignature(Buffer.from(payload), { 'stripe-signature': header }))
+        .toBe(true);
+    });
+
+    it('rejects a tampered payload', () => {
+      const header = stripe.webhooks.generateTestHeaderString({ payload, secret: SECRET });
+      const tampered = payload.replace('succeeded', 'payment_failed');
+
+      expect(stripeGateway.verifyWebhookSignature(Buffer.from(tampered), { 'stripe-signature': header }))
+        .toBe(false);
+    });
+
+    it('rejects a stale signature', () => {
+      const header = stripe.webhooks.generateTestHeaderString({
+        payload,
+        secret: SECRET,
+        timestamp: Math.floor(Date.now() / 1000) - 60 * 60
+      });
+
+      expect(stripeGateway.verifyWebhookSignature(Buffer.from(payload), { 'stripe-signature': header }))
+        .toBe(false);
+    });
+
+    it('rejects a missing signature', () => {
+      expect(stripeGateway.verifyWebhookSignature(Buffer.from(payload), {})).toBe(false);
+    });
+  });
+
+  it('identifies events by their ID', () => {
+    expect(stripeGateway.getWebhookEventId(JSON.parse(payload))).toBe('evt_1');
+  });
+});
@@ -0,0 +1,183 @@
+jest.mock('../../src/models/User', () => ({
+  findByIdAndUpdate: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../src/models/Admin', () => ({}));
+jest.mock('../../src/models/LoginFailure', () => ({
+  create: jest.fn(),
+  countDocuments: jest.fn()
+}));
+jest.mock('../../src/models/AccountLockout', () => ({
+  create: jest.fn()
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const User = require('../../src/models/User');
+const LoginFailure = require('../../src/models/LoginFailure');
+const AccountLockout = require('../../src/models/AccountLockout');
+const LoginGuardService = require('../../src/services/loginGuardService');
+
+const MINUTE_MS = 60 * 1000;
+const context = { identifier: 'viewer@example.com', ipAddress: '203.0.113.7' };
+
+/**
+ * User collection holding one account, applying the guard's updates to it
+ */
+const setupAccount = (fields = {}) => {
+  const account = {
+    _id: 'u1',
+    failedLoginAttempts: 0,
+    lockoutCount: 0,
+    comparePassword: jest.fn().mockResolvedValue(false),
+    ...fields
+  };
+
+  User.findByIdAndUpdate.mockImplementation((id, update) => ({
+    select: async () => {
+      account.failedLoginAttempts += update.$inc.failedLoginAttempts;
+      return { ...account };
+    }
+  }));
+  User.findOneAndUpdate.mockImplementation(async (filter, update) => {
+    if (account.failedLoginAttempts < filter.failedLoginAttempts.$gte) {
+      return null;
+    }
+    Object.assign(account, update.$set);
+    account.lockoutCount += update.$inc.lockoutCount;
+    return account;
+  });
+  User.updateOne.mockImplementation(async (filter, update) => {
+    Object.assign(account, update.$set);
+    Object.keys(update.$unset || {}).forEach(field => delete account[field]);
+  });
+
+  return account;
+};
+
+const failUntilLocked = async (account) => {
+  let result;
+  for (let i = 0; i < 5; i++) {
+    result = await LoginGuardService.attemptLogin('user', account, 'wrong', context);
+  }
+  return result;
+};
+
+describe('LoginGuardService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z'), doNotFake: ['setImmediate', 'nextTick'] });
+    LoginFailure.countDocuments.mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('getLockoutMinutes', () => {
+    it('doubles with each consecutive lockout up to the cap', () => {
+      expect([1, 2, 3, 4].map(level => LoginGuardService.getLockoutMinutes(level))).toEqual([15, 30, 60, 120]);
+      expect(LoginGuardService.getLockoutMinutes(10)).toBe(24 * 60);
+    });
+  });
+
+  describe('attemptLogin', () => {
+    it('refuses wrong passwords until the limit, then locks', async () => {
+      const account = setupAccount();
+
+      for (let i = 0; i < 4; i++) {
+        await expect(LoginGuardService.attemptLogin('user', account, 'wrong', context))
+          .resolves.toEqual({ error: 'invalid' });
+      }
+      await expect(LoginGuardService.attemptLogin('user', account, 'wrong', context))
+        .resolves.toEqual({ error: 'locked', retryAfterSeconds: 15 * 60 });
+
+      expect(account).toMatchObject({ failedLoginAttempts: 0, lockoutCount: 1 });
+      expect(AccountLockout.create).toHaveBeenCalledWith(expect.objectContaining({
+        account: 'u1',
+        failedAttempts: 5,
+        level: 1
+      }));
+    });
+
+    it('refuses a locked account without checking the password', async () => {
+      const account = setupAccount({ lockedUntil: new Date(Date.now() + 10 * MINUTE_MS) });
+
+      await expect(LoginGuardService.attemptLogin('user', account, 'right', context))
+        .resolves.toEqual({ error: 'locked', retryAfterSeconds: 10 * 60 });
+      expect(account.comparePassword).not.toHaveBeenCalled();
+      expect(LoginFailure.create).not.toHaveBeenCalled();
+    });
+
+    it('doubles the lockout each time the account is locked again', async () => {
+      const account = setupAccount();
+
+      await expect(failUntilLocked(account)).resolves.toMatchObject({ retryAfterSeconds: 15 * 60 });
+
+      jest.advanceTimersByTime(15 * MINUTE_MS);
+      await expect(failUntilLocked(account)).resolves.toMatchObject({ retryAfterSeconds: 30 * 60 });
+
+      jest.advanceTimersByTime(30 * MINUTE_MS);
+      await expect(failUntilLocked(account)).resolves.toMatchObject({ retryAfterSeconds: 60 * 60 });
+      expect(account.lockoutCount).toBe(3);
+    });
+
+    it('resets the escalation after a successful login', async () => {
+      const account = setupAccount();
+      await failUntilLocked(account);
+      jest.advanceTimersByTime(15 * MINUTE_MS);
+
+      account.comparePassword.mockResolvedValueOnce(true);
+      await expect(LoginGuardService.attemptLogin('user', account, 'right', context))
+        .resolves.toEqual({ success: true });
+      expect(account).toMatchObject({ failedLoginAttempts: 0, lockoutCount: 0 });
+      expect(account.lockedUntil).toBeUndefined();
+
+      await expect(failUntilLocked(account)).resolves.toMatchObject({ retryAfterSeconds: 15 * 60 });
+    });
+
+    it('records failures for unknown accounts without locking anything', async () => {
+      await expect(LoginGuardService.attemptLogin('user', null, 'wrong', context))
+        .resolves.toEqual({ error: 'invalid' });
+      expect(LoginFailure.create).toHaveBeenCalledWith(expect.objectContaining({ account: undefined, ...context }));
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('slows down an IP over its limit but still lets a correct password through', async () => {
+      const account = setupAccount();
+      account.comparePassword.mockResolvedValue(true);
+      LoginFailure.countDocuments.mockResolvedValue(20);
+
+      let settled = false;
+      const attempt = LoginGuardService.attemptLogin('user', account, 'right', context)
+        .finally(() => { settled = true; });
+
+      await jest.advanceTimersByTimeAsync(1999);
+      expect(settled).toBe(false);
+
+      await jest.advanceTimersByTimeAsync(1);
+      await expect(attempt).resolves.toEqual({ success: true });
+    });
+  });
+
+  describe('buildLoginError', () => {
+    it('maps lockouts to 423 with a retry delay', () => {
+      expect(LoginGuardService.buildLoginError({ error: 'locked', retryAfterSeconds: 60 })).toEqual({
+        status: 423,
+        body: {
+          success: false,
+          message: 'Account is temporarily locked after too many failed login attempts',
+          retryAfterSeconds: 60
+        }
+      });
+    });
+
+    it('maps wrong credentials to 401', () => {
+      expect(LoginGuardService.buildLoginError({ error: 'invalid' }).status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+jest.mock('../../src/models/User', () => ({}));
+jest.mock('../../src/models/Movie', () => ({}));
+jest.mock('../../src/models/Series', () => ({}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const ParentalControlService = require('../../src/services/parentalControlService');
+
+const BLOCKED_ID = '64b000000000000000000001';
+const OTHER_ID = '64b000000000000000000002';
+
+const unrestricted = { maxLevel: null, blockedTitleIds: [] };
+const kids = { maxLevel: 7, blockedTitleIds: [] };
+const teenWithBlock = { maxLevel: 13, blockedTitleIds: [BLOCKED_ID] };
+
+describe('ParentalControlService', () => {
+  describe('getRestrictions', () => {
+    it('leaves an ordinary profile unrestricted', () => {
+      expect(ParentalControlService.getRestrictions({ isKids: false })).toEqual(unrestricted);
+    });
+
+    it('applies the kids ceiling to kids profiles', () => {
+      expect(ParentalControlService.getRestrictions({ isKids: true }).maxLevel).toBe(7);
+    });
+
+    it('takes the stricter of the kids ceiling and the profile rating', () => {
+      expect(ParentalControlService.getRestrictions({ isKids: true, maxAgeRating: 'R' }).maxLevel).toBe(7);
+      expect(ParentalControlService.getRestrictions({ isKids: true, maxAgeRating: 'U' }).maxLevel).toBe(0);
+      expect(ParentalControlService.getRestrictions({ maxAgeRating: 'UA' }).maxLevel).toBe(12);
+    });
+
+    it('lists blocked titles as strings', () => {
+      const profile = { blockedTitles: [{ contentId: { toString: () => BLOCKED_ID }, contentType: 'Movie' }] };
+      expect(ParentalControlService.getRestrictions(profile).blockedTitleIds).toEqual([BLOCKED_ID]);
+    });
+  });
+
+  describe('restrictQuery', () => {
+    it('leaves the query alone for an unrestricted profile', () => {
+      expect(ParentalControlService.restrictQuery({ isPublished: true }, unrestricted)).toEqual({ isPublished: true });
+    });
+
+    it('limits ratings to the ceiling', () => {
+      expect(ParentalControlService.restrictQuery({ isPublished: true }, kids)).toEqual({
+        isPublished: true,
+        ageRating: { $in: ['G', 'U', 'PG'] }
+      });
+    });
+
+    it('excludes blocked titles on the given ID field', () => {
+      expect(ParentalControlService.restrictQuery({}, teenWithBlock, { idField: 'contentId' })).toEqual({
+        ageRating: { $in: ['G', 'U', 'PG', 'UA', 'PG-13'] },
+        contentId: { $nin: [BLOCKED_ID] }
+      });
+    });
+
+    it('keeps the caller\'s own conditions on the same fields', () => {
+      const query = { ageRating: 'PG', _id: { $in: [BLOCKED_ID, OTHER_ID] } };
+
+      expect(ParentalControlService.restrictQuery(query, teenWithBlock)).toEqual({
+        ageRating: 'PG',
+        _id: { $in: [BLOCKED_ID, OTHER_ID] },
+        $and: [
+          { ageRating: { $in: ['G', 'U', 'PG', 'UA', 'PG-13'] } },
+          { _id: { $nin: [BLOCKED_ID] } }
+        ]
+      });
+    });
+
+    it('adds to an existing $and', () => {
+      const query = { $and: [{ genre: 'drama' }], ageRating: 'R' };
+
+      expect(ParentalControlService.restrictQuery(query, kids).$and).toEqual([
+        { genre: 'drama' },
+        { ageRating: { $in: ['G', 'U', 'PG'] } }
+      ]);
+    });
+  });
+
+  describe('isAllowed', () => {
+    const title = (ageRating, id = OTHER_ID) => ({ _id: { toString: () => id }, ageRating });
+
+    it('allows everything that is not blocked on an unrestricted profile', () => {
+      expect(ParentalControlService.isAllowed(unrestricted, title('A'))).toBe(true);
+      expect(ParentalControlService.isAllowed(unrestricted, title(undefined))).toBe(true);
+    });
+
+    it('allows ratings up to the ceiling only', () => {
+      expect(ParentalControlService.isAllowed(kids, title('PG'))).toBe(true);
+      expect(ParentalControlService.isAllowed(kids, title('UA'))).toBe(false);
+      expect(ParentalControlService.isAllowed(teenWithBlock, title('PG-13'))).toBe(true);
+      expect(ParentalControlService.isAllowed(teenWithBlock, title('R'))).toBe(false);
+    });
+
+    it('refuses blocked titles whatever their rating', () => {
+      expect(ParentalControlService.isAllowed(teenWithBlock, title('G', BLOCKED_ID))).toBe(false);
+      expect(ParentalControlService.isAllowed({ maxLevel: null, blockedTitleIds: [BLOCKED_ID] }, title('G', BLOCKED_ID)))
+        .toBe(false);
+    });
+
+    it('refuses unknown ratings when a ceiling applies', () => {
+      expect(ParentalControlService.isAllowed(kids, title(undefined))).toBe(false);
+      expect(ParentalControlService.isAllowed(kids, title('XYZ'))).toBe(false);
+      expect(ParentalControlService.isAllowed(kids, title('toString'))).toBe(false);
+    });
+  });
+
+  describe('isRestricted', () => {
+    it('is true for a ceiling or blocked titles', () => {
+      expect(ParentalControlService.isRestricted(unrestricted)).toBe(false);
+      expect(ParentalControlService.isRestricted(kids)).toBe(true);
+      expect(ParentalControlService.isRestricted({ maxLevel: null, blockedTitleIds: [BLOCKED_ID] })).toBe(true);
+    });
+  });
+});
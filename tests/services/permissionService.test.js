@@ -0,0 +1,124 @@
+jest.mock('../../src/models/Role', () => ({
+  findOne: jest.fn(),
+  bulkWrite: jest.fn()
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const Role = require('../../src/models/Role');
+const PermissionService = require('../../src/services/permissionService');
+const { ALL_PERMISSIONS, DEFAULT_ROLES } = require('../../src/config/permissions');
+
+const ROLES = {
+  support: ['content:read', 'users:read', 'users:ban'],
+  finance: ['content:read', 'payments:read', 'payments:refund'],
+  viewer: ['content:read']
+};
+
+const stubRoles = (roles = ROLES) => {
+  Role.findOne.mockImplementation(({ name }) => ({
+    select: () => ({ lean: async () => (roles[name] ? { permissions: roles[name] } : null) })
+  }));
+};
+
+describe('PermissionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.keys(ROLES).concat('ghost').forEach(name => PermissionService.invalidate(name));
+    stubRoles();
+  });
+
+  describe('getRolePermissions', () => {
+    it('gives super_admin every permission without a lookup', async () => {
+      await expect(PermissionService.getRolePermissions('super_admin')).resolves.toBe(ALL_PERMISSIONS);
+      expect(Role.findOne).not.toHaveBeenCalled();
+    });
+
+    it('reads a role\'s permissions', async () => {
+      await expect(PermissionService.getRolePermissions('support')).resolves.toEqual(ROLES.support);
+    });
+
+    it('gives an unknown role nothing', async () => {
+      await expect(PermissionService.getRolePermissions('ghost')).resolves.toEqual([]);
+    });
+
+    it('caches roles until invalidated', async () => {
+      await PermissionService.getRolePermissions('support');
+      await PermissionService.getRolePermissions('support');
+      expect(Role.findOne).toHaveBeenCalledTimes(1);
+
+      PermissionService.invalidate('support');
+      await PermissionService.getRolePermissions('support');
+      expect(Role.findOne).toHaveBeenCalledTimes(2);
+    });
+
+    it('expires cached roles after PERMISSION_CACHE_TTL', async () => {
+      process.env.PERMISSION_CACHE_TTL = '0';
+      try {
+        await PermissionService.getRolePermissions('support');
+        await PermissionService.getRolePermissions('support');
+        expect(Role.findOne).toHaveBeenCalledTimes(2);
+      } finally {
+        delete process.env.PERMISSION_CACHE_TTL;
+      }
+    });
+  });
+
+  describe('hasPermissions', () => {
+    it('requires every listed permission', async () => {
+      await expect(PermissionService.hasPermissions('support', ['users:read', 'users:ban'])).resolves.toBe(true);
+      await expect(PermissionService.hasPermissions('support', ['users:read', 'payments:refund'])).resolves.toBe(false);
+      await expect(PermissionService.hasPermissions('ghost', ['content:read'])).resolves.toBe(false);
+    });
+  });
+
+  describe('missingPermissions', () => {
+    it('lists what the role does not grant', async () => {
+      await expect(PermissionService.missingPermissions('support', ['users:ban', 'payments:refund', 'coupons:write']))
+        .resolves.toEqual(['payments:refund', 'coupons:write']);
+      await expect(PermissionService.missingPermissions('super_admin', ALL_PERMISSIONS)).resolves.toEqual([]);
+    });
+  });
+
+  describe('canAssignRole', () => {
+    it('lets a super admin assign any role', async () => {
+      await expect(PermissionService.canAssignRole('super_admin', 'super_admin')).resolves.toBe(true);
+      await expect(PermissionService.canAssignRole('super_admin', 'finance')).resolves.toBe(true);
+    });
+
+    it('keeps super_admin for super admins', async () => {
+      await expect(PermissionService.canAssignRole('support', 'super_admin')).resolves.toBe(false);
+    });
+
+    it('allows roles within the assigner\'s own permissions only', async () => {
+      await expect(PermissionService.canAssignRole('support', 'viewer')).resolves.toBe(true);
+      await expect(PermissionService.canAssignRole('support', 'support')).resolves.toBe(true);
+      await expect(PermissionService.canAssignRole('support', 'finance')).resolves.toBe(false);
+    });
+  });
+
+  describe('ensureDefaultRoles', () => {
+    it('inserts missing built-in roles without touching existing ones', async () => {
+      Role.bulkWrite.mockResolvedValue({ upsertedCount: 0 });
+
+      await PermissionService.ensureDefaultRoles();
+
+      const operations = Role.bulkWrite.mock.calls[0][0];
+      expect(operations).toHaveLength(Object.keys(DEFAULT_ROLES).length);
+      expect(operations[0].updateOne).toEqual({
+        filter: { name: 'super_admin' },
+        update: { $setOnInsert: { name: 'super_admin', ...DEFAULT_ROLES.super_admin, isSystem: true } },
+        upsert: true
+      });
+    });
+
+    it('ignores a concurrent seed by another worker', async () => {
+      Role.bulkWrite.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+      await expect(PermissionService.ensureDefaultRoles()).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,155 @@
+jest.mock('../../src/models/WebhookEvent', () => ({
+  findOne: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock('../../src/models/Payment', () => ({
+  findOne: jest.fn()
+}));
+jest.mock('../../src/services/billingService', () => ({
+  completePayment: jest.fn(),
+  failPayment: jest.fn(),
+  recordRefund: jest.fn()
+}));
+jest.mock('../../src/services/paymentService', () => ({
+  getGateway: jest.fn(),
+  getReferenceQuery: jest.fn(() => ({}))
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const WebhookEvent = require('../../src/models/WebhookEvent');
+const Payment = require('../../src/models/Payment');
+const BillingService = require('../../src/services/billingService');
+const paymentService = require('../../src/services/paymentService');
+const WebhookService = require('../../src/services/webhookService');
+
+const buildRecord = (overrides = {}) => ({
+  gateway: 'razorpay',
+  eventId: 'evt_1',
+  payload: {},
+  attempts: 0,
+  status: 'received',
+  save: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+describe('WebhookService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('recordEvent', () => {
+    it('stores a new event', async () => {
+      const created = buildRecord();
+      WebhookEvent.findOne.mockResolvedValue(null);
+      WebhookEvent.create.mockResolvedValue(created);
+
+      await expect(WebhookService.recordEvent('razorpay', 'evt_1', 'payment.captured', {}))
+        .resolves.toBe(created);
+      expect(WebhookEvent.create).toHaveBeenCalledWith({
+        gateway: 'razorpay',
+        eventId: 'evt_1',
+        event: 'payment.captured',
+        payload: {}
+      });
+    });
+
+    it.each(['processed', 'ignored'])('skips an event already %s', async (status) => {
+      WebhookEvent.findOne.mockResolvedValue(buildRecord({ status }));
+
+      await expect(WebhookService.recordEvent('razorpay', 'evt_1', 'payment.captured', {}))
+        .resolves.toBeNull();
+      expect(WebhookEvent.create).not.toHaveBeenCalled();
+    });
+
+    it.each(['failed', 'received'])('hands back a %s event for another attempt', async (status) => {
+      const existing = buildRecord({ status });
+      WebhookEvent.findOne.mockResolvedValue(existing);
+
+      await expect(WebhookService.recordEvent('razorpay', 'evt_1', 'payment.captured', {}))
+        .resolves.toBe(existing);
+    });
+
+    it('skips a concurrent delivery of the same event', async () => {
+      WebhookEvent.findOne.mockResolvedValue(null);
+      WebhookEvent.create.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+      await expect(WebhookService.recordEvent('razorpay', 'evt_1', 'payment.captured', {}))
+        .resolves.toBeNull();
+    });
+  });
+
+  describe('processEvent', () => {
+    const gateway = { name: 'razorpay', parseWebhookEvent: jest.fn() };
+
+    beforeEach(() => {
+      paymentService.getGateway.mockReturnValue(gateway);
+    });
+
+    it('marks a handled event processed', async () => {
+      const record = buildRecord();
+      gateway.parseWebhookEvent.mockReturnValue({ type: 'payment.succeeded', orderId: 'order_1', paymentId: 'pay_1' });
+      Payment.findOne.mockResolvedValue({ _id: 'p1' });
+
+      await WebhookService.processEvent(record);
+
+      expect(BillingService.completePayment).toHaveBeenCalledWith('p1', { paymentId: 'pay_1' });
+      expect(record).toMatchObject({ status: 'processed', payment: 'p1', attempts: 1 });
+      expect(record.save).toHaveBeenCalled();
+    });
+
+    it('marks an event without a matching payment ignored', async () => {
+      const record = buildRecord();
+      gateway.parseWebhookEvent.mockReturnValue({ type: 'payment.succeeded', orderId: 'order_x' });
+      Payment.findOne.mockResolvedValue(null);
+
+      await WebhookService.processEvent(record);
+
+      expect(record).toMatchObject({ status: 'ignored', error: 'No payment for order_x' });
+      expect(BillingService.completePayment).not.toHaveBeenCalled();
+    });
+
+    it('marks a failing event failed and rethrows so the gateway retries', async () => {
+      const record = buildRecord();
+      gateway.parseWebhookEvent.mockReturnValue({ type: 'payment.failed', orderId: 'order_1', reason: 'declined' });
+      Payment.findOne.mockResolvedValue({ _id: 'p1' });
+      BillingService.failPayment.mockRejectedValue(new Error('database down'));
+
+      await expect(WebhookService.processEvent(record)).rejects.toThrow('database down');
+      expect(record).toMatchObject({ status: 'failed', error: 'database down' });
+      expect(record.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('handleEvent', () => {
+    const gateway = { name: 'razorpay' };
+
+    beforeEach(() => {
+      Payment.findOne.mockResolvedValue({ _id: 'p1' });
+    });
+
+    it('ignores event types it does not map', async () => {
+      await expect(WebhookService.handleEvent(gateway, { type: null }))
+        .resolves.toEqual({ handled: false, reason: 'Unhandled event' });
+      expect(Payment.findOne).not.toHaveBeenCalled();
+    });
+
+    it('records refunds', async () => {
+      const refund = { refundId: 'rfnd_1', amount: 100, status: 'processed' };
+
+      await expect(WebhookService.handleEvent(gateway, { type: 'refund.processed', paymentId: 'pay_1', refund }))
+        .resolves.toEqual({ handled: true, paymentId: 'p1' });
+      expect(BillingService.recordRefund).toHaveBeenCalledWith('p1', refund);
+    });
+
+    it('does not record a refund without its details', async () => {
+      const result = await WebhookService.handleEvent(gateway, { type: 'refund.processed', paymentId: 'pay_1' });
+
+      expect(result).toMatchObject({ handled: false, reason: 'Missing refund details' });
+      expect(BillingService.recordRefund).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const {
+  base32Encode,
+  base32Decode,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri
+} = require('../../src/utils/totp');
+
+// RFC 6238 appendix B, SHA-1: the shared secret is the ASCII string below,
+// the expected codes are the last six digits of the published 8-digit ones
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+describe('totp', () => {
+  describe('base32', () => {
+    it('encodes the RFC 4648 test vectors without padding', () => {
+      expect(base32Encode(Buffer.from('f'))).toBe('MY');
+      expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    });
+
+    it('decodes ignoring case, spaces and padding', () => {
+      expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+    });
+
+    it('rejects characters outside the alphabet', () => {
+      expect(() => base32Decode('MZXW1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateCode', () => {
+    it.each(RFC_VECTORS)('matches RFC 6238 at T=%i', (seconds, code) => {
+      expect(generateCode(RFC_SECRET, getTimeStep(seconds * 1000))).toBe(code);
+    });
+  });
+
+  describe('verifyCode', () => {
+    const timeMs = 1111111111 * 1000;
+    const step = getTimeStep(timeMs);
+
+    it('returns the matched time step', () => {
+      expect(verifyCode(RFC_SECRET, '050471', { timeMs })).toBe(step);
+    });
+
+    it('accepts codes within the drift window', () => {
+      const previous = generateCode(RFC_SECRET, step - 1);
+      expect(verifyCode(RFC_SECRET, previous, { timeMs })).toBe(step - 1);
+      expect(verifyCode(RFC_SECRET, previous, { timeMs, window: 0 })).toBeNull();
+    });
+
+    it('ignores spaces in the entered code', () => {
+      expect(verifyCode(RFC_SECRET, '050 471', { timeMs })).toBe(step);
+    });
+
+    it('rejects wrong, short and non-numeric codes', () => {
+      expect(verifyCode(RFC_SECRET, '123456', { timeMs })).toBeNull();
+      expect(verifyCode(RFC_SECRET, '05047', { timeMs })).toBeNull();
+      expect(verifyCode(RFC_SECRET, 'abcdef', { timeMs })).toBeNull();
+      expect(verifyCode(RFC_SECRET, undefined, { timeMs })).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('encodes the label and parameters for authenticator apps', () => {
+      const uri = buildOtpauthUri({ secret: 'ABC', accountName: 'a b@example.com', issuer: 'RedSee Admin' });
+
+      expect(uri).toBe(
+        'otpauth://totp/RedSee%20Admin%3Aa%20b%40example.com' +
+        '?secret=ABC&issuer=RedSee%20Admin&algorithm=SHA1&digits=6&period=30'
+      );
+    });
+  });
+});